@@ -1,6 +1,6 @@
 #!/usr/bin/env node
 const fs = require('fs');
-const { applyVersion, applyHelp, applyDctc } = require('../lib/actions');
+const { applyVersion, applyHelp, applyDctc, applyEval, applyWatch, applyRender, applyPreview, applyBatch, applyServe, applyRepl, applyCacheClean } = require('../lib/actions');
 const chalk = require("chalk");
 const logErr = content => console.log(chalk.red(content));
 
@@ -19,6 +19,159 @@ function isCompilerOption(param) {
   return lowerParam === "--compiler" || lowerParam === "-c"
 }
 
+function isWatch(param) {
+  const lowerParam = param.toLowerCase();
+  return lowerParam === "--watch" || lowerParam === "-w"
+}
+
+function isEvalOption(param) {
+  return param === "--eval" || param === "-e"
+}
+
+function isPrintOption(param) {
+  return param === "--print" || param === "-p"
+}
+
+function isStdin(param) {
+  return param === "-"
+}
+
+function isJsxOption(param) {
+  return param.toLowerCase() === "--jsx"
+}
+
+function isJsxImportSourceOption(param) {
+  return param.toLowerCase() === "--jsx-import-source"
+}
+
+function isExternalsOption(param) {
+  return param.toLowerCase() === "--externals"
+}
+
+function isAssetsOption(param) {
+  return param.toLowerCase() === "--assets"
+}
+
+function isEsm(param) {
+  return param.toLowerCase() === "--esm"
+}
+
+function isWarnCycles(param) {
+  return param.toLowerCase() === "--warn-cycles"
+}
+
+function isNoReactGlobals(param) {
+  return param.toLowerCase() === "--no-react-globals"
+}
+
+function isNoCache(param) {
+  return param.toLowerCase() === "--no-cache"
+}
+
+function isPropsOption(param) {
+  return param.toLowerCase() === "--props"
+}
+
+function isOutOption(param) {
+  return param.toLowerCase() === "--out"
+}
+
+function isStatic(param) {
+  return param.toLowerCase() === "--static"
+}
+
+function isShell(param) {
+  return param.toLowerCase() === "--shell"
+}
+
+function isEmail(param) {
+  return param.toLowerCase() === "--email"
+}
+
+function isPortOption(param) {
+  return param.toLowerCase() === "--port"
+}
+
+function isHydrate(param) {
+  return param.toLowerCase() === "--hydrate"
+}
+
+function isOutDirOption(param) {
+  return param.toLowerCase() === "--out-dir"
+}
+
+function isConcurrencyOption(param) {
+  return param.toLowerCase() === "--concurrency"
+}
+
+function isSocketOption(param) {
+  return param.toLowerCase() === "--socket"
+}
+
+function isSandbox(param) {
+  return param.toLowerCase() === "--sandbox"
+}
+
+function isAllowModulesOption(param) {
+  return param.toLowerCase() === "--allow-modules"
+}
+
+function isAllowFsOption(param) {
+  return param.toLowerCase() === "--allow-fs"
+}
+
+function isAllowEnvOption(param) {
+  return param.toLowerCase() === "--allow-env"
+}
+
+function isCpuLimitOption(param) {
+  return param.toLowerCase() === "--cpu-limit"
+}
+
+function isMemoryLimitOption(param) {
+  return param.toLowerCase() === "--memory-limit"
+}
+
+function isTimeoutOption(param) {
+  return param.toLowerCase() === "--timeout"
+}
+
+function isTypecheck(param) {
+  return param.toLowerCase() === "--typecheck"
+}
+
+function isTypecheckParallel(param) {
+  return param.toLowerCase() === "--typecheck-parallel"
+}
+
+function isRender(args) {
+  return args[0] === "render"
+}
+
+function isPreview(args) {
+  return args[0] === "preview"
+}
+
+function isBatch(args) {
+  return args[0] === "batch"
+}
+
+function isServe(args) {
+  return args[0] === "serve"
+}
+
+function isRepl(args) {
+  return args[0] === "repl"
+}
+
+function isCacheClean(args) {
+  return args[0] === "cache" && args[1] === "clean"
+}
+
+function isArgsSeparator(param) {
+  return param === "--"
+}
+
 function isFilePath(param) {
   try {
     if (!fs.existsSync(param)) {
@@ -31,10 +184,61 @@ function isFilePath(param) {
   }
 }
 
+/**
+ * Read the value of an option that takes one (e.g. `--compiler swc`), or exit with help.
+ */
+function readOptionValue(args, i, name) {
+  if (i + 1 < args.length) {
+    return args[i + 1];
+  }
+  logErr(`Please provide a value after ${name}`);
+  applyHelp();
+  process.exit(1);
+}
+
+/**
+ * The `sandbox` option; every sandbox option implies --sandbox.
+ */
+function sandboxOptions(options) {
+  options.sandbox = options.sandbox || {};
+  return options.sandbox;
+}
+
+/**
+ * Read a positive number (e.g. `--cpu-limit 1000`), or exit with help.
+ */
+function readPositiveNumber(args, i, name) {
+  const value = Number(readOptionValue(args, i, name));
+  if (!(value > 0)) {
+    logErr(`${name} must be a positive number`);
+    applyHelp();
+    process.exit(1);
+  }
+  return value;
+}
+
 function work() {
-  const args = process.argv.slice(2);
-  let compiler = 'es'; // default compiler
+  let args = process.argv.slice(2);
+  if (isCacheClean(args)) {
+    applyCacheClean();
+    return;
+  }
+  const renderMode = isRender(args);
+  const previewMode = isPreview(args);
+  const batchMode = isBatch(args);
+  const serveMode = isServe(args);
+  const replMode = isRepl(args);
+  if (renderMode || previewMode || batchMode || serveMode || replMode) {
+    args = args.slice(1);
+  }
+  const options = {
+    compiler: 'es', // default compiler
+    scriptArgs: [],
+  };
   let filePath = null;
+  let watchMode = false;
+  let stdinMode = false; // `dctc -`: the code comes from stdin
+  const batchInputs = []; // globs and manifests of `batch`
 
   // Parse arguments
   for (let i = 0; i < args.length; i++) {
@@ -48,21 +252,179 @@ function work() {
       return;
     } else if (isCompilerOption(arg)) {
       // Get compiler value from next argument
-      if (i + 1 < args.length) {
-        compiler = args[i + 1].toLowerCase();
-        i++; // Skip next argument as it's the compiler value
-      } else {
-        logErr('Please provide a compiler name after --compiler/-c');
+      options.compiler = readOptionValue(args, i, '--compiler/-c').toLowerCase();
+      i++; // Skip next argument as it's the compiler value
+    } else if (isJsxOption(arg)) {
+      options.jsx = readOptionValue(args, i, '--jsx').toLowerCase();
+      if (options.jsx !== 'classic' && options.jsx !== 'automatic') {
+        logErr('--jsx must be either classic or automatic');
+        applyHelp();
+        process.exit(1);
+      }
+      i++;
+    } else if (isJsxImportSourceOption(arg)) {
+      options.jsxImportSource = readOptionValue(args, i, '--jsx-import-source');
+      i++;
+    } else if (isExternalsOption(arg)) {
+      // A comma separated list of patterns, or one of the modes node_modules / none
+      options.externals = readOptionValue(args, i, '--externals');
+      i++;
+    } else if (isAssetsOption(arg)) {
+      options.assets = readOptionValue(args, i, '--assets').toLowerCase();
+      if (options.assets !== 'inline' && options.assets !== 'file') {
+        logErr('--assets must be either inline or file');
         applyHelp();
         process.exit(1);
       }
+      i++;
+    } else if (isEsm(arg)) {
+      options.esm = true;
+    } else if (isWarnCycles(arg)) {
+      options.warnCycles = true;
+    } else if (isNoReactGlobals(arg)) {
+      options.reactGlobals = false;
+    } else if (isNoCache(arg)) {
+      options.cache = false;
+    } else if ((renderMode || previewMode || batchMode) && isPropsOption(arg)) {
+      options.props = readOptionValue(args, i, '--props');
+      i++;
+    } else if (batchMode && isOutDirOption(arg)) {
+      options.outDir = readOptionValue(args, i, '--out-dir');
+      i++;
+    } else if (batchMode && isConcurrencyOption(arg)) {
+      options.concurrency = Number(readOptionValue(args, i, '--concurrency'));
+      if (!Number.isInteger(options.concurrency) || options.concurrency < 1) {
+        logErr('--concurrency must be a positive number');
+        applyHelp();
+        process.exit(1);
+      }
+      i++;
+    } else if (serveMode && isSocketOption(arg)) {
+      options.socket = readOptionValue(args, i, '--socket');
+      i++;
+    } else if (renderMode && isOutOption(arg)) {
+      options.out = readOptionValue(args, i, '--out');
+      i++;
+    } else if ((renderMode || batchMode) && isStatic(arg)) {
+      options.static = true;
+    } else if ((renderMode || batchMode) && isShell(arg)) {
+      options.shell = true;
+    } else if ((renderMode || batchMode) && isEmail(arg)) {
+      options.email = true;
+    } else if (previewMode && isPortOption(arg)) {
+      options.port = Number(readOptionValue(args, i, '--port'));
+      if (!Number.isInteger(options.port) || options.port < 0 || options.port > 65535) {
+        logErr('--port must be a port number');
+        applyHelp();
+        process.exit(1);
+      }
+      i++;
+    } else if (previewMode && isHydrate(arg)) {
+      options.hydrate = true;
+    } else if (isSandbox(arg)) {
+      sandboxOptions(options);
+    } else if (isAllowModulesOption(arg)) {
+      sandboxOptions(options).modules = readOptionValue(args, i, '--allow-modules').split(',').filter(Boolean);
+      i++;
+    } else if (isAllowFsOption(arg)) {
+      sandboxOptions(options).fs = readOptionValue(args, i, '--allow-fs').split(',').filter(Boolean);
+      i++;
+    } else if (isAllowEnvOption(arg)) {
+      sandboxOptions(options).env = readOptionValue(args, i, '--allow-env').split(',').filter(Boolean);
+      i++;
+    } else if (isCpuLimitOption(arg)) {
+      sandboxOptions(options).timeout = readPositiveNumber(args, i, '--cpu-limit');
+      i++;
+    } else if (isMemoryLimitOption(arg)) {
+      sandboxOptions(options).memory = readPositiveNumber(args, i, '--memory-limit');
+      i++;
+    } else if ((serveMode || (!renderMode && !previewMode && !batchMode && !replMode)) && isTimeoutOption(arg)) {
+      options.timeout = readPositiveNumber(args, i, '--timeout');
+      i++;
+    } else if (isTypecheck(arg)) {
+      options.typecheck = options.typecheck || true;
+    } else if (isTypecheckParallel(arg)) {
+      options.typecheck = 'parallel';
+    } else if (isEvalOption(arg)) {
+      options.eval = readOptionValue(args, i, '--eval/-e');
+      i++;
+    } else if (isPrintOption(arg)) {
+      options.print = true;
+      // Like `node -p <code>`; the code may also come from --eval or stdin
+      if (i + 1 < args.length && !args[i + 1].startsWith('-')) {
+        options.eval = args[i + 1];
+        i++;
+      }
+    } else if (isStdin(arg)) {
+      stdinMode = true;
+    } else if (isWatch(arg)) {
+      watchMode = true;
+    } else if (isArgsSeparator(arg)) {
+      // Everything after "--" belongs to the executed script
+      options.scriptArgs = args.slice(i + 1);
+      break;
+    } else if (batchMode && !arg.startsWith('-')) {
+      // Globs are not files, and the shell may have expanded them already
+      batchInputs.push(arg);
     } else if (isFilePath(arg)) {
       filePath = arg;
     }
   }
 
-  if (filePath) {
-    applyDctc(filePath, compiler);
+  if (options.sandbox && (previewMode || serveMode || replMode || watchMode)) {
+    logErr('--sandbox works with running a file, render and batch');
+    applyHelp();
+    process.exit(1);
+  }
+
+  if (options.typecheck && (previewMode || batchMode || serveMode || replMode || watchMode)) {
+    logErr('--typecheck works with running a file or code, and render');
+    applyHelp();
+    process.exit(1);
+  }
+
+  const evalMode = options.eval !== undefined || stdinMode;
+  if (evalMode && (renderMode || previewMode || batchMode || serveMode || replMode || watchMode)) {
+    logErr('--eval, --print and - (stdin) only work with running code');
+    applyHelp();
+    process.exit(1);
+  }
+  if (options.print && !evalMode) {
+    logErr('Please provide the code to print: dctc -p <code>, or dctc -p - to read it from stdin');
+    applyHelp();
+    process.exit(1);
+  }
+
+  if (serveMode) {
+    applyServe(options);
+    return;
+  }
+
+  if (replMode) {
+    applyRepl(options);
+    return;
+  }
+
+  if (batchMode) {
+    if (!batchInputs.length) {
+      logErr('Please provide a glob or a manifest file to batch');
+      applyHelp();
+      process.exit(1);
+    }
+    applyBatch(batchInputs, options);
+    return;
+  }
+
+  if (evalMode) {
+    applyEval(options);
+  } else if (filePath && renderMode) {
+    applyRender(filePath, options);
+  } else if (filePath && previewMode) {
+    applyPreview(filePath, options);
+  } else if (filePath && watchMode) {
+    applyWatch(filePath, options);
+  } else if (filePath) {
+    applyDctc(filePath, options);
   } else {
     logErr('Please provide a file path as an argument');
     applyHelp();
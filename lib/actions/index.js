@@ -1,11 +1,36 @@
-const complie_es = require("../complie_es");
-const complie_rollup = require("../complie_rollup");
-const complie_rolldown = require("../complie_rolldown");
-const complie_swc = require("../complie_swc");
-const execute = require("../execute");
+const { execute, render, renderEmail, preview, batch, serve, repl, watch, clearCache, compilers, DEFAULT_COMPILER } = require("../index");
+const { compileBundle, compilerName } = require("../compile");
+const { shouldUseEsm } = require("../esm");
+const { textPathFor } = require("../email");
+const { runInWorker } = require("../sandbox");
+const { settleExports, onUncaughtErrors } = require("../completion");
+const { PRINT_EXPORT_NAME, virtualEntry, exportLastExpression, formatPrinted } = require("../eval");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { spawn } = require("child_process");
+const { Worker } = require("worker_threads");
 const chalk = require("chalk");
 const log = content => console.log(chalk.green(content));
 const logInfo = content => console.log(chalk.bgWhiteBright(content));
+const logWarn = content => console.warn(chalk.yellow(content));
+const logErr = (...args) => {
+  const msg = args
+    .map((a) => {
+      if (!a) return String(a);
+      // errors thrown inside the vm context are not `instanceof Error` here
+      if (a instanceof Error || typeof a.stack === "string") return a.stack || a.message || String(a);
+      if (typeof a === "string") return a;
+      try {
+        return JSON.stringify(a);
+      } catch {
+        return String(a);
+      }
+    })
+    .join(" ");
+  // use stderr so it still shows up even if stdout is muted by user code
+  console.error(chalk.red(msg));
+};
 
 async function applyVersion() {
   log(`Version: ${require("../../package.json").version}`);
@@ -13,47 +38,468 @@ async function applyVersion() {
 
 function applyHelp() {
   logInfo("dctc is a tool for running TypeScript and JSX files in the browser.");
-  logInfo("Usage: dctc [options] <file>");
+  logInfo("Usage: dctc [options] <file | -e <code> | -> [-- <script args>]");
   logInfo("Options:");
   logInfo(`  -v, --version        Print the version number`);
   logInfo(`  -h, --help           Print this help message`);
   logInfo(`  -c, --compiler <name> Specify compiler: es, swc, rollup, rolldown (default: es)`);
+  logInfo(`  --jsx <runtime>      JSX runtime: classic or automatic (default: from tsconfig.json, else classic)`);
+  logInfo(`  --jsx-import-source <pkg> Import source for the automatic runtime, e.g. preact (implies --jsx automatic)`);
+  logInfo(`  --externals <list>   Packages to keep external: comma separated globs, node_modules or none (default: react,react-dom)`);
+  logInfo(`  --esm                Run as an ES module (automatic when the file uses top-level await)`);
+  logInfo(`  --assets <mode>      Import images as data URIs (inline, default) or file paths (file)`);
+  logInfo(`  --warn-cycles        Print every circular import with its import chain (swc)`);
+  logInfo(`  --no-react-globals   Do not inject React and ReactDOM as globals`);
+  logInfo(`  --no-cache           Do not read or write the on-disk compile cache`);
+  logInfo(`  -e, --eval <code>    Run TS/TSX code given as an argument; "-" as the file reads it from stdin`);
+  logInfo(`  -p, --print [code]   Like --eval (or with it, or with "-"), and print the value of the last expression`);
+  logInfo(`  -w, --watch          Recompile and rerun when the file or its imports change`);
+  logInfo(`  --timeout <ms>       Stop the script with exit code 124 when it runs longer (serve: fail slower requests)`);
+  logInfo(`  --typecheck          Type-check the file and its imports first, and exit with 1 on type errors (also render)`);
+  logInfo(`  --typecheck-parallel Type-check in a worker thread while the code runs, and exit with 1 on type errors`);
+  logInfo(`  --sandbox            Run with restricted require, fs and process, and CPU and memory limits (also render and batch)`);
+  logInfo(`    --allow-modules <list> More modules the code can require: comma separated globs (default: safe built-ins, react, react-dom)`);
+  logInfo(`    --allow-fs <dirs>  Comma separated directories fs can read and write (default: none)`);
+  logInfo(`    --allow-env <names> More environment variables the code can read (default: NODE_ENV)`);
+  logInfo(`    --cpu-limit <ms>   CPU time of each synchronous run of the code (default: 5000)`);
+  logInfo(`    --memory-limit <mb> Heap size of the sandbox worker (default: 512)`);
+  logInfo(`  -- <args>            Pass the remaining arguments to the script via process.argv`);
+  logInfo("Commands:");
+  logInfo(`  render <file>        Render the default export to HTML, printed or written with --out`);
+  logInfo(`    --props <file|json> Props for the component: a JSON file or a JSON string`);
+  logInfo(`    --out <file>       Write the HTML to a file`);
+  logInfo(`    --static           Use renderToStaticMarkup (no hydration attributes, e.g. for emails)`);
+  logInfo(`    --shell            Output a complete document with <!DOCTYPE html>`);
+  logInfo(`    --email            Inline styles for email clients, and with --out also write a .txt version`);
+  logInfo(`  preview <file>       Serve the rendered default export, reloading the page when files change`);
+  logInfo(`    --props <file|json> Props for the component; query parameters override them`);
+  logInfo(`    --port <number>    Port of the server (default: 3000)`);
+  logInfo(`    --hydrate          Hydrate the page with a client bundle, so it is interactive`);
+  logInfo(`  batch <glob|manifest.json...> Render many entries (or prop sets) in worker threads`);
+  logInfo(`    --out-dir <dir>    Directory of the HTML files (default: dist)`);
+  logInfo(`    --concurrency <n>  Number of worker threads (default: number of CPUs)`);
+  logInfo(`    --props, --static, --shell and --email work as for render; --props may be an array of prop sets`);
+  logInfo(`  serve                Answer JSON-RPC requests (run, render, compile), one per line, on stdin/stdout`);
+  logInfo(`    --socket <path>    Listen on a Unix socket instead`);
+  logInfo(`  repl                 Evaluate TypeScript and TSX interactively (import, top-level await, .load <file>)`);
+  logInfo(`  cache clean          Delete the compile cache (node_modules/.cache/dctc)`);
   logInfo("Examples:");
   logInfo(`  dctc src/index.tsx`);
   logInfo(`  dctc src/index.ts`);
   logInfo(`  dctc --compiler rollup src/index.tsx`);
   logInfo(`  dctc -c rolldown src/index.ts`);
+  logInfo(`  dctc --watch generate-html.tsx`);
+  logInfo(`  dctc --jsx-import-source preact --no-react-globals src/index.tsx`);
+  logInfo(`  dctc --externals 'react,react-dom,@aws-sdk/*' src/index.tsx`);
+  logInfo(`  dctc gen.tsx -- --lang fr --out dist/`);
+  logInfo(`  dctc render --typecheck templates/invoice.tsx --props invoice.json`);
+  logInfo(`  dctc -p 'import { slugify } from "./src/utils"; slugify("Hello World")'`);
+  logInfo(`  cat generated.tsx | dctc -c swc -`);
+  logInfo(`  dctc render --sandbox --allow-fs ./data --cpu-limit 1000 templates/invoice.tsx`);
+  logInfo(`  dctc render src/email.tsx --props props.json --static --shell --out email.html`);
+  logInfo(`  dctc render src/email.tsx --props props.json --email --out dist/email.html`);
+  logInfo(`  dctc batch 'templates/**/*.tsx' --email --out-dir dist/emails`);
+  logInfo(`  dctc serve --socket /tmp/dctc.sock -c swc`);
+  logInfo(`  dctc preview src/Button.tsx --hydrate --port 4000`);
+  logInfo(`  dctc repl --compiler swc`);
 }
 
-async function applyDctc(inputFile, compiler = 'es') {
-  let code;
-  
-  switch (compiler.toLowerCase()) {
-    case 'es':
-    case 'esbuild':
-      code = await complie_es(inputFile);
-      break;
-    case 'swc':
-      code = await complie_swc(inputFile);
-      break;
-    case 'rollup':
-      code = await complie_rollup(inputFile);
-      break;
-    case 'rolldown':
-      code = await complie_rolldown(inputFile);
-      break;
-    default:
-      log(`Unknown compiler: ${compiler}, using default 'es'`);
-      code = await complie_es(inputFile);
-      break;
-  }
-  
-  execute(code, inputFile);
-  process.exit(0);
+function resolveCompilerName(compiler) {
+  if (!compilers[compiler.toLowerCase()]) {
+    log(`Unknown compiler: ${compiler}, using default '${DEFAULT_COMPILER}'`);
+    return DEFAULT_COMPILER;
+  }
+  return compilerName(compiler);
+}
+
+/**
+ * Options shared by the compile step of every command.
+ */
+function compileOptions(options) {
+  return {
+    compiler: resolveCompilerName(options.compiler || DEFAULT_COMPILER),
+    jsx: options.jsx,
+    jsxImportSource: options.jsxImportSource,
+    externals: options.externals,
+    esm: options.esm,
+    warnCycles: options.warnCycles,
+    assets: options.assets,
+    cache: options.cache,
+    source: options.source,
+  };
+}
+
+/**
+ * ES modules run with `vm.SourceTextModule`, which Node only has with --experimental-vm-modules.
+ * Run dctc again with that flag (and without the experimental warning) when a file needs it,
+ * or always when `inputFile` is null (the files of `serve` are not known in advance).
+ * Must be called before process.argv is changed for the script. Code already read from stdin
+ * (`options.stdin`) is written to the stdin of the new process.
+ * Returns true when the new process runs instead: the caller must stop there. This process then
+ * passes SIGTERM and SIGHUP on to it, and exits like it.
+ */
+function ensureVmModules(inputFile, options) {
+  if (typeof vm.SourceTextModule === "function") return false;
+  if (inputFile !== null && !shouldUseEsm(inputFile, options)) return false;
+  const flags = ["--experimental-vm-modules"];
+  if (process.allowedNodeEnvironmentFlags.has("--disable-warning")) {
+    flags.push("--disable-warning=ExperimentalWarning");
+  }
+  const child = spawn(process.execPath, [...process.execArgv, ...flags, ...process.argv.slice(1)], {
+    stdio: options.stdin !== undefined ? ["pipe", "inherit", "inherit"] : "inherit",
+  });
+  if (options.stdin !== undefined) child.stdin.end(options.stdin);
+  const forward = (signal) => child.kill(signal);
+  // Ctrl+C reaches the child from the terminal already
+  const ignore = () => {};
+  process.on("SIGTERM", forward);
+  process.on("SIGHUP", forward);
+  process.on("SIGINT", ignore);
+  child.on("exit", (code, signal) => {
+    process.off("SIGTERM", forward);
+    process.off("SIGHUP", forward);
+    process.off("SIGINT", ignore);
+    if (signal) process.kill(process.pid, signal);
+    else process.exit(code);
+  });
+  child.on("error", (error) => {
+    logErr("Could not start Node with --experimental-vm-modules:", error);
+    process.exit(1);
+  });
+  return true;
+}
+
+/**
+ * Stop the script after `ms` with exit code 124, like timeout(1). When the script blocks the
+ * event loop, so the timer cannot fire, a watchdog thread kills the process a second later.
+ */
+function exitOnTimeout(inputFile, ms) {
+  const message = `[dctc] ${inputFile} timed out after ${ms} ms`;
+  setTimeout(() => {
+    logErr(message);
+    process.exit(124);
+  }, ms).unref();
+  const watchdog = new Worker(
+    `const fs = require("fs");
+const { workerData } = require("worker_threads");
+setTimeout(() => {
+  fs.writeSync(2, workerData.message);
+  process.kill(process.pid, "SIGKILL");
+}, workerData.ms);`,
+    { eval: true, workerData: { ms: ms + 1000, message: `${chalk.red(`${message}, and was killed as it blocked the event loop`)}\n` } }
+  );
+  watchdog.unref();
+}
+
+/**
+ * --typecheck: check the entry and its imports before anything runs, and exit with code 1 on
+ * type errors. With --typecheck-parallel, the check runs in a worker thread while the code
+ * runs, and dctc waits for it before exiting, with code 1 on type errors.
+ */
+function applyTypecheck(inputFile, options) {
+  if (!options.typecheck) return;
+  // Loads the typescript package, so only when it is needed
+  const { typecheck, startTypecheck } = require("../typecheck");
+  const checkOptions = {
+    jsx: options.jsx,
+    jsxImportSource: options.jsxImportSource,
+    reactGlobals: options.reactGlobals,
+    source: options.checkSource !== undefined ? options.checkSource : options.source,
+    colors: !!process.stderr.isTTY,
+  };
+  const report = ({ errors, files, text }) => {
+    if (text) process.stderr.write(text);
+    if (errors) logErr(`[dctc] Found ${errors} type error${errors === 1 ? "" : "s"} in ${files.length} file${files.length === 1 ? "" : "s"}`);
+    return errors > 0;
+  };
+  if (options.typecheck === "parallel") {
+    const check = startTypecheck(inputFile, checkOptions);
+    process.on("exit", () => {
+      try {
+        if (report(check.wait()) && !process.exitCode) process.exitCode = 1;
+      } catch (error) {
+        logErr("Type check failed:", error);
+        if (!process.exitCode) process.exitCode = 1;
+      }
+    });
+    return;
+  }
+  try {
+    if (report(typecheck(inputFile, checkOptions))) process.exit(1);
+  } catch (error) {
+    logErr("Type check failed:", error);
+    process.exit(1);
+  }
+}
+
+async function applyDctc(inputFile, options = {}) {
+  if (ensureVmModules(inputFile, options)) return;
+  applyTypecheck(inputFile, options);
+
+  let settled = false;
+  // Like node with a top-level await that never settles: the event loop ran out of work before
+  // the script was done. An exit of the script (process.exit()) does not get here.
+  process.once("beforeExit", () => {
+    if (settled) return;
+    logErr(`[dctc] ${inputFile} ended before the promise it exports (or its top-level await) settled`);
+    if (!process.exitCode) process.exitCode = 13;
+  });
+
+  try {
+    const { code, esm } = await compileBundle(inputFile, compileOptions(options));
+
+    // Shape process.argv like `node <file> ...args`, so the script (and anything it requires)
+    // can parse its own arguments.
+    process.argv = [process.argv[0], path.resolve(inputFile), ...(options.scriptArgs || [])];
+
+    if (options.timeout) exitOnTimeout(inputFile, options.timeout);
+    // Like node, an error nobody catches ends the run
+    onUncaughtErrors(code, inputFile, (error, kind) => {
+      logErr(`${kind}:`, error);
+      process.exit(1);
+    });
+
+    if (options.sandbox) {
+      const { exports, exitCode } = await runInWorker("run", { code, esm }, path.resolve(inputFile), {
+        argv: process.argv,
+        reactGlobals: options.reactGlobals,
+        sandbox: options.sandbox,
+      });
+      process.exitCode = exitCode;
+      if (options.print) console.log(await formatPrinted(exports[PRINT_EXPORT_NAME], inputFile, process.stdout.isTTY));
+    } else {
+      const exports = await execute(code, inputFile, { reactGlobals: options.reactGlobals, esm });
+      await settleExports(exports);
+      if (options.print) console.log(await formatPrinted(exports && exports[PRINT_EXPORT_NAME], inputFile, process.stdout.isTTY));
+    }
+  } catch (error) {
+    logErr('Execute failed:', error);
+    process.exit(1);
+  }
+  settled = true;
+  // dctc exits once the timers, servers and I/O of the script are done, with the exit code
+  // the script set (process.exitCode)
+}
+
+/**
+ * Run the code of --eval / --print, or the code read from stdin (`dctc -`), as if it was a
+ * file of the working directory.
+ */
+async function applyEval(options = {}) {
+  const fromStdin = options.eval === undefined;
+  const code = fromStdin ? fs.readFileSync(0, "utf8") : options.eval;
+  await applyDctc(virtualEntry(fromStdin ? "stdin" : "eval"), {
+    ...options,
+    stdin: fromStdin ? code : undefined,
+    source: options.print ? exportLastExpression(code) : code,
+    // --typecheck reports the code as it was written
+    checkSource: code,
+  });
+}
+
+/**
+ * Whether `--props` is a JSON string (an object, or an array of prop sets for `batch`) rather than a file.
+ */
+function isJsonProps(value) {
+  return /^\s*[[{]/.test(value);
+}
+
+/**
+ * Props given to `render --props`: a JSON string, or the path of a JSON file.
+ */
+function readProps(value) {
+  if (value === undefined) return {};
+  const isJson = isJsonProps(value);
+  try {
+    return JSON.parse(isJson ? value : fs.readFileSync(value, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not read props from ${isJson ? "--props" : value}: ${error.message}`);
+  }
+}
+
+async function applyRender(inputFile, options = {}) {
+  if (ensureVmModules(inputFile, options)) return;
+  applyTypecheck(inputFile, options);
+  process.argv = [process.argv[0], path.resolve(inputFile)];
+  let html;
+  let text;
+  try {
+    const renderOptions = {
+      ...compileOptions(options),
+      reactGlobals: options.reactGlobals,
+      props: readProps(options.props),
+      static: options.static,
+      shell: options.shell,
+      sandbox: options.sandbox,
+    };
+    if (options.email) {
+      const email = await renderEmail(inputFile, renderOptions);
+      html = email.html;
+      text = email.text;
+      email.warnings.forEach((warning) => logWarn(`[dctc] Email: ${warning}`));
+    } else {
+      html = await render(inputFile, renderOptions);
+    }
+  } catch (error) {
+    logErr('Render failed:', error);
+    process.exit(1);
+  }
+  if (options.out) {
+    fs.mkdirSync(path.dirname(path.resolve(options.out)), { recursive: true });
+    fs.writeFileSync(options.out, html);
+    if (text !== undefined) {
+      fs.writeFileSync(textPathFor(options.out), text);
+      log(`[dctc] Rendered ${inputFile} to ${options.out} and ${textPathFor(options.out)}`);
+    } else {
+      log(`[dctc] Rendered ${inputFile} to ${options.out}`);
+    }
+    process.exit(0);
+  }
+  // Let piped output drain before exiting
+  process.stdout.write(html + "\n", () => process.exit(0));
+}
+
+async function applyPreview(inputFile, options = {}) {
+  if (ensureVmModules(inputFile, options)) return;
+  process.argv = [process.argv[0], path.resolve(inputFile)];
+  // A JSON string is fixed; a file is read again on every request, and watched
+  const isJson = options.props !== undefined && isJsonProps(options.props);
+  let server;
+  try {
+    server = await preview(inputFile, {
+      ...compileOptions(options),
+      reactGlobals: options.reactGlobals,
+      props: isJson ? readProps(options.props) : undefined,
+      propsFile: isJson ? undefined : options.props,
+      port: options.port,
+      hydrate: options.hydrate,
+      onLog: log,
+    });
+  } catch (error) {
+    logErr('Preview failed:', error);
+    process.exit(1);
+  }
+  log(`[dctc] Previewing ${inputFile} at ${server.url}`);
+}
+
+async function applyBatch(inputs, options = {}) {
+  const started = Date.now();
+  let results;
+  try {
+    results = await batch(inputs, {
+      ...compileOptions(options),
+      reactGlobals: options.reactGlobals,
+      props: options.props === undefined ? undefined : readProps(options.props),
+      static: options.static,
+      shell: options.shell,
+      email: options.email,
+      outDir: options.outDir,
+      concurrency: options.concurrency,
+      sandbox: options.sandbox,
+      onResult: (result) => {
+        if (result.error) {
+          logErr(`✗ ${result.label}: ${String(result.error.message).split("\n")[0]}`);
+          return;
+        }
+        log(`✓ ${result.label} -> ${path.relative(process.cwd(), result.out)}`);
+        result.warnings.forEach((warning) => logWarn(`  Email: ${warning}`));
+      },
+    });
+  } catch (error) {
+    logErr('Batch failed:', error);
+    process.exit(1);
+  }
+
+  const failed = results.filter((result) => result.error);
+  const seconds = ((Date.now() - started) / 1000).toFixed(1);
+  log(`[dctc] Rendered ${results.length - failed.length} of ${results.length} in ${seconds}s`);
+  if (!failed.length) process.exit(0);
+
+  // Failures per entry, with the first error of each
+  const failedByEntry = new Map();
+  for (const result of failed) {
+    failedByEntry.set(result.entry, [...(failedByEntry.get(result.entry) || []), result]);
+  }
+  logErr(`[dctc] ${failed.length} render(s) failed:`);
+  for (const [entry, entryFailures] of failedByEntry) {
+    const total = results.filter((result) => result.entry === entry).length;
+    logErr(`${path.relative(process.cwd(), entry)}: ${entryFailures.length} of ${total} failed`);
+    logErr(entryFailures[0].error);
+  }
+  process.exit(1);
+}
+
+async function applyServe(options = {}) {
+  if (ensureVmModules(null, options)) return;
+  let output;
+  if (!options.socket) {
+    // stdout carries the responses: anything else dctc or a compiler prints goes to stderr
+    output = { write: process.stdout.write.bind(process.stdout) };
+    process.stdout.write = process.stderr.write.bind(process.stderr);
+  }
+  let server;
+  try {
+    server = await serve({
+      ...compileOptions(options),
+      reactGlobals: options.reactGlobals,
+      socket: options.socket,
+      timeout: options.timeout,
+      output,
+    });
+  } catch (error) {
+    logErr('Serve failed:', error);
+    process.exit(1);
+  }
+  log(options.socket ? `[dctc] Listening on ${options.socket}` : '[dctc] Reading JSON-RPC requests from stdin');
+  const stop = () => server.close().then(() => process.exit(0));
+  process.once("SIGINT", stop);
+  process.once("SIGTERM", stop);
+}
+
+function applyRepl(options = {}) {
+  // Ctrl+C belongs to the REPL, also when it runs in a child process started by ensureVmModules
+  process.on("SIGINT", () => {});
+  // Files imported at the prompt may need to run as ES modules
+  if (ensureVmModules(null, options)) return;
+  const server = repl({
+    ...compileOptions(options),
+    reactGlobals: options.reactGlobals,
+  });
+  // Like node, exit on .exit or at the end of the input, even when timers are left
+  server.on("exit", () => server.idle().then(() => process.exit(0)));
+}
+
+function applyCacheClean() {
+  clearCache();
+  log('[dctc] Compile cache cleared');
+}
+
+function applyWatch(inputFile, options = {}) {
+  if (ensureVmModules(inputFile, options)) return;
+  process.argv = [process.argv[0], path.resolve(inputFile), ...(options.scriptArgs || [])];
+
+  watch(inputFile, {
+    ...compileOptions(options),
+    reactGlobals: options.reactGlobals,
+    onRun: ({ files }) => log(`[dctc] Watching ${files.length} file(s) for changes...`),
+    onChange: (files) => log(`[dctc] Changed: ${files.map((file) => path.relative(process.cwd(), file)).join(', ')}`),
+    onError: (error) => {
+      logErr('Execute failed:', error);
+      log('[dctc] Waiting for changes...');
+    },
+  });
 }
 
 module.exports = {
   applyVersion,
   applyHelp,
   applyDctc,
+  applyEval,
+  applyWatch,
+  applyRender,
+  applyPreview,
+  applyBatch,
+  applyServe,
+  applyRepl,
+  applyCacheClean,
 }
\ No newline at end of file
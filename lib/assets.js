@@ -0,0 +1,269 @@
+/**
+ * Loaders for files that are not JavaScript: styles and images.
+ * Every compiler turns them into small ES modules with `loadAsset`:
+ *
+ * - `.css`, `.scss`, `.sass`: the default export is the CSS text. `*.module.*` files are
+ *   CSS Modules: their class names are made unique and the default export maps each
+ *   original name to its unique one.
+ * - Images: the default export is a data URI (`assets: "inline"`, the default) or the
+ *   absolute file path (`assets: "file"`).
+ *
+ * When the code runs, every imported style reports its CSS to `__dctc_style`, so the
+ * styles of a rendered template can be collected and added to its HTML (see `insertStyles`).
+ *
+ * @author pipi
+ */
+const fs = require("fs"); // Import the file system module
+const path = require("path"); // Import the path module
+const crypto = require("crypto");
+const { createRequire } = require("module");
+const { fileURLToPath } = require("url");
+const { findPackageScope } = require("./resolve");
+
+const STYLE_EXTS = [".css", ".scss", ".sass"];
+const IMAGE_TYPES = {
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".avif": "image/avif",
+  ".svg": "image/svg+xml",
+  ".ico": "image/x-icon",
+  ".bmp": "image/bmp",
+};
+const ASSET_MODES = ["inline", "file"];
+
+/**
+ * Matches every file `loadAsset` handles, for bundler plugin filters.
+ */
+const ASSET_FILTER = new RegExp(
+  `\\.(${[...STYLE_EXTS, ...Object.keys(IMAGE_TYPES)].map((ext) => ext.slice(1)).join("|")})$`,
+  "i"
+);
+
+/**
+ * Whether a file is a style or an image handled by `loadAsset`.
+ * @param {string} file
+ * @returns {boolean}
+ */
+function isAsset(file) {
+  return ASSET_FILTER.test(file);
+}
+
+/**
+ * Validate an `assets` option.
+ * @param {string} [mode] - inline or file.
+ * @returns {string}
+ * @throws {Error} If the mode is unknown.
+ */
+function normalizeAssetMode(mode) {
+  if (mode === undefined || mode === null) return "inline";
+  if (!ASSET_MODES.includes(mode)) {
+    throw new Error(`Invalid assets mode: ${JSON.stringify(mode)}. Expected one of: ${ASSET_MODES.join(", ")}`);
+  }
+  return mode;
+}
+
+/**
+ * Compile a Sass file with the `sass` package of the user's project.
+ * @param {string} file - Absolute path of a `.scss` / `.sass` file.
+ * @returns {{ css: string, files: string[] }} The CSS, and every file it was compiled from.
+ */
+function compileSass(file) {
+  let sass;
+  try {
+    sass = createRequire(file)("sass");
+  } catch (error) {
+    if (error && error.code === "MODULE_NOT_FOUND") {
+      throw new Error(`Importing ${file} needs the "sass" package. Install it in the project.`);
+    }
+    throw error;
+  }
+  const result = sass.compile(file, { style: "expanded" });
+  const files = result.loadedUrls.filter((url) => url.protocol === "file:").map((url) => fileURLToPath(url));
+  return { css: result.css, files };
+}
+
+/**
+ * Read a CSS file, replacing relative `@import`s with the files they import.
+ * @param {string} file - Absolute path of a `.css` file.
+ * @param {Set<string>} files - Receives every file read.
+ * @returns {string} The CSS.
+ */
+function readCss(file, files) {
+  files.add(file);
+  const css = fs.readFileSync(file, "utf8");
+  return css.replace(/@import\s+(?:url\(\s*)?(["'])(\.{1,2}\/[^"']+)\1\s*\)?\s*;/g, (statement, quote, spec) => {
+    const imported = path.resolve(path.dirname(file), spec);
+    return files.has(imported) ? "" : readCss(imported, files);
+  });
+}
+
+/**
+ * Rename the classes of one selector, leaving `:global(...)` parts as they are.
+ * @param {string} selector - e.g. ".button:hover > :global(.icon)".
+ * @param {(name: string) => string} rename
+ * @returns {string}
+ */
+function scopeSelector(selector, rename) {
+  // Comments and strings (e.g. in `[href$=".pdf"]`) are kept as they are
+  const renameClasses = (part) =>
+    part
+      .split(/(\/\*[\s\S]*?\*\/|"(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*')/)
+      .map((piece, index) =>
+        index % 2 ? piece : piece.replace(/\.(-?[_a-zA-Z\u00A0-\uFFFF][\w-]*)/g, (match, name) => `.${rename(name)}`)
+      )
+      .join("");
+  const pseudo = /:(global|local)\(/g;
+  let out = "";
+  let last = 0;
+  let match;
+  while ((match = pseudo.exec(selector))) {
+    out += renameClasses(selector.slice(last, match.index));
+    let depth = 1;
+    let end = pseudo.lastIndex;
+    for (; end < selector.length && depth; end++) {
+      if (selector[end] === "(") depth++;
+      else if (selector[end] === ")") depth--;
+    }
+    const inner = selector.slice(pseudo.lastIndex, end - 1);
+    out += match[1] === "global" ? inner : renameClasses(inner);
+    last = end;
+    pseudo.lastIndex = end;
+  }
+  return out + renameClasses(selector.slice(last));
+}
+
+/**
+ * Make the class names of a CSS Module unique, e.g. `.primary` in Button.module.css
+ * becomes `.Button_primary__1a2b3`.
+ *
+ * Only selectors are renamed: declarations, `@keyframes` and `@font-face` blocks are copied
+ * as they are, and rules inside `@media`, `@supports`, `@layer` and `@container` are renamed too.
+ * The hash comes from the file's path inside its package, so names are the same on every machine.
+ *
+ * @param {string} css - CSS of the module.
+ * @param {string} file - Absolute path of the module.
+ * @returns {{ css: string, classes: Record<string, string> }} The renamed CSS, and the class name map.
+ */
+function scopeCssModule(css, file) {
+  const root = findPackageScope(path.dirname(file)) || process.cwd();
+  const id = crypto.createHash("sha1").update(path.relative(root, file).split(path.sep).join("/")).digest("hex").slice(0, 5);
+  const base = path.basename(file).replace(/(\.module)?\.[^.]+$/, "").replace(/[^\w-]/g, "_");
+  const classes = {};
+  const rename = (name) => {
+    if (!classes[name]) classes[name] = `${base}_${name}__${id}`;
+    return classes[name];
+  };
+
+  // Each open block is a "group" (holds rules), a "rule" (holds declarations) or "other"
+  const blocks = ["group"];
+  let out = "";
+  let prelude = "";
+  for (let i = 0; i < css.length; i++) {
+    const char = css[i];
+    if (char === "/" && css[i + 1] === "*") {
+      const end = css.indexOf("*/", i + 2);
+      const stop = end === -1 ? css.length : end + 2;
+      prelude += css.slice(i, stop);
+      i = stop - 1;
+    } else if (char === '"' || char === "'") {
+      let end = i + 1;
+      while (end < css.length && css[end] !== char) end += css[end] === "\\" ? 2 : 1;
+      prelude += css.slice(i, end + 1);
+      i = end;
+    } else if (char === "{") {
+      const context = blocks[blocks.length - 1];
+      const atRule = prelude.trim().startsWith("@");
+      let kind = "other";
+      if (atRule && context !== "other") {
+        kind = /^@(media|supports|layer|container|document|scope)\b/i.test(prelude.trim()) ? "group" : "other";
+      } else if (!atRule && context !== "other") {
+        // Nested rules (CSS nesting) are selectors too
+        kind = "rule";
+        prelude = scopeSelector(prelude, rename);
+      }
+      blocks.push(kind);
+      out += prelude + char;
+      prelude = "";
+    } else if (char === "}") {
+      if (blocks.length > 1) blocks.pop();
+      out += prelude + char;
+      prelude = "";
+    } else if (char === ";") {
+      out += prelude + char;
+      prelude = "";
+    } else {
+      prelude += char;
+    }
+  }
+  return { css: out + prelude, classes };
+}
+
+/**
+ * Load a style or an image as an ES module.
+ *
+ * @param {string} file - Absolute path of the file (see `isAsset`).
+ * @param {object} [options]
+ * @param {string} [options.assets="inline"] - Export images as data URIs (inline) or absolute paths (file).
+ * @returns {{ code: string, files: string[] }} Module source, and every file it was built from
+ *   (e.g. Sass partials), so caches and watch mode can follow them.
+ */
+function loadAsset(file, options = {}) {
+  const ext = path.extname(file).toLowerCase();
+
+  if (STYLE_EXTS.includes(ext)) {
+    const files = new Set([file]);
+    let css;
+    if (ext === ".css") {
+      css = readCss(file, files);
+    } else {
+      const compiled = compileSass(file);
+      css = compiled.css;
+      for (const dependency of compiled.files) files.add(dependency);
+    }
+    let exported = "__dctc_css";
+    if (/\.module\.[^.]+$/i.test(file)) {
+      const scoped = scopeCssModule(css, file);
+      css = scoped.css;
+      exported = JSON.stringify(scoped.classes);
+    }
+    const code = [
+      `var __dctc_css = ${JSON.stringify(css)};`,
+      `if (typeof __dctc_style === "function") __dctc_style(${JSON.stringify(file)}, __dctc_css);`,
+      `export default ${exported};`,
+    ].join("\n");
+    return { code, files: [...files] };
+  }
+
+  const url =
+    normalizeAssetMode(options.assets) === "file"
+      ? file
+      : `data:${IMAGE_TYPES[ext]};base64,${fs.readFileSync(file).toString("base64")}`;
+  return { code: `export default ${JSON.stringify(url)};`, files: [file] };
+}
+
+/**
+ * Add collected styles to an HTML document, as one `<style>` element at the end of `<head>`
+ * (or at the start of the document when it has no `<head>`).
+ *
+ * @param {string} html - Rendered HTML.
+ * @param {Array<{ file: string, css: string }>} styles - Styles collected while the code ran.
+ * @returns {string} The HTML with the styles.
+ */
+function insertStyles(html, styles) {
+  if (!styles || !styles.length) return html;
+  const element = `<style>\n${styles.map((style) => style.css.trim()).join("\n")}\n</style>`;
+  const headEnd = html.search(/<\/head>/i);
+  return headEnd === -1 ? element + html : html.slice(0, headEnd) + element + html.slice(headEnd);
+}
+
+module.exports = {
+  ASSET_FILTER,
+  isAsset,
+  normalizeAssetMode,
+  scopeCssModule,
+  loadAsset,
+  insertStyles,
+};
@@ -0,0 +1,277 @@
+/**
+ * Render many entries, or one entry with many prop sets, in one run (`dctc batch`).
+ *
+ * Every entry is compiled once in the main thread, whatever the number of prop sets it is
+ * rendered with. The renders run in a pool of worker threads, and each result is written to
+ * the output directory as soon as it is ready. A failing render does not stop the others.
+ *
+ * Entries come from globs (e.g. `templates/*.tsx`) or from manifest files: JSON arrays of
+ * `{ entry, props, out }`, whose paths are relative to the manifest. `props` can be an array,
+ * to render the entry once per prop set.
+ *
+ * @author pipi
+ */
+const fs = require("fs"); // Import the file system module
+const path = require("path"); // Import the path module
+const os = require("os");
+const { Worker } = require("worker_threads");
+const { compileBundle } = require("./compile");
+const { globToRegExp } = require("./externals");
+const { textPathFor } = require("./email");
+const { workerExecArgv } = require("./esm");
+const { resolveSandbox, watchHeartbeat } = require("./sandbox");
+
+const WORKER_FILE = path.join(__dirname, "batch_worker.js");
+
+/**
+ * Files matching a glob. `node_modules` and hidden directories are skipped.
+ *
+ * @param {string} pattern - e.g. "templates/*.tsx"; relative to the working directory.
+ * @returns {{ base: string, files: string[] }} The directory before the first glob segment
+ *   (outputs keep the paths below it), and the matching files, sorted.
+ */
+function expandGlob(pattern) {
+  const segments = pattern.split(path.sep).join("/").split("/");
+  const firstGlob = segments.findIndex((segment) => /[*?]/.test(segment));
+  if (firstGlob === -1) {
+    const file = path.resolve(pattern);
+    return { base: path.dirname(file), files: fs.existsSync(file) ? [file] : [] };
+  }
+
+  const base = path.resolve(segments.slice(0, firstGlob).join("/") || ".");
+  const matcher = globToRegExp(segments.slice(firstGlob).join("/"));
+  const files = [];
+  const walk = (dir) => {
+    for (const dirent of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (dirent.name.startsWith(".") || dirent.name === "node_modules") continue;
+      const file = path.join(dir, dirent.name);
+      if (dirent.isDirectory()) walk(file);
+      else if (dirent.isFile() && matcher.test(path.relative(base, file).split(path.sep).join("/"))) files.push(file);
+    }
+  };
+  if (fs.existsSync(base) && fs.statSync(base).isDirectory()) walk(base);
+  return { base, files: files.sort() };
+}
+
+/**
+ * Read a manifest file.
+ * @param {string} file - JSON array of `{ entry, props, out }`.
+ * @returns {Array<{ entry: string, props?: object | object[], out?: string, base: string }>}
+ * @throws {Error} If the manifest cannot be read or is not an array of entries.
+ */
+function readManifest(file) {
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not read the batch manifest ${file}: ${error.message}`);
+  }
+  if (!Array.isArray(manifest) || manifest.some((item) => !item || typeof item.entry !== "string")) {
+    throw new Error(`The batch manifest ${file} must be an array of { "entry", "props", "out" } objects`);
+  }
+  const base = path.dirname(path.resolve(file));
+  return manifest.map((item) => ({ ...item, entry: path.resolve(base, item.entry), base }));
+}
+
+/**
+ * Turn globs, manifests and entry objects into one job per render.
+ *
+ * @param {string | Array<string | object>} inputs
+ * @param {object} options - Options of `batch`.
+ * @returns {Array<{ entry: string, props: object, out: string, label: string }>}
+ * @throws {Error} If two renders would write the same file.
+ */
+function collectJobs(inputs, options) {
+  const outDir = path.resolve(options.outDir || "dist");
+  const items = [];
+  for (const input of [].concat(inputs)) {
+    if (input && typeof input === "object") {
+      items.push({ ...input, entry: path.resolve(input.entry), base: process.cwd() });
+    } else if (/\.json$/i.test(input)) {
+      items.push(...readManifest(input));
+    } else {
+      const { base, files } = expandGlob(input);
+      items.push(...files.map((entry) => ({ entry, base })));
+    }
+  }
+
+  const jobs = [];
+  const outs = new Map(); // output file => label of the render that writes it
+  for (const item of items) {
+    const props = item.props !== undefined ? item.props : options.props;
+    const propSets = Array.isArray(props) ? props : [props || {}];
+    let relativeEntry = path.relative(item.base, item.entry);
+    if (relativeEntry.startsWith("..")) relativeEntry = path.basename(item.entry);
+    const name = (item.out || relativeEntry).replace(/\.[^./\\]+$/, "");
+    propSets.forEach((propSet, index) => {
+      const label = path.relative(process.cwd(), item.entry) + (Array.isArray(props) ? ` (props #${index + 1})` : "");
+      const out = item.out && !Array.isArray(props)
+        ? path.resolve(outDir, item.out)
+        : path.resolve(outDir, `${name}${Array.isArray(props) ? `.${index + 1}` : ""}.html`);
+      if (outs.has(out)) {
+        throw new Error(`${outs.get(out)} and ${label} would both write ${out}. Set "out" in the manifest.`);
+      }
+      outs.set(out, label);
+      jobs.push({ entry: item.entry, props: propSet, out, label });
+    });
+  }
+  return jobs;
+}
+
+/**
+ * Run jobs in a pool of workers.
+ *
+ * @param {object[]} jobs - From `collectJobs`.
+ * @param {Map<string, { code?: string, esm?: boolean, error?: Error }>} bundles - Compiled entries.
+ * @param {object} renderOptions - Sent to the workers with every job.
+ * @param {number} concurrency - Maximum number of workers.
+ * @param {(job: object, outcome: { html?: string, text?: string, warnings?: string[], error?: Error }) => object} onDone
+ * @returns {Promise<object[]>} - The values returned by `onDone`, in the order of the jobs.
+ */
+function runJobs(jobs, bundles, renderOptions, concurrency, onDone) {
+  return new Promise((resolve) => {
+    const results = new Array(jobs.length);
+    const queue = [];
+    const workers = new Set();
+    let pending = jobs.length;
+    const complete = (index, outcome) => {
+      results[index] = onDone(jobs[index], outcome);
+      if (--pending === 0) {
+        for (const state of workers) state.worker.terminate();
+        resolve(results);
+      }
+    };
+
+    // Entries that did not compile fail without a worker
+    jobs.forEach((job, index) => {
+      const { error } = bundles.get(job.entry);
+      if (error) complete(index, { error });
+      else queue.push(index);
+    });
+
+    const execArgv = workerExecArgv([...bundles.values()]);
+    const size = Math.min(concurrency, queue.length);
+    const dispatch = (state) => {
+      if (!queue.length) {
+        state.worker.terminate();
+        return;
+      }
+      state.index = queue.shift();
+      const { entry, props } = jobs[state.index];
+      const message = { entry, props, options: renderOptions };
+      if (!state.sent.has(entry)) {
+        const { code, esm } = bundles.get(entry);
+        Object.assign(message, { code, esm });
+        state.sent.add(entry);
+      }
+      state.worker.postMessage(message);
+    };
+    const fail = (state, error) => {
+      if (state.index === null) return;
+      const index = state.index;
+      state.index = null;
+      complete(index, { error });
+    };
+    const startWorker = () => {
+      const { sandbox } = renderOptions;
+      // A render that runs out of memory stops its worker, like process.exit() does
+      const resourceLimits = sandbox ? { maxOldGenerationSizeMb: sandbox.memory } : undefined;
+      // So does a render that blocks the event loop of a sandboxed worker past the CPU limit
+      const watchdog = sandbox
+        ? watchHeartbeat(sandbox.timeout, (error) => {
+          fail(state, error);
+          state.worker.terminate();
+        })
+        : null;
+      const workerData = watchdog ? { heartbeat: watchdog.heartbeat, interval: watchdog.interval } : undefined;
+      const state = { worker: new Worker(WORKER_FILE, { execArgv, resourceLimits, workerData }), sent: new Set(), index: null };
+      workers.add(state);
+      state.worker.on("message", (outcome) => {
+        const index = state.index;
+        state.index = null;
+        if (outcome.error) {
+          const error = new Error(outcome.error.message);
+          error.stack = outcome.error.stack || error.stack;
+          complete(index, { error });
+        } else {
+          complete(index, outcome);
+        }
+        dispatch(state);
+      });
+      state.worker.on("error", (error) => fail(state, error));
+      state.worker.on("exit", (code) => {
+        if (watchdog) watchdog.stop();
+        workers.delete(state);
+        fail(state, new Error(`The worker stopped with exit code ${code}`));
+        // e.g. the rendered code called process.exit(): go on with a new worker
+        if (queue.length && workers.size < size) startWorker();
+      });
+      dispatch(state);
+    };
+    for (let i = 0; i < size; i++) startWorker();
+  });
+}
+
+/**
+ * Render entries to an output directory.
+ *
+ * @param {string | Array<string | object>} inputs - Globs, manifest files (`.json`), or
+ *   `{ entry, props, out }` objects.
+ * @param {object} [options] - Same options as `compile`, plus:
+ * @param {string} [options.outDir='dist'] - Directory of the HTML files.
+ * @param {object | object[]} [options.props] - Props of the entries that have none; an array renders each entry once per prop set.
+ * @param {number} [options.concurrency] - Number of worker threads (default: the number of CPUs).
+ * @param {boolean} [options.static=false] - Use `renderToStaticMarkup`.
+ * @param {boolean} [options.shell=false] - Output complete documents.
+ * @param {boolean} [options.email=false] - Prepare the HTML for email clients, and write a `.txt` version (see lib/email.js).
+ * @param {boolean} [options.reactGlobals=true] - Inject `React` and `ReactDOM` as globals.
+ * @param {true | object} [options.sandbox] - Render in the sandbox; each worker gets its memory limit (see lib/sandbox.js).
+ * @param {(result: object) => void} [options.onResult] - Called as soon as each render is written or failed.
+ * @returns {Promise<Array<{ entry: string, label: string, props: object, out?: string, warnings?: string[], error?: Error }>>}
+ *   One result per render, in input order. Failed renders have an `error`; the others the path of their HTML.
+ * @throws {Error} If nothing matches the inputs, or a manifest is invalid.
+ */
+async function batch(inputs, options = {}) {
+  const jobs = collectJobs(inputs, options);
+  if (!jobs.length) {
+    throw new Error(`Nothing to render: no file matches ${[].concat(inputs).join(", ")}`);
+  }
+  const onResult = options.onResult || (() => {});
+  const renderOptions = {
+    static: !!(options.static || options.email),
+    shell: !!(options.shell || options.email),
+    email: !!options.email,
+    reactGlobals: options.reactGlobals,
+    sandbox: options.sandbox ? resolveSandbox(options.sandbox) : undefined,
+  };
+
+  // Compilers are CPU bound, so entries are compiled one after the other
+  const bundles = new Map();
+  for (const entry of new Set(jobs.map((job) => job.entry))) {
+    try {
+      const { code, esm } = await compileBundle(entry, options);
+      bundles.set(entry, { code, esm });
+    } catch (error) {
+      bundles.set(entry, { error });
+    }
+  }
+
+  const concurrency = Math.max(1, Math.floor(options.concurrency || os.availableParallelism()));
+  return runJobs(jobs, bundles, renderOptions, concurrency, (job, outcome) => {
+    const result = { entry: job.entry, label: job.label, props: job.props };
+    try {
+      if (outcome.error) throw outcome.error;
+      fs.mkdirSync(path.dirname(job.out), { recursive: true });
+      fs.writeFileSync(job.out, outcome.html);
+      if (outcome.text !== undefined) fs.writeFileSync(textPathFor(job.out), outcome.text);
+      result.out = job.out;
+      result.warnings = outcome.warnings || [];
+    } catch (error) {
+      result.error = error;
+    }
+    onResult(result);
+    return result;
+  });
+}
+
+module.exports = batch;
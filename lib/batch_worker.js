@@ -0,0 +1,34 @@
+/**
+ * Worker thread of `batch` (see lib/batch.js): executes compiled entries and renders them.
+ *
+ * Every message is one render: `{ entry, props, options }`, plus `code` and `esm` the first
+ * time an entry is sent to this worker. The reply is `{ html, text, warnings }` or `{ error }`.
+ * With `--sandbox`, `workerData` is `{ heartbeat, interval }`, and `heartbeat[0]` is incremented
+ * every `interval` ms while the event loop turns (see `watchHeartbeat` of lib/sandbox.js).
+ *
+ * @author pipi
+ */
+const { parentPort, workerData } = require("worker_threads");
+const { renderBundle } = require("./render");
+const { toEmail } = require("./email");
+
+const bundles = new Map(); // entry => { code, esm }
+
+if (workerData && workerData.heartbeat) {
+  const { heartbeat, interval } = workerData;
+  Atomics.add(heartbeat, 0, 1);
+  setInterval(() => Atomics.add(heartbeat, 0, 1), interval).unref();
+}
+
+parentPort.on("message", async ({ entry, code, esm, props, options }) => {
+  if (code !== undefined) bundles.set(entry, { code, esm });
+  try {
+    const html = await renderBundle(bundles.get(entry), entry, { ...options, props });
+    parentPort.postMessage(options.email ? toEmail(html) : { html });
+  } catch (error) {
+    // Errors thrown inside the vm context are not `instanceof Error` here
+    parentPort.postMessage({
+      error: { message: String((error && error.message) || error), stack: error && error.stack },
+    });
+  }
+});
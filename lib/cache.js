@@ -0,0 +1,153 @@
+/**
+ * Persistent on-disk compile cache.
+ *
+ * Entries are JSON files under `node_modules/.cache/dctc` of the project (the nearest
+ * directory with a package.json above the entry file), keyed by a hash of everything
+ * that affects the output. Cache problems never fail a build: a broken or unwritable
+ * entry is just a miss.
+ *
+ * @author pipi
+ */
+const fs = require("fs"); // Import the file system module
+const path = require("path"); // Import the path module
+const crypto = require("crypto");
+const { version } = require("../package.json");
+
+/**
+ * Find the cache directory for a file's project.
+ * @param {string} [filePath] - A file inside the project. Defaults to the working directory.
+ * @returns {string} - Absolute path of the cache directory (it may not exist yet).
+ */
+function getCacheDir(filePath) {
+  let dir = filePath ? path.dirname(path.resolve(filePath)) : process.cwd();
+  for (;;) {
+    if (fs.existsSync(path.join(dir, "package.json"))) break;
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      dir = process.cwd();
+      break;
+    }
+    dir = parent;
+  }
+  return path.join(dir, "node_modules", ".cache", "dctc");
+}
+
+/**
+ * Hash any number of values (strings or JSON-serializable) into a hex key.
+ * The dctc version is always part of the hash, so upgrading dctc starts a fresh cache.
+ * @param {...unknown} parts
+ * @returns {string}
+ */
+function hash(...parts) {
+  const h = crypto.createHash("sha256");
+  h.update(version);
+  for (const part of parts) {
+    h.update("\0");
+    h.update(typeof part === "string" ? part : JSON.stringify(part) || "");
+  }
+  return h.digest("hex");
+}
+
+const packageVersions = new Map(); // package name => version
+
+/**
+ * Version of an installed package, as dctc resolves it. Bundlers are upgraded without a new
+ * dctc version, so the keys of what they compiled include theirs.
+ * @param {string} name - e.g. "@swc/core".
+ * @returns {string|null} - Null when the package cannot be found.
+ */
+function packageVersion(name) {
+  if (!packageVersions.has(name)) {
+    let version = null;
+    try {
+      // The package.json of some packages is not exported: find it above their main file
+      let dir = path.dirname(require.resolve(name));
+      for (;;) {
+        const file = path.join(dir, "package.json");
+        const json = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : null;
+        if (json && json.name === name) {
+          version = json.version;
+          break;
+        }
+        const parent = path.dirname(dir);
+        if (parent === dir) break;
+        dir = parent;
+      }
+    } catch {
+      // Not installed
+    }
+    packageVersions.set(name, version);
+  }
+  return packageVersions.get(name);
+}
+
+/**
+ * Hash the current contents of a file, or the names in a directory (e.g. one searched by an
+ * import pattern, where a new file may match).
+ * @param {string} filePath
+ * @returns {string|null} - The hash, or null when the file cannot be read.
+ */
+function hashFile(filePath) {
+  try {
+    const contents = fs.statSync(filePath).isDirectory()
+      ? fs.readdirSync(filePath).sort().join("\0")
+      : fs.readFileSync(filePath);
+    return crypto.createHash("sha256").update(contents).digest("hex");
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read a cache entry.
+ * @param {string} cacheDir - The cache directory.
+ * @param {string} namespace - Sub directory, e.g. "bundles".
+ * @param {string} key - Entry key from `hash`.
+ * @returns {object|null} - The stored value, or null on a miss.
+ */
+function readCache(cacheDir, namespace, key) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(cacheDir, namespace, `${key}.json`), "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Write a cache entry. The file is written next to its final name and renamed,
+ * so concurrent runs never read a half-written entry.
+ * @param {string} cacheDir - The cache directory.
+ * @param {string} namespace - Sub directory, e.g. "bundles".
+ * @param {string} key - Entry key from `hash`.
+ * @param {object} value - JSON-serializable value.
+ */
+function writeCache(cacheDir, namespace, key, value) {
+  try {
+    const dir = path.join(cacheDir, namespace);
+    fs.mkdirSync(dir, { recursive: true });
+    const file = path.join(dir, `${key}.json`);
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(value));
+    fs.renameSync(tmp, file);
+  } catch {
+    // A cache that cannot be written is only slower
+  }
+}
+
+/**
+ * Delete the whole cache directory.
+ * @param {string} cacheDir - The cache directory.
+ */
+function clearCache(cacheDir) {
+  fs.rmSync(cacheDir, { recursive: true, force: true });
+}
+
+module.exports = {
+  getCacheDir,
+  hash,
+  packageVersion,
+  hashFile,
+  readCache,
+  writeCache,
+  clearCache,
+};
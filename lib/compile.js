@@ -0,0 +1,219 @@
+/**
+ * Pick one of the supported compilers by name and compile a file with it.
+ * Compiled bundles are cached on disk and reused while every input file is unchanged.
+ * @author pipi
+ */
+const fs = require('fs'); // Import the file system module
+const path = require('path'); // Import the path module
+const { getCacheDir, hash, hashFile, packageVersion, readCache, writeCache } = require('./cache');
+const { shouldUseEsm } = require('./esm');
+const { fileExists, localCandidates } = require('./resolve');
+
+const DEFAULT_COMPILER = 'es';
+
+/**
+ * Compile options that change the output, and so are part of the cache key.
+ */
+const CACHE_KEY_OPTIONS = ['jsx', 'jsxImportSource', 'externals', 'esm', 'assets'];
+
+/**
+ * Compiler modules, keyed by the name accepted by `--compiler` / `options.compiler`.
+ */
+const compilerModules = {
+  es: './complie_es',
+  esbuild: './complie_es',
+  swc: './complie_swc',
+  rollup: './complie_rollup',
+  rolldown: './complie_rolldown',
+};
+
+/**
+ * Packages that shape the output of each compiler module: their versions are part of its cache keys.
+ */
+const compilerPackages = {
+  './complie_es': ['esbuild'],
+  './complie_swc': ['@swc/core'],
+  // Their transpile step is TypeScript's (see lib/plugins.js)
+  './complie_rollup': ['rollup', 'typescript'],
+  './complie_rolldown': ['rolldown', 'typescript'],
+};
+
+/**
+ * Supported compilers, keyed by name.
+ * Each one is only loaded when first used, so a cache hit never pays for loading the bundlers.
+ */
+const compilers = {};
+for (const [name, modulePath] of Object.entries(compilerModules)) {
+  Object.defineProperty(compilers, name, {
+    enumerable: true,
+    get: () => require(modulePath),
+  });
+}
+
+/**
+ * Look up a compiler function by name.
+ * @param {string} [name] - Compiler name (case-insensitive). Defaults to 'es'.
+ * @returns {(filePath: string, options?: object) => Promise<string>} - The compiler function.
+ * @throws {Error} If the compiler name is unknown.
+ */
+function getCompiler(name = DEFAULT_COMPILER) {
+  const lowerName = String(name).toLowerCase();
+  if (!compilerModules[lowerName]) {
+    throw new Error(`Unknown compiler: ${name}. Expected one of: ${Object.keys(compilers).join(', ')}`);
+  }
+  return compilers[lowerName];
+}
+
+/**
+ * The name a compiler goes by in dctc: aliases resolve to the name they stand for (esbuild to es).
+ * @param {string} [name] - Compiler name (case-insensitive). Defaults to 'es'.
+ * @returns {string}
+ * @throws {Error} If the compiler name is unknown.
+ */
+function compilerName(name = DEFAULT_COMPILER) {
+  const lowerName = String(name).toLowerCase();
+  getCompiler(lowerName);
+  return Object.keys(compilerModules).find((key) => compilerModules[key] === compilerModules[lowerName]);
+}
+
+/**
+ * Relative specifiers of imports, re-exports, dynamic imports and requires.
+ */
+const RELATIVE_SPECIFIER = /(?:\bfrom\s*|\bimport\s*\(?\s*|\brequire\s*\(\s*)["'](\.{1,2}(?:\/[^"']*)?)["']/g;
+const SOURCE_FILE = /\.[cm]?[jt]sx?$/;
+
+/**
+ * Paths that are not files now, but would change what a relative import of an input file
+ * resolves to once created, e.g. `foo.ts` next to the `foo/index.ts` that `./foo` resolved to.
+ * The compilers order extensions differently, so every candidate counts, not only the ones
+ * tried before the file that was found.
+ * @param {Iterable<string>} files - Absolute paths of the input files.
+ * @param {Record<string, string>} [sources] - Contents of files that are not on disk (a virtual entry).
+ * @returns {string[]}
+ */
+function missingProbes(files, sources = {}) {
+  const probes = new Set();
+  for (const file of [...files, ...Object.keys(sources)]) {
+    if (!SOURCE_FILE.test(file) || file.split(path.sep).includes('node_modules')) continue;
+    let source = sources[file];
+    try {
+      if (source === undefined) source = fs.readFileSync(file, 'utf8');
+    } catch {
+      continue;
+    }
+    for (const [, spec] of source.matchAll(RELATIVE_SPECIFIER)) {
+      for (const candidate of localCandidates(path.resolve(path.dirname(file), spec))) {
+        if (!fileExists(candidate)) probes.add(candidate);
+      }
+    }
+  }
+  return Array.from(probes);
+}
+
+/**
+ * Whether a cache entry still matches the files on disk: every input file has the same
+ * contents, and no file was created where an import would now resolve to it.
+ * @param {{ files: Record<string, string>, probes?: string[] }} entry - `files` maps absolute paths
+ *   to content hashes; `probes` are from `missingProbes`.
+ * @returns {boolean}
+ */
+function isFresh(entry) {
+  return (
+    Object.entries(entry.files).every(([file, fileHash]) => hashFile(file) === fileHash) &&
+    (entry.probes || []).every((probe) => !fileExists(probe))
+  );
+}
+
+/**
+ * Compile a file to a single bundle, and tell how it has to be executed.
+ * @param {string} filePath - The path to the file to be compiled.
+ * @param {object} [options] - Same as `compile`.
+ * @returns {Promise<{ code: string, esm: boolean }>} - The compiled code, and whether it is an ES module.
+ */
+async function compileBundle(filePath, options = {}) {
+  const compilerName = String(options.compiler || DEFAULT_COMPILER).toLowerCase();
+  const compiler = getCompiler(compilerName);
+  if (options.source === undefined && (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile())) {
+    throw new Error(`File does not exist: ${JSON.stringify(filePath)}`);
+  }
+
+  const absoluteFilePath = path.resolve(filePath);
+  const useCache = options.cache !== false;
+  const cacheDir = options.cacheDir || getCacheDir(absoluteFilePath);
+  const keyOptions = {};
+  for (const name of CACHE_KEY_OPTIONS) keyOptions[name] = options[name];
+  // Aliases (es / esbuild) share entries
+  const compilerModule = compilerModules[compilerName];
+  const versions = compilerPackages[compilerModule].map((name) => `${name}@${packageVersion(name)}`);
+  const key = options.source === undefined
+    ? hash('bundle', compilerModule, versions, absoluteFilePath, keyOptions)
+    : hash('bundle', compilerModule, versions, absoluteFilePath, keyOptions, options.source);
+
+  // Cycle warnings are printed while compiling, so compile again to show them
+  if (useCache && !options.warnCycles) {
+    const entry = readCache(cacheDir, 'bundles', key);
+    if (entry && isFresh(entry)) {
+      if (options.files) {
+        for (const file of Object.keys(entry.files)) options.files.add(file);
+      }
+      return { code: entry.code, esm: !!entry.esm };
+    }
+  }
+
+  // Detected from the entry file, which is part of the cache entry, so the result is cached too
+  const esm = shouldUseEsm(absoluteFilePath, options);
+  const files = new Set();
+  const code = await compiler(filePath, { ...options, esm, cacheDir: useCache ? cacheDir : undefined, files });
+  // A changed tsconfig.json (or one it extends) changes the output too.
+  // Required here, as TypeScript is slow to load and not needed on a cache hit.
+  const { loadTsconfig } = require('./tsconfig');
+  for (const file of loadTsconfig(absoluteFilePath).configFiles) files.add(file);
+  // A virtual entry is part of the key instead
+  if (options.source !== undefined) files.delete(absoluteFilePath);
+
+  if (options.files) {
+    for (const file of files) options.files.add(file);
+  }
+  if (useCache) {
+    const hashes = {};
+    for (const file of files) hashes[file] = hashFile(file);
+    const probes = missingProbes(files, options.source === undefined ? {} : { [absoluteFilePath]: options.source });
+    writeCache(cacheDir, 'bundles', key, { files: hashes, probes, code, esm });
+  }
+  return { code, esm };
+}
+
+/**
+ * Compile a file to a single CommonJS string (or an ES module, see `options.esm`).
+ * @param {string} filePath - The path to the file to be compiled.
+ * @param {object} [options]
+ * @param {string} [options.compiler='es'] - One of es, swc, rollup, rolldown.
+ * @param {string} [options.jsx] - JSX runtime: classic or automatic. Defaults to tsconfig.json, else classic.
+ * @param {string} [options.jsxImportSource] - Import source for the automatic runtime, e.g. preact.
+ * @param {string|string[]} [options.externals] - Packages to leave to `require` at runtime:
+ *   a list of patterns (globs allowed, default react and react-dom), 'node_modules' for every package, or 'none'.
+ * @param {boolean} [options.esm] - Emit an ES module. Defaults to true when the entry uses top-level await.
+ * @param {string} [options.assets='inline'] - Import images as data URIs (inline) or absolute file paths (file).
+ * @param {boolean} [options.warnCycles] - Print every circular import with its import chain (swc only).
+ * @param {boolean} [options.cache=true] - Reuse and store compiled bundles in the on-disk cache.
+ * @param {string} [options.cacheDir] - Cache directory. Defaults to node_modules/.cache/dctc of the project.
+ * @param {Set<string>} [options.files] - If given, receives the absolute path of every input file.
+ * @param {string} [options.source] - Contents of the entry, which then does not have to exist (e.g. code
+ *   given with --eval, or on stdin). Its relative imports are resolved from the directory of `filePath`.
+ * @returns {Promise<string>} - The compiled code.
+ */
+async function compile(filePath, options = {}) {
+  const { code } = await compileBundle(filePath, options);
+  return code;
+}
+
+module.exports = {
+  compile,
+  compileBundle,
+  missingProbes,
+  CACHE_KEY_OPTIONS,
+  compilers,
+  getCompiler,
+  compilerName,
+  DEFAULT_COMPILER,
+};
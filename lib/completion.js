@@ -0,0 +1,109 @@
+/**
+ * Let an executed script finish like it would with `node`: wait for the promise it exports,
+ * and report the errors it throws after `execute` returned (in callbacks, or in promises
+ * nobody handles) with their original source location. Long-running hosts (`watch`, `serve`)
+ * also close the handles a run leaves open.
+ *
+ * @author pipi
+ */
+const path = require("path"); // Import the path module
+const { AsyncLocalStorage, createHook } = require("async_hooks");
+const { readInlineSourceMap, createStackMapper } = require("./sourcemap");
+
+/**
+ * Wait for the promise a script exports, e.g. `module.exports = main()` or `export default main()`.
+ * @param {object} exports - Exports of the executed script.
+ * @returns {Promise<void>} - Rejects like that promise does.
+ */
+async function settleExports(exports) {
+  for (const value of [exports, exports && exports.default]) {
+    if (value && typeof value.then === "function") await value;
+  }
+}
+
+/**
+ * Call `onError` with the uncaught exceptions and unhandled rejections of the process, their
+ * stacks mapped back to the sources of the script. Node no longer handles them itself.
+ *
+ * @param {string} code - The executed bundle, with its inline source map.
+ * @param {string} filePath - The entry file.
+ * @param {(error: unknown, kind: string) => void} onError - Called with the error, and
+ *   "Uncaught exception" or "Unhandled rejection".
+ * @returns {() => void} - Stops calling `onError`.
+ */
+function onUncaughtErrors(code, filePath, onError) {
+  const mapStack = createStackMapper(readInlineSourceMap(code), `dctc:${path.resolve(filePath)}`);
+  const handle = (kind) => (error) => {
+    // Errors thrown inside the vm context are not `instanceof Error` here
+    if (error && typeof error.stack === "string") error.stack = mapStack(error.stack);
+    onError(error, kind);
+  };
+  const onException = handle("Uncaught exception");
+  const onRejection = handle("Unhandled rejection");
+  process.on("uncaughtException", onException);
+  process.on("unhandledRejection", onRejection);
+  return () => {
+    process.off("uncaughtException", onException);
+    process.off("unhandledRejection", onRejection);
+  };
+}
+
+/**
+ * Track the timers, servers and sockets that runs of scripts create, directly or from their
+ * callbacks, so the handles of one run can be closed, e.g. before the next run of `watch`.
+ * The run an error is thrown in is `current()` in `uncaughtException` and `unhandledRejection`.
+ * @returns {{
+ *   start: <T>(data?: T) => { data: T, run: <R>(fn: () => R) => R, close: () => void },
+ *   current: () => { data: unknown } | undefined,
+ *   disable: () => void,
+ * }}
+ */
+function trackHandles() {
+  const store = new AsyncLocalStorage();
+  const owners = new Map(); // asyncId -> the run that created the handle
+  const hook = createHook({
+    init(asyncId, type, triggerAsyncId, resource) {
+      const owner = type !== "PROMISE" && store.getStore();
+      if (!owner) return;
+      owner.handles.set(asyncId, { type, resource });
+      owners.set(asyncId, owner);
+    },
+    destroy(asyncId) {
+      const owner = owners.get(asyncId);
+      if (!owner) return;
+      owner.handles.delete(asyncId);
+      owners.delete(asyncId);
+    },
+  });
+  hook.enable();
+  return {
+    start(data) {
+      const handles = new Map(); // asyncId -> { type, resource }
+      const run = {
+        data,
+        handles,
+        run: (fn) => store.run(run, fn),
+        close() {
+          for (const [asyncId, { type, resource }] of handles) {
+            owners.delete(asyncId);
+            if (type === "Timeout") clearTimeout(resource);
+            else if (type === "Immediate") clearImmediate(resource);
+            else if (resource && typeof resource.close === "function") resource.close();
+          }
+          handles.clear();
+        },
+      };
+      return run;
+    },
+    current: () => store.getStore(),
+    disable() {
+      hook.disable();
+    },
+  };
+}
+
+module.exports = {
+  settleExports,
+  onUncaughtErrors,
+  trackHandles,
+};
@@ -3,6 +3,14 @@
  * This function takes a file path, compiles it to CommonJS format,
  * and returns the compiled code.
  * @param {string} filePath - The path to the file to be compiled.
+ * @param {object} [options]
+ * @param {string} [options.jsx] - JSX runtime override: classic or automatic.
+ * @param {string} [options.jsxImportSource] - Import source override for the automatic runtime.
+ * @param {string|string[]} [options.externals] - Packages to leave to `require`: patterns, node_modules or none.
+ * @param {boolean} [options.esm] - Emit an ES module instead of CommonJS.
+ * @param {string} [options.assets] - Import images as data URIs (inline) or file paths (file).
+ * @param {Set<string>} [options.files] - If given, receives the absolute path of every input file.
+ * @param {string} [options.source] - Contents of the entry, instead of reading `filePath`.
  * @returns {Promise<string>} - The compiled code.
  * @author pipi
  */
@@ -10,11 +18,26 @@ const fs = require('fs'); // Import the file system module
 const path = require('path'); // Import the path module
 const chalk = require("chalk");
 const esbuild = require('esbuild');
+const { loadCompilerSettings } = require('./tsconfig');
+const { ASSET_FILTER, loadAsset } = require('./assets');
+const { readInlineSourceMap, stripInlineSourceMap, appendInlineSourceMap, absoluteSources } = require('./sourcemap');
 const logErr = content => console.log(chalk.red(content)); // Function to log error messages in red color
 
-module.exports = async function (filePath) {
-  // Ensure the file exists
-  if (!fs.existsSync(filePath)) {
+/**
+ * Give ES modules' `import.meta` a CommonJS equivalent.
+ * @param {string} contents - Source of a module.
+ * @returns {string}
+ */
+function shimImportMeta(contents) {
+  return contents
+    .replace(/import\.meta\.url/g, 'require("url").pathToFileURL(__filename).href')
+    .replace(/import\.meta\.filename/g, '__filename')
+    .replace(/import\.meta\.dirname/g, '__dirname');
+}
+
+module.exports = async function (filePath, options = {}) {
+  // Ensure the file exists, unless its contents are given
+  if (options.source === undefined && !fs.existsSync(filePath)) {
     console.error(`File does not exist: ${JSON.stringify(filePath)}`);
     process.exit(1);
   }
@@ -23,11 +46,25 @@ module.exports = async function (filePath) {
   const absoluteFilePath = path.resolve(filePath);
 
   try {
+    // Project settings from the nearest tsconfig.json
+    const settings = loadCompilerSettings(absoluteFilePath, options);
+    const { jsx } = settings;
+
     // Use esbuild to compile the file
     const result = await esbuild.build({
-      entryPoints: [absoluteFilePath], // Specify the entry file
-      format: 'cjs', // Output format as CommonJS
-      target: 'es2015', // Target runtime environment
+      // The entry file, or its contents given in memory (e.g. code from --eval)
+      ...(options.source === undefined
+        ? { entryPoints: [absoluteFilePath] }
+        : {
+            stdin: {
+              contents: options.esm ? options.source : shimImportMeta(options.source),
+              sourcefile: absoluteFilePath,
+              resolveDir: path.dirname(absoluteFilePath),
+              loader: /\.[cm]?jsx?$/i.test(absoluteFilePath) ? 'jsx' : 'tsx',
+            },
+          }),
+      format: options.esm ? 'esm' : 'cjs', // Output format as CommonJS, or ESM (e.g. for top-level await)
+      target: settings.target, // Target runtime environment
       bundle: true, // Bundle all dependencies
       platform: 'node', // Target platform
       loader: {
@@ -40,6 +77,27 @@ module.exports = async function (filePath) {
         'process.env.NODE_ENV': '"development"', // Define environment variables
       },
       plugins: [
+        {
+          name: 'tsconfig-paths',
+          setup(build) {
+            // Resolve `paths` / `baseUrl` aliases from the project's tsconfig.json
+            build.onResolve({ filter: /^[^./]/ }, (args) => {
+              if (args.kind === 'entry-point') return null;
+              const resolvedPath = settings.resolveAlias(args.path);
+              return resolvedPath ? { path: resolvedPath } : null;
+            });
+          },
+        },
+        {
+          name: 'externals',
+          setup(build) {
+            // Runs after tsconfig-paths, so aliases are never external
+            build.onResolve({ filter: /^[^./]/ }, (args) => {
+              if (args.kind === 'entry-point' || !settings.isExternal(args.path)) return null;
+              return { path: args.path, external: true };
+            });
+          },
+        },
         {
           name: 'resolve-ts-dependencies',
           setup(build) {
@@ -55,26 +113,38 @@ module.exports = async function (filePath) {
             });
           },
         },
+        {
+          name: 'assets',
+          setup(build) {
+            // Styles and images become JS modules (see lib/assets.js)
+            build.onLoad({ filter: ASSET_FILTER }, (args) => {
+              const asset = loadAsset(args.path, options);
+              if (options.files) {
+                for (const file of asset.files) options.files.add(file);
+              }
+              return { contents: asset.code, loader: 'js', resolveDir: path.dirname(args.path) };
+            });
+          },
+        },
         {
           name: 'import-meta-shim',
           setup(build) {
+            // ES modules get a real import.meta
+            if (options.esm) return;
             build.onLoad({ filter: /\.tsx?$/ }, async (args) => {
               const contents = await fs.promises.readFile(args.path, 'utf8');
-              const transformed = contents.replace(
-                /import\.meta\.url/g,
-                'require("url").pathToFileURL(__filename).href'
-              );
               return { 
-                contents: transformed, 
+                contents: shimImportMeta(contents), 
                 loader: args.path.endsWith('.tsx') ? 'tsx' : 'ts' 
               };
             });
           },
         },
       ],
+      // The project's tsconfig.json is already resolved (extends included) into `settings`
       tsconfigRaw: {
         compilerOptions: {
-                target: 'es2015', // Target JavaScript version
+          target: settings.target, // Target JavaScript version
           module: 'CommonJS', // Module system
           strict: true, // Enable strict mode
           moduleResolution: 'node', // Module resolution strategy
@@ -84,16 +154,39 @@ module.exports = async function (filePath) {
           sourceMap: true, // Generate source maps
           resolveJsonModule: true, // Allow importing JSON files
           lib: ['ESNext', 'DOM'], // Specify library files
-          jsx: 'react', // JSX support
+          jsx: jsx.runtime === 'automatic' ? (jsx.development ? 'react-jsxdev' : 'react-jsx') : 'react', // JSX support
+          jsxFactory: jsx.factory, // Classic runtime factory
+          jsxFragmentFactory: jsx.fragmentFactory, // Classic runtime fragment
+          jsxImportSource: jsx.importSource, // Automatic runtime import source
+          experimentalDecorators: settings.decorators.legacy, // Legacy decorators
+          useDefineForClassFields: settings.useDefineForClassFields, // Class field semantics
         },
         exclude: ['node_modules'], // Exclude directories
       },
+      sourcemap: 'inline', // Map runtime errors back to the original files
+      sourcesContent: false, // Sources are read from disk when needed
       write: false, // Prevent writing output files
-      external: ['react', 'react-dom'], // Exclude external dependencies
+      metafile: !!options.files, // Report input files (used by watch mode)
     });
 
+    if (options.files) {
+      for (const input of Object.keys(result.metafile.inputs)) {
+        // The entry given in memory is "<stdin>"
+        if (input !== '<stdin>') options.files.add(path.resolve(input));
+      }
+    }
+
     // Get the compiled code
-    const code = result.outputFiles[0].text;
+    let code = result.outputFiles[0].text;
+
+    // esbuild writes sources relative to the working directory; make them absolute
+    // so the map stays valid wherever the code is executed.
+    const map = readInlineSourceMap(code);
+    if (map) {
+      // They are also URL-escaped, e.g. "%5Beval%5D.tsx" for [eval].tsx
+      map.sources = (map.sources || []).map((source) => decodeURI(source));
+      code = appendInlineSourceMap(stripInlineSourceMap(code), absoluteSources(map, process.cwd()));
+    }
     return code;
   } catch (error) {
     logErr('Build failed:');
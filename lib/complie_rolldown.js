@@ -3,18 +3,58 @@
  * This function takes a file path, compiles it to CommonJS format,
  * and returns the compiled code.
  * @param {string} filePath - The path to the file to be compiled.
+ * @param {object} [options]
+ * @param {string} [options.jsx] - JSX runtime override: classic or automatic.
+ * @param {string} [options.jsxImportSource] - Import source override for the automatic runtime.
+ * @param {string|string[]} [options.externals] - Packages to leave to `require`: patterns, node_modules or none.
+ * @param {boolean} [options.esm] - Emit an ES module instead of CommonJS.
+ * @param {string} [options.assets] - Import images as data URIs (inline) or file paths (file).
+ * @param {Set<string>} [options.files] - If given, receives the absolute path of every input file.
+ * @param {string} [options.source] - Contents of the entry, instead of reading `filePath`.
  * @returns {Promise<string>} - The compiled code.
  * @author pipi
  */
 const fs = require('fs'); // Import the file system module
 const path = require('path'); // Import the path module
 const chalk = require("chalk");
-const { rolldown } = require('rolldown');
+const { Worker } = require('worker_threads');
 const logErr = content => console.log(chalk.red(content)); // Function to log error messages in red color
 
-module.exports = async function (filePath) {
-  // Ensure the file exists
-  if (!fs.existsSync(filePath)) {
+const WORKER_FILE = path.join(__dirname, 'rolldown_worker.js');
+
+/**
+ * Bundle in a worker thread (see lib/rolldown_worker.js), and terminate it afterwards: the
+ * native bundler of rolldown 0.12 would keep the process alive until it is garbage collected.
+ * @param {string} filePath - Absolute path of the entry.
+ * @param {object} options - The cloneable compile options.
+ * @returns {Promise<{ code: string, files: string[] }>}
+ */
+function bundleInWorker(filePath, options) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(WORKER_FILE, { workerData: { filePath, options } });
+    let result = null;
+    worker.once('message', (message) => {
+      result = message;
+      worker.terminate();
+    });
+    worker.once('error', reject);
+    worker.once('exit', (exitCode) => {
+      if (!result) {
+        reject(new Error(`The rolldown worker stopped with exit code ${exitCode}`));
+      } else if (result.error) {
+        const error = new Error(result.error.message);
+        error.stack = result.error.stack || error.stack;
+        reject(error);
+      } else {
+        resolve(result);
+      }
+    });
+  });
+}
+
+module.exports = async function (filePath, options = {}) {
+  // Ensure the file exists, unless its contents are given
+  if (options.source === undefined && !fs.existsSync(filePath)) {
     console.error(`File does not exist: ${JSON.stringify(filePath)}`);
     process.exit(1);
   }
@@ -23,24 +63,11 @@ module.exports = async function (filePath) {
   const absoluteFilePath = path.resolve(filePath);
 
   try {
-    // Create a rolldown build
-    const build = await rolldown({
-      input: absoluteFilePath,
-      external: ['react', 'react-dom'],
-      resolve: {
-        extensions: ['.ts', '.tsx', '.js', '.jsx', '.json'],
-      },
-      platform: 'node',
-    });
-
-    // Generate output without writing to file
-    const output = await build.generate({
-      format: 'cjs',
-    });
-
-    // Get the compiled code from output
-    const code = output.output[0].code;
-    
+    const { jsx, jsxImportSource, externals, esm, assets, source } = options;
+    const { code, files } = await bundleInWorker(absoluteFilePath, { jsx, jsxImportSource, externals, esm, assets, source });
+    if (options.files) {
+      for (const file of files) options.files.add(file);
+    }
     return code;
   } catch (error) {
     logErr('Build failed:');
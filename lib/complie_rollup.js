@@ -3,6 +3,14 @@
  * This function takes a file path, compiles it to CommonJS format,
  * and returns the compiled code.
  * @param {string} filePath - The path to the file to be compiled.
+ * @param {object} [options]
+ * @param {string} [options.jsx] - JSX runtime override: classic or automatic.
+ * @param {string} [options.jsxImportSource] - Import source override for the automatic runtime.
+ * @param {string|string[]} [options.externals] - Packages to leave to `require`: patterns, node_modules or none.
+ * @param {boolean} [options.esm] - Emit an ES module instead of CommonJS.
+ * @param {string} [options.assets] - Import images as data URIs (inline) or file paths (file).
+ * @param {Set<string>} [options.files] - If given, receives the absolute path of every input file.
+ * @param {string} [options.source] - Contents of the entry, instead of reading `filePath`.
  * @returns {Promise<string>} - The compiled code.
  * @author pipi
  */
@@ -12,7 +20,9 @@ const chalk = require("chalk");
 const rollup = require('rollup');
 const { nodeResolve } = require('@rollup/plugin-node-resolve');
 const commonjs = require('@rollup/plugin-commonjs');
-const ts = require('typescript');
+const { appendInlineSourceMap } = require('./sourcemap');
+const { loadCompilerSettings } = require('./tsconfig');
+const { virtualEntry, tsconfigPaths, externals, assets, transpileOnlyTypescript } = require('./plugins');
 const logErr = content => console.log(chalk.red(content)); // Function to log error messages in red color
 
 // Custom plugin to ensure correct file resolution
@@ -76,48 +86,9 @@ function ensureEntryFile(entryFile) {
   };
 }
 
-/**
- * Transpile-only TypeScript/TSX plugin for Rollup.
- *
- * This avoids type-checking entirely (no Program), so it won't emit TS7016/TS7026, etc.
- * It is intended for runtime compilation where speed and DX matter more than type safety.
- */
-function transpileOnlyTypescript() {
-  return {
-    name: 'transpile-only-typescript',
-    transform(code, id) {
-      if (id.includes('node_modules')) return null;
-      const ext = path.extname(id).toLowerCase();
-      if (ext !== '.ts' && ext !== '.tsx') return null;
-
-      const isTsx = ext === '.tsx';
-      const result = ts.transpileModule(code, {
-        fileName: id,
-        compilerOptions: {
-          target: ts.ScriptTarget.ES2015,
-          module: ts.ModuleKind.ESNext, // let rollup handle bundling
-          moduleResolution: ts.ModuleResolutionKind.NodeJs,
-          strict: false,
-          esModuleInterop: true,
-          skipLibCheck: true,
-          allowSyntheticDefaultImports: true,
-          jsx: isTsx ? ts.JsxEmit.React : ts.JsxEmit.Preserve, // classic runtime
-          resolveJsonModule: true,
-        },
-        reportDiagnostics: false,
-      });
-
-      return {
-        code: result.outputText,
-        map: null,
-      };
-    },
-  };
-}
-
-module.exports = async function (filePath) {
-  // Ensure the file exists
-  if (!fs.existsSync(filePath)) {
+module.exports = async function (filePath, options = {}) {
+  // Ensure the file exists, unless its contents are given
+  if (options.source === undefined && !fs.existsSync(filePath)) {
     console.error(`File does not exist: ${JSON.stringify(filePath)}`);
     process.exit(1);
   }
@@ -128,10 +99,13 @@ module.exports = async function (filePath) {
   const needsTypeScript = entryExt === '.ts' || entryExt === '.tsx';
 
   try {
+    const settings = loadCompilerSettings(absoluteFilePath, options);
+
     // Create a rollup bundle
     const bundle = await rollup.rollup({
       input: absoluteFilePath,
       plugins: [
+        ...(options.source !== undefined ? [virtualEntry(absoluteFilePath, options.source)] : []),
         // Custom plugin to intercept and fix entry file resolution
         {
           name: 'fix-entry-file',
@@ -157,14 +131,17 @@ module.exports = async function (filePath) {
           },
         },
         // Ensure entry file is resolved correctly before TypeScript plugin
-        ensureEntryFile(absoluteFilePath),
+        ...(options.source === undefined ? [ensureEntryFile(absoluteFilePath)] : []),
         // Only enable TypeScript plugin for TS/TSX entrypoints.
         // Otherwise it will type-check unrelated files in the repo and spam diagnostics.
         ...(needsTypeScript
           ? [
-              transpileOnlyTypescript(),
+              transpileOnlyTypescript(settings),
             ]
           : []),
+        tsconfigPaths(settings),
+        externals(settings),
+        assets(options),
         resolveTsFiles(),
         nodeResolve({
           preferBuiltins: true,
@@ -172,17 +149,34 @@ module.exports = async function (filePath) {
         }),
         commonjs(),
       ],
-      external: ['react', 'react-dom'],
+      onwarn(warning, warn) {
+        // TypeScript helpers such as `__decorate` use top-level `this`, which is expected here.
+        // Helpers have no original location, so the matching sourcemap warning is noise too.
+        if (warning.code === 'THIS_IS_UNDEFINED' || warning.code === 'SOURCEMAP_ERROR') return;
+        warn(warning);
+      },
     });
 
     // Generate the output
     const { output } = await bundle.generate({
-      format: 'cjs',
-      exports: 'auto',
+      format: options.esm ? 'es' : 'cjs',
+      // Always expose `export default` as `exports.default`, like the other compilers do.
+      exports: 'named',
+      // Map runtime errors back to the original files (with absolute source paths)
+      sourcemap: true,
+      sourcemapPathTransform: (relativeSourcePath, sourcemapPath) =>
+        path.resolve(path.dirname(sourcemapPath), relativeSourcePath),
     });
 
+    if (options.files) {
+      for (const file of bundle.watchFiles) {
+        if (path.isAbsolute(file)) options.files.add(file);
+      }
+    }
+
     // Get the compiled code
-    const code = output[0].code;
+    const chunk = output[0];
+    const code = chunk.map ? appendInlineSourceMap(chunk.code, chunk.map) : chunk.code;
     
     // Close the bundle
     await bundle.close();
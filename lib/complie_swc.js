@@ -4,8 +4,10 @@
  * so it can be executed via vm the same way as other compilers in this repo.
  *
  * Notes:
- * - Non-relative imports (e.g. react, react-dom/server, node built-ins) remain as runtime requires.
  * - Relative imports are resolved and bundled, with a tiny module loader injected.
+ * - tsconfig.json `paths` / `baseUrl` aliases are treated like relative imports.
+ * - Packages are bundled too, unless the `externals` option (default: react, react-dom) keeps them
+ *   as runtime requires. Node built-ins always remain runtime requires.
  *
  * @param {string} filePath - The path to the file to be compiled.
  * @returns {Promise<string>} - The compiled (bundled) code.
@@ -15,10 +17,15 @@ const fs = require("fs");
 const path = require("path");
 const chalk = require("chalk");
 const swc = require("@swc/core");
+const { appendInlineSourceMap } = require("./sourcemap");
+const { LOCAL_EXTS, resolveWithExt, resolvePackage } = require("./resolve");
+const { loadCompilerSettings } = require("./tsconfig");
+const { hash, packageVersion, readCache, writeCache } = require("./cache");
+const { CJS_EXPORTS_NAME, hasTopLevelAwait } = require("./esm");
+const { isAsset, loadAsset } = require("./assets");
 
 const logErr = (content) => console.log(chalk.red(content));
-
-const LOCAL_EXTS = [".ts", ".tsx", ".js", ".jsx", ".json"];
+const logWarn = (content) => console.warn(chalk.yellow(content));
 
 /**
  * Determine whether an import/require specifier should be treated as "local".
@@ -38,77 +45,49 @@ function isLocalSpecifier(spec) {
 }
 
 /**
- * Best-effort file existence check.
- *
- * We wrap `fs.existsSync` + `fs.statSync` to avoid throwing (e.g. permission issues, broken symlinks)
- * and to ensure the path is a regular file.
- *
- * @param {string} p - Path to check.
- * @returns {boolean} True if the path exists and is a file.
- */
-function fileExists(p) {
-  try {
-    return fs.existsSync(p) && fs.statSync(p).isFile();
-  } catch {
-    return false;
-  }
-}
-
-/**
- * Best-effort directory existence check.
+ * Resolve a local specifier (relative or absolute) into an absolute file path.
  *
- * @param {string} p - Path to check.
- * @returns {boolean} True if the path exists and is a directory.
+ * @param {string} fromFile - Absolute path of the importing file.
+ * @param {string} spec - Import specifier found in `fromFile` (must be local).
+ * @returns {string} Absolute path to the resolved target file.
+ * @throws {Error} If the target cannot be resolved.
  */
-function dirExists(p) {
-  try {
-    return fs.existsSync(p) && fs.statSync(p).isDirectory();
-  } catch {
-    return false;
+function resolveLocal(fromFile, spec) {
+  const baseDir = path.dirname(fromFile);
+  const abs = spec.startsWith("/") ? path.resolve(spec) : path.resolve(baseDir, spec);
+  const resolved = resolveWithExt(abs);
+  if (!resolved) {
+    throw new Error(`Cannot resolve import '${spec}' from '${fromFile}'`);
   }
+  return resolved;
 }
 
 /**
- * Resolve a module path by trying common extensions and `index.*` fallbacks.
- *
- * This mimics typical TS/Node resolution for local imports:
- * - If `basePath` is an existing file, return it as-is.
- * - Otherwise, try appending known extensions: `.ts`, `.tsx`, `.js`, `.jsx`, `.json`.
- * - If `basePath` is a directory, try `basePath/index.<ext>` in the same extension order.
- *
- * @param {string} basePath - Absolute path without extension (or a candidate path).
- * @returns {string|null} The resolved file path, or null if not found.
+ * How bundled packages are resolved, by the module syntax of the importing file.
+ * `types` lets workspace packages that publish raw TypeScript point at their sources;
+ * declaration files are skipped by `resolvePackage`.
  */
-function resolveWithExt(basePath) {
-  if (fileExists(basePath)) return basePath;
-
-  for (const ext of LOCAL_EXTS) {
-    const candidate = basePath + ext;
-    if (fileExists(candidate)) return candidate;
-  }
-
-  if (dirExists(basePath)) {
-    for (const ext of LOCAL_EXTS) {
-      const candidate = path.join(basePath, "index" + ext);
-      if (fileExists(candidate)) return candidate;
-    }
-  }
-
-  return null;
-}
+const PACKAGE_RESOLVE_OPTIONS = {
+  import: { conditions: ["types", "node", "import", "module", "default"], mainFields: ["types", "module", "main"] },
+  require: { conditions: ["types", "node", "require", "default"], mainFields: ["types", "main"] },
+};
 
 /**
- * Resolve a local specifier (relative or absolute) into an absolute file path.
+ * Resolve a specifier kept by `parseForImports`: a local path, a tsconfig `paths` alias
+ * or a package to bundle, looked up in the `node_modules` directories above the importer.
  *
  * @param {string} fromFile - Absolute path of the importing file.
- * @param {string} spec - Import specifier found in `fromFile` (must be local).
+ * @param {string} spec - Import specifier found in `fromFile`.
+ * @param {object} settings - Project settings from `loadCompilerSettings`.
+ * @param {boolean} [esm] - Whether `fromFile` uses import/export, which selects the `import` conditions.
  * @returns {string} Absolute path to the resolved target file.
  * @throws {Error} If the target cannot be resolved.
  */
-function resolveLocal(fromFile, spec) {
-  const baseDir = path.dirname(fromFile);
-  const abs = spec.startsWith("/") ? path.resolve(spec) : path.resolve(baseDir, spec);
-  const resolved = resolveWithExt(abs);
+function resolveSpecifier(fromFile, spec, settings, esm = false) {
+  if (isLocalSpecifier(spec)) return resolveLocal(fromFile, spec);
+  const resolved =
+    settings.resolveAlias(spec) ||
+    resolvePackage(spec, path.dirname(fromFile), PACKAGE_RESOLVE_OPTIONS[esm ? "import" : "require"]);
   if (!resolved) {
     throw new Error(`Cannot resolve import '${spec}' from '${fromFile}'`);
   }
@@ -131,7 +110,7 @@ function normalizeId(p) {
 }
 
 /**
- * Replace `import.meta.url` with a CommonJS-compatible equivalent.
+ * Replace `import.meta.url` (and `import.meta.filename` / `import.meta.dirname`) with CommonJS-compatible equivalents.
  *
  * The execution environment for dctc is CommonJS in a VM context. `import.meta` does not exist
  * there, so we rewrite it to:
@@ -144,7 +123,33 @@ function normalizeId(p) {
  */
 function patchImportMetaUrl(source) {
   // Keep parity with esbuild compiler behavior in this repo.
-  return source.replace(/import\.meta\.url/g, 'require("url").pathToFileURL(__filename).href');
+  return source
+    .replace(/import\.meta\.url/g, 'require("url").pathToFileURL(__filename).href')
+    .replace(/import\.meta\.filename/g, "__filename")
+    .replace(/import\.meta\.dirname/g, "__dirname");
+}
+
+/**
+ * Turn the argument of a dynamic `import()` / `require()` into a glob pattern.
+ *
+ * String parts are kept and every other part becomes a `*`:
+ *   "./locales/" + lang            -> "./locales/*"
+ *   `./locales/${lang}.json`       -> "./locales/*.json"
+ *
+ * @param {object} expr - SWC expression node.
+ * @returns {string} The pattern; a plain string when the argument is a literal.
+ */
+function toGlobPattern(expr) {
+  if (!expr) return "*";
+  if (expr.type === "StringLiteral") return expr.value;
+  if (expr.type === "TemplateLiteral") {
+    return expr.quasis.map((quasi) => quasi.cooked === null || quasi.cooked === undefined ? quasi.raw : quasi.cooked).join("*");
+  }
+  if (expr.type === "BinaryExpression" && expr.operator === "+") {
+    return `${toGlobPattern(expr.left)}${toGlobPattern(expr.right)}`.replace(/\*+/g, "*");
+  }
+  if (expr.type === "ParenthesisExpression") return toGlobPattern(expr.expression);
+  return "*";
 }
 
 /**
@@ -153,16 +158,21 @@ function patchImportMetaUrl(source) {
  * We intentionally only collect:
  * - ESM imports: `import ... from "x"`
  * - Re-exports: `export ... from "x"` / `export * from "x"`
- * - CommonJS requires with string literal arguments: `require("x")`
+ * - Dynamic imports and CommonJS requires: `import("x")` / `require("x")`
  *
- * Dynamic or non-literal requires are NOT collected (e.g. `require(name)`), because we cannot
- * reliably bundle those.
+ * A dynamic import or require whose argument is built from strings and variables
+ * (e.g. `import("./locales/" + lang)`) is collected as a glob pattern when it starts with
+ * a local path, so every file it may load can be bundled. Fully dynamic ones (e.g. `require(name)`)
+ * are left to runtime.
  *
  * @param {object} ast - AST returned by `swc.parse`.
- * @returns {string[]} Deduplicated list of specifier strings.
+ * @returns {{ specs: string[], globs: string[], lazy: string[] }} Deduplicated specifier strings and glob patterns,
+ *   and the specifiers that are only imported with `import()`.
  */
 function collectSpecifiersFromAst(ast) {
   const specs = new Set();
+  const globs = new Set();
+  const eager = new Set();
 
   const visit = (node) => {
     if (!node) return;
@@ -175,6 +185,7 @@ function collectSpecifiersFromAst(ast) {
     // import ... from "x"
     if (node.type === "ImportDeclaration" && node.source && typeof node.source.value === "string") {
       specs.add(node.source.value);
+      eager.add(node.source.value);
     }
 
     // export ... from "x"
@@ -184,22 +195,26 @@ function collectSpecifiersFromAst(ast) {
       typeof node.source.value === "string"
     ) {
       specs.add(node.source.value);
+      eager.add(node.source.value);
     }
 
-    // require("x")
+    // require("x") / import("x")
     if (
       node.type === "CallExpression" &&
       node.callee &&
-      node.callee.type === "Identifier" &&
-      node.callee.value === "require" &&
+      ((node.callee.type === "Identifier" && node.callee.value === "require") || node.callee.type === "Import") &&
       Array.isArray(node.arguments) &&
-      node.arguments.length === 1
+      node.arguments.length >= 1
     ) {
       const arg = node.arguments[0];
       // SWC AST uses ExprOrSpread; string literal is { expression: { type: 'StringLiteral', value: '...' } }
       const expr = arg && (arg.expression || arg);
-      if (expr && expr.type === "StringLiteral" && typeof expr.value === "string") {
-        specs.add(expr.value);
+      const pattern = toGlobPattern(expr);
+      if (!pattern.includes("*")) {
+        specs.add(pattern);
+        if (node.callee.type !== "Import") eager.add(pattern);
+      } else if (isLocalSpecifier(pattern)) {
+        globs.add(pattern);
       }
     }
 
@@ -210,6 +225,86 @@ function collectSpecifiersFromAst(ast) {
   };
 
   visit(ast);
+  return {
+    specs: Array.from(specs),
+    globs: Array.from(globs),
+    lazy: Array.from(specs).filter((spec) => !eager.has(spec)),
+  };
+}
+
+/**
+ * Find every local file a glob pattern from `collectSpecifiersFromAst` can load.
+ *
+ * `*` matches within one path segment. Each file is returned under every specifier
+ * that loads it: with and without its extension, and by its directory for `index.*` files.
+ *
+ * @param {string} fromFile - Absolute path of the importing file.
+ * @param {string} pattern - Glob pattern, e.g. "./locales/*".
+ * @param {Set<string>} [dirs] - If given, receives every directory searched, as a file added
+ *   there later may match too.
+ * @returns {Record<string, string>} Map: specifier -> absolute file path.
+ */
+function expandGlob(fromFile, pattern, dirs) {
+  const fromDir = path.dirname(fromFile);
+  const base = pattern.slice(0, pattern.lastIndexOf("/", pattern.indexOf("*")) + 1);
+  const baseDir = path.resolve(fromDir, base);
+  const patternRe = new RegExp(
+    `^${pattern.split("*").map(escapeForRegex).join("[^/]*")}$`
+  );
+  // "./a/*" can load "./a/x.ts", or "./a/x/index.ts" through "./a/x"
+  const maxDepth = pattern.slice(base.length).split("/").length + 1;
+
+  const matches = {};
+  const walk = (dir, depth) => {
+    if (dirs) dirs.add(dir);
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries) {
+      if (entry.name.startsWith(".") || entry.name === "node_modules") continue;
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (depth < maxDepth) walk(full, depth + 1);
+        continue;
+      }
+      const ext = path.extname(entry.name).toLowerCase();
+      if (!LOCAL_EXTS.includes(ext) || entry.name.endsWith(".d.ts")) continue;
+
+      let spec = path.relative(fromDir, full).split(path.sep).join("/");
+      if (!spec.startsWith("../")) spec = `./${spec}`;
+      const withoutExt = spec.slice(0, -ext.length);
+      const candidates = [spec, withoutExt];
+      if (path.basename(withoutExt) === "index") candidates.push(withoutExt.slice(0, -"/index".length));
+      for (const candidate of candidates) {
+        if (patternRe.test(candidate)) matches[candidate] = full;
+      }
+    }
+  };
+  walk(baseDir, 1);
+  return matches;
+}
+
+/**
+ * Collect the static `import` / `export ... from` specifiers of a module, in source order.
+ * Type-only imports are skipped, as they are gone after the transform.
+ *
+ * In ESM mode these are loaded (and awaited) before the module runs, like Node does.
+ *
+ * @param {object} ast - AST returned by `swc.parse`.
+ * @returns {string[]} Deduplicated list of specifier strings.
+ */
+function collectStaticImports(ast) {
+  const specs = new Set();
+  for (const item of ast.body) {
+    const isImport =
+      item.type === "ImportDeclaration" || item.type === "ExportNamedDeclaration" || item.type === "ExportAllDeclaration";
+    if (isImport && item.source && typeof item.source.value === "string" && !item.typeOnly) {
+      specs.add(item.source.value);
+    }
+  }
   return Array.from(specs);
 }
 
@@ -217,13 +312,18 @@ function collectSpecifiersFromAst(ast) {
  * Parse a file and extract local dependency specifiers.
  *
  * This function uses SWC to parse the source into an AST, collects all static module specifiers,
- * and then filters down to only local specifiers (relative or absolute paths) that we intend to bundle.
+ * and then filters down to the specifiers we intend to bundle: local ones (relative or absolute
+ * paths, or tsconfig `paths` aliases) and packages that are not external.
  *
  * @param {string} absPath - Absolute file path (used to choose parser options).
  * @param {string} source - File contents (possibly preprocessed).
- * @returns {Promise<string[]>} Local specifiers only (e.g. ["./src", "../util"]).
+ * @param {object} settings - Project settings from `loadCompilerSettings`.
+ * @returns {Promise<{ specs: string[], globs: string[], lazy: string[], imports: string[], esm: boolean }>} Specifiers to bundle
+ *   (e.g. ["./src", "../util", "@/components/Button"]), glob patterns of dynamic imports (see `expandGlob`),
+ *   specifiers only loaded by `import()`,
+ *   the static imports (see `collectStaticImports`), and whether the file has ESM syntax.
  */
-async function parseForImports(absPath, source) {
+async function parseForImports(absPath, source, settings) {
   const ext = path.extname(absPath).toLowerCase();
   const isTs = ext === ".ts" || ext === ".tsx";
   const isTsx = ext === ".tsx";
@@ -233,26 +333,49 @@ async function parseForImports(absPath, source) {
     syntax: isTs ? "typescript" : "ecmascript",
     tsx: isTsx,
     jsx: isJsx,
-    decorators: false,
+    // Standard decorators parse too; experimentalDecorators only picks the transform
+    decorators: true,
     dynamicImport: true,
   });
 
-  return collectSpecifiersFromAst(ast).filter(isLocalSpecifier);
+  const { specs, globs, lazy } = collectSpecifiersFromAst(ast);
+  const imports = collectStaticImports(ast);
+  // The automatic JSX runtime adds an import that is not in the source yet
+  if ((isTsx || isJsx) && settings.jsx.runtime === "automatic") {
+    const runtime = `${settings.jsx.importSource}/${settings.jsx.development ? "jsx-dev-runtime" : "jsx-runtime"}`;
+    specs.push(runtime);
+    imports.unshift(runtime);
+  }
+
+  return {
+    specs: specs.filter((spec) => isLocalSpecifier(spec) || !settings.isExternal(spec)),
+    globs,
+    lazy,
+    imports,
+    esm: ast.body.some((item) => /^(Import|Export)/.test(item.type)),
+  };
 }
 
 /**
  * Transform a single module to CommonJS using SWC.
  *
  * Important configuration choices:
- * - React JSX transform uses "classic" runtime => outputs `React.createElement(...)`.
- *   This matches dctc's VM context which injects a `React` global.
+ * - JSX, target and decorators follow the project's tsconfig.json. Without one, React JSX uses
+ *   the "classic" runtime => outputs `React.createElement(...)`, which matches dctc's VM context
+ *   that injects a `React` global.
  * - Module output is CommonJS to align with the VM execution strategy.
+ * - Files without import/export keep their top-level `this` (`module.exports` as in Node) and
+ *   are not made strict, but their `import()` calls are still rewritten to `require`.
  *
  * @param {string} absPath - Absolute file path (passed to SWC for better diagnostics).
  * @param {string} source - File contents (possibly preprocessed).
- * @returns {Promise<string>} Transformed JavaScript code in CJS format.
+ * @param {object} settings - Project settings from `loadCompilerSettings`.
+ * @param {boolean} esm - Whether the file has import/export (see `parseForImports`).
+ * @returns {Promise<{ code: string, map: object|null }>} Transformed JavaScript code in CJS format,
+ *   and its source map.
  */
-async function transformToCjs(absPath, source) {
+async function transformToCjs(absPath, source, settings, esm) {
+  const { jsx, decorators } = settings;
   const ext = path.extname(absPath).toLowerCase();
   const isTs = ext === ".ts" || ext === ".tsx";
   const isTsx = ext === ".tsx";
@@ -260,22 +383,29 @@ async function transformToCjs(absPath, source) {
 
   const out = await swc.transform(source, {
     filename: absPath,
-    sourceMaps: false,
+    sourceMaps: true,
+    isModule: true,
     jsc: {
-      target: "es2015",
+      target: settings.target,
       externalHelpers: false,
       parser: {
         syntax: isTs ? "typescript" : "ecmascript",
         tsx: isTsx,
         jsx: isJsx,
-        decorators: false,
+        decorators: true,
         dynamicImport: true,
       },
       transform: {
+        legacyDecorator: decorators.legacy,
+        decoratorVersion: "2022-03",
+        decoratorMetadata: decorators.metadata,
+        useDefineForClassFields: settings.useDefineForClassFields,
         react: {
-          runtime: "classic",
-          pragma: "React.createElement",
-          pragmaFrag: "React.Fragment",
+          runtime: jsx.runtime,
+          pragma: jsx.factory,
+          pragmaFrag: jsx.fragmentFactory,
+          importSource: jsx.importSource,
+          development: jsx.development,
           throwIfNamespace: true,
           useBuiltins: false,
         },
@@ -284,13 +414,67 @@ async function transformToCjs(absPath, source) {
     module: {
       type: "commonjs",
       strict: true,
-      strictMode: true,
+      strictMode: esm,
+      allowTopLevelThis: !esm,
       lazy: false,
       noInterop: false,
     },
   });
 
-  return out.code || "";
+  return {
+    code: out.code || "",
+    map: out.map ? JSON.parse(out.map) : null,
+  };
+}
+
+/**
+ * Find import cycles, in the order Node runs into them when starting from the entry.
+ *
+ * @param {string} entryId - Id of the entry module.
+ * @param {Record<string, string[]>} dependencies - Map: module id -> ids it loads when it runs.
+ * @returns {string[][]} Each cycle as its import chain, starting and ending with the same id.
+ */
+function findCycles(entryId, dependencies) {
+  const cycles = [];
+  const seen = new Set();
+  const done = new Set();
+  const stack = [];
+
+  const visit = (id) => {
+    const index = stack.indexOf(id);
+    if (index !== -1) {
+      const cycle = [...stack.slice(index), id];
+      // The same cycle can be entered from different modules
+      const key = cycle.slice(1).sort().join("\0");
+      if (!seen.has(key)) {
+        seen.add(key);
+        cycles.push(cycle);
+      }
+      return;
+    }
+    if (done.has(id)) return;
+    stack.push(id);
+    for (const dep of dependencies[id] || []) visit(dep);
+    stack.pop();
+    done.add(id);
+  };
+
+  visit(entryId);
+  return cycles;
+}
+
+/**
+ * Count the line breaks in a string, i.e. how many lines it moves the following code down.
+ *
+ * @param {string} str - Any string.
+ * @returns {number} Number of "\n" characters.
+ */
+function countLines(str) {
+  let count = 0;
+  for (let i = 0; i < str.length; i++) {
+    if (str.charCodeAt(i) === 10) count++;
+  }
+  return count;
 }
 
 /**
@@ -359,17 +543,29 @@ function rewriteLocalRequires(transformedCode, requireMap) {
  * - For each module:
  *   - JSON: inline as `module.exports = <parsed-json>`
  *   - Others: preprocess `import.meta.url`, SWC-transform to CJS, rewrite local requires.
+ * - Combine the per-module source maps into one inline index map.
  * - Emit a small runtime module system:
  *   - `__dctc_modules`: module table keyed by absolute ids
  *   - `__dctc_require`: loads from table and falls back to Node `require` for externals
  *   - `__dctc_cache`: require cache to avoid double execution
- * - Execute the entry module.
+ * - Execute the entry module and expose its exports as `module.exports`.
  *
  * @param {string} filePath - Entry file path (relative or absolute).
+ * @param {object} [options]
+ * @param {string} [options.jsx] - JSX runtime override: classic or automatic.
+ * @param {string} [options.jsxImportSource] - Import source override for the automatic runtime.
+ * @param {string|string[]} [options.externals] - Packages to leave to `require`: patterns, node_modules or none.
+ * @param {boolean} [options.esm] - Emit an ES module instead of CommonJS.
+ * @param {boolean} [options.warnCycles] - Print every circular import with its import chain.
+ * @param {string} [options.assets] - Import images as data URIs (inline) or file paths (file).
+ * @param {Set<string>} [options.files] - If given, receives the absolute path of every bundled module, and of
+ *   the directories import patterns search.
+ * @param {string} [options.cacheDir] - If given, parsed and transformed modules are cached there.
+ * @param {string} [options.source] - Contents of the entry, instead of reading `filePath`.
  * @returns {Promise<string>} A single JavaScript string in CommonJS style ready for vm execution.
  */
-module.exports = async function complie_swc(filePath) {
-  if (!fs.existsSync(filePath)) {
+module.exports = async function complie_swc(filePath, options = {}) {
+  if (options.source === undefined && !fs.existsSync(filePath)) {
     console.error(`File does not exist: ${JSON.stringify(filePath)}`);
     process.exit(1);
   }
@@ -377,10 +573,46 @@ module.exports = async function complie_swc(filePath) {
   const entryAbs = path.resolve(filePath);
 
   try {
+    // Project settings from the nearest tsconfig.json
+    const settings = loadCompilerSettings(entryAbs, options);
     const modules = {}; // id -> { code, filename, dirname }
-    const requireMaps = {}; // id -> { spec: resolvedId }
+    const dependencies = {}; // id -> ids it loads when it runs (not through `import()`)
     const visiting = new Set();
     const visited = new Set();
+    // Everything besides the source that changes how a module is transformed
+    const transformKey = {
+      target: settings.target,
+      jsx: settings.jsx,
+      decorators: settings.decorators,
+      useDefineForClassFields: settings.useDefineForClassFields,
+      baseUrl: settings.compilerOptions.baseUrl,
+      paths: settings.compilerOptions.paths,
+      externals: options.externals,
+    };
+
+    /**
+     * Parse and transform one module, reusing the on-disk cache when the source is unchanged.
+     * Specifiers are resolved again on every build, as new files may change where they point.
+     *
+     * @param {string} absPath - Absolute file path of the module.
+     * @param {string} source - Module source (after `patchImportMetaUrl`).
+     * @returns {Promise<{ specs: string[], globs: string[], lazy: string[], imports: string[], esm: boolean, code: string, map: object|null }>}
+     */
+    const compileModule = async (absPath, source) => {
+      const key = options.cacheDir && hash("swc-module", packageVersion("@swc/core"), absPath, source, transformKey);
+      const cached = key && readCache(options.cacheDir, "swc", key);
+      if (cached) return cached;
+
+      const { specs, globs, lazy, imports, esm } = await parseForImports(absPath, source, settings);
+      // Bundled packages are usually CommonJS already; run them as published
+      const { code, map } =
+        !esm && /\.[cm]?js$/i.test(absPath) && absPath.split(path.sep).includes("node_modules")
+          ? { code: source, map: null }
+          : await transformToCjs(absPath, source, settings, esm);
+      const result = { specs, globs, lazy, imports, esm, code, map };
+      if (key) writeCache(options.cacheDir, "swc", key, result);
+      return result;
+    };
 
     /**
      * Load (and compile) one module into the in-memory bundle tables.
@@ -390,9 +622,8 @@ module.exports = async function complie_swc(filePath) {
      * - Then loads dependencies first.
      * - Finally transforms and stores the current module.
      *
-     * `visiting`/`visited` are used to prevent infinite recursion for cyclic imports.
-     * This is a pragmatic cycle guard; it does not fully emulate Node's nuanced cyclic export timing,
-     * but is sufficient for common project structures.
+     * `visiting`/`visited` only prevent infinite recursion for cyclic imports while bundling.
+     * Cycles themselves are handled at runtime by `__dctc_require`, the same way Node does.
      *
      * @param {string} absPath - Absolute file path of the module.
      * @returns {Promise<void>}
@@ -412,36 +643,67 @@ module.exports = async function complie_swc(filePath) {
           dirname: path.dirname(absPath),
           code: `module.exports = ${JSON.stringify(jsonValue)};`,
         };
-        requireMaps[id] = {};
+        dependencies[id] = [];
         visited.add(id);
         visiting.delete(id);
         return;
       }
 
-      let source = await fs.promises.readFile(absPath, "utf8");
-      source = patchImportMetaUrl(source);
-
-      const localImports = await parseForImports(absPath, source);
+      // Styles and images become JS modules (see lib/assets.js)
+      const asset = isAsset(absPath) ? loadAsset(absPath, options) : null;
+      if (asset && options.files) {
+        for (const file of asset.files) options.files.add(file);
+      }
+      // The entry may be given in memory (options.source)
+      const inMemory = absPath === entryAbs && options.source !== undefined;
+      const source = asset
+        ? asset.code
+        : patchImportMetaUrl(inMemory ? options.source : await fs.promises.readFile(absPath, "utf8"));
+
+      const compiled = await compileModule(absPath, source);
+      const inNodeModules = absPath.split(path.sep).includes("node_modules");
       const map = {};
-      for (const spec of localImports) {
-        const resolved = resolveLocal(absPath, spec);
-        const resolvedId = normalizeId(resolved);
-        map[spec] = resolvedId;
+      for (const spec of compiled.specs) {
+        let resolved;
+        try {
+          resolved = resolveSpecifier(absPath, spec, settings, compiled.esm);
+        } catch (error) {
+          // Packages often guard optional dependencies with try/catch; leave those to runtime
+          if (inNodeModules && !isLocalSpecifier(spec)) continue;
+          throw error;
+        }
+        map[spec] = normalizeId(resolved);
+      }
+      dependencies[id] = Object.keys(map)
+        .filter((spec) => !(compiled.lazy || []).includes(spec))
+        .map((spec) => map[spec]);
+      // Every file a dynamic import pattern can load, keyed by the specifier computed at runtime
+      const dynamicMap = {};
+      for (const pattern of compiled.globs || []) {
+        // The searched directories are inputs too, for the cache and --watch
+        for (const [spec, file] of Object.entries(expandGlob(absPath, pattern, options.files))) {
+          dynamicMap[spec] = normalizeId(file);
+        }
       }
-      requireMaps[id] = map;
 
-      // Load deps first
-      for (const spec of localImports) {
-        await loadModule(resolveLocal(absPath, spec));
+      // Load deps first. Modules are only evaluated when required, so dynamic imports stay lazy.
+      for (const resolvedId of [...Object.values(map), ...Object.values(dynamicMap)]) {
+        await loadModule(resolvedId);
       }
 
-      const transformed = await transformToCjs(absPath, source);
-      const rewritten = rewriteLocalRequires(transformed, map);
+      // Only rewrites within lines, so the module's source map keeps its line mapping.
+      const rewritten = rewriteLocalRequires(compiled.code, map);
 
       modules[id] = {
         filename: absPath,
         dirname: path.dirname(absPath),
         code: rewritten,
+        map: compiled.map,
+        // In ESM mode, ES modules are async, so they can use top-level await and wait for their imports.
+        // So are the entry and files that use top-level await without any import or export.
+        async: !!options.esm && (compiled.esm || absPath === entryAbs || hasTopLevelAwait(absPath, source)),
+        imports: compiled.imports.map((spec) => map[spec] || spec),
+        dynamicMap,
       };
 
       visited.add(id);
@@ -450,38 +712,124 @@ module.exports = async function complie_swc(filePath) {
 
     await loadModule(entryAbs);
 
-    const entries = Object.entries(modules);
-    const moduleTable = entries
+    if (options.warnCycles) {
+      for (const cycle of findCycles(normalizeId(entryAbs), dependencies)) {
+        logWarn(`Circular import: ${cycle.map((id) => path.relative(process.cwd(), id)).join(" -> ")}`);
+      }
+    }
+
+    if (options.files) {
+      for (const m of Object.values(modules)) options.files.add(m.filename);
+    }
+
+    const entryId = escapeForJsString(normalizeId(entryAbs));
+
+    // An ES module bundle is already strict and scoped, and cannot export from inside a function
+    const header = options.esm
+      ? `var __dctc_modules = {
+`
+      : `(function () {
+  "use strict";
+  var __dctc_modules = {
+`;
+    // Track where each module's code starts, so the per-module source maps can be combined
+    // into one index map (source map "sections") for the whole bundle.
+    const sections = [];
+    let line = countLines(header);
+    const moduleTable = Object.entries(modules)
       .map(([id, m]) => {
         const idStr = escapeForJsString(id);
         const filenameStr = escapeForJsString(m.filename);
         const dirnameStr = escapeForJsString(m.dirname);
         // Wrap each module in a function to emulate Node's per-module __filename/__dirname.
-        return `"${idStr}": { filename: "${filenameStr}", dirname: "${dirnameStr}", fn: function(module, exports, __dctc_require, require, __filename, __dirname) {\n${m.code}\n} }`;
+        const esmFields = options.esm ? `async: ${!!m.async}, imports: ${JSON.stringify(m.imports || [])}, ` : "";
+        const dynamicFields = m.dynamicMap && Object.keys(m.dynamicMap).length ? `requires: ${JSON.stringify(m.dynamicMap)}, ` : "";
+        const record = `"${idStr}": { filename: "${filenameStr}", dirname: "${dirnameStr}", ${esmFields}${dynamicFields}fn: ${m.async ? "async " : ""}function(module, exports, __dctc_require, require, __filename, __dirname) {\n${m.code}\n} }`;
+        if (m.map) {
+          sections.push({ offset: { line: line + 1, column: 0 }, map: m.map });
+        }
+        line += countLines(record + ",\n");
+        return record;
       })
       .join(",\n");
 
-    const entryId = escapeForJsString(normalizeId(entryAbs));
-
-    const bundle = `(function () {
-  "use strict";
-  var __dctc_modules = {
-${moduleTable}
+    // In ESM mode, externals may be ESM-only packages imported by `__dctc_load_external`
+    const externalRequire = options.esm ? "__dctc_require_external" : "require";
+    const loader = `${header}${moduleTable}
   };
   var __dctc_cache = Object.create(null);
+  function __dctc_module(id, record) {
+    return { id: id, filename: record.filename, loaded: false, exports: {} };
+  }
+  // Same cycle semantics as Node's CommonJS loader: a module is cached before it runs,
+  // so a cyclic require returns its exports so far, and a module that throws is evicted.
   function __dctc_require(id) {
     if (__dctc_cache[id]) return __dctc_cache[id].exports;
     var record = __dctc_modules[id];
-    if (!record) return require(id);
-    var module = { exports: {} };
+    if (!record) return ${externalRequire}(id);
+    var module = __dctc_module(id, record);
     __dctc_cache[id] = module;
-    record.fn(module, module.exports, __dctc_require, require, record.filename, record.dirname);
+    try {
+      record.fn.call(module.exports, module, module.exports, __dctc_require, __dctc_module_require(record), record.filename, record.dirname);
+    } catch (error) {
+      delete __dctc_cache[id];
+      throw error;
+    }
+    module.loaded = true;
+    return module.exports;
+  }
+  // Specifiers computed at runtime (dynamic imports of a pattern) are looked up in \`requires\`
+  function __dctc_module_require(record) {
+    if (!record.requires) return ${externalRequire};
+    return function (spec) {
+      var id = record.requires[spec];
+      return id ? __dctc_require(id) : ${externalRequire}(spec);
+    };
+  }`;
+
+    const bundle = options.esm
+      ? `${loader}
+  var __dctc_esm_externals = Object.create(null);
+  // Externals are required like in CommonJS mode; ESM-only packages are imported ahead of time
+  async function __dctc_load_external(spec) {
+    try {
+      return require(spec);
+    } catch (error) {
+      if (!error || (error.code !== "ERR_REQUIRE_ESM" && error.code !== "ERR_PACKAGE_PATH_NOT_EXPORTED" && error.code !== "MODULE_NOT_FOUND")) throw error;
+      var namespace = await import(spec);
+      __dctc_esm_externals[spec] = Object.assign({ __esModule: true }, namespace);
+      return __dctc_esm_externals[spec];
+    }
+  }
+  function __dctc_require_external(spec) {
+    return spec in __dctc_esm_externals ? __dctc_esm_externals[spec] : require(spec);
+  }
+  // Evaluate an async module after its imports, in order, like Node evaluates ES modules
+  async function __dctc_load(id) {
+    if (__dctc_cache[id]) return __dctc_cache[id].exports;
+    var record = __dctc_modules[id];
+    if (!record) return __dctc_load_external(id);
+    if (!record.async) return __dctc_require(id);
+    var module = __dctc_module(id, record);
+    __dctc_cache[id] = module;
+    try {
+      for (var i = 0; i < record.imports.length; i++) await __dctc_load(record.imports[i]);
+      await record.fn.call(module.exports, module, module.exports, __dctc_require, __dctc_module_require(record), record.filename, record.dirname);
+    } catch (error) {
+      delete __dctc_cache[id];
+      throw error;
+    }
+    module.loaded = true;
     return module.exports;
   }
-  __dctc_require("${entryId}");
+  var __dctc_exports = await __dctc_load("${entryId}");
+  export { __dctc_exports as "${CJS_EXPORTS_NAME}" };
+`
+      : `${loader}
+  module.exports = __dctc_require("${entryId}");
 })();`;
 
-    return bundle;
+    return appendInlineSourceMap(bundle, { version: 3, sections });
   } catch (error) {
     logErr("Build failed:");
     console.error(error);
@@ -0,0 +1,667 @@
+/**
+ * Turn rendered HTML into HTML that email clients show as intended (`render --email`).
+ *
+ * Most email clients ignore external stylesheets, and Gmail drops `<style>` rules it does not
+ * understand, so `toEmail`:
+ *
+ * - inlines every `<style>` rule it can into the `style` attribute of the elements it matches.
+ *   Rules that cannot be inlined (`@media`, `:hover`, ...) stay in one `<style>` element in `<head>`,
+ *   and class names are removed unless one of those rules still uses them. Selectors it cannot
+ *   evaluate, other than the dynamic ones, are kept there too, with a warning;
+ * - removes what no email client runs: `<script>`, `<iframe>`, `<object>`, `<embed>`, stylesheet
+ *   links, event handler attributes and `javascript:` URLs;
+ * - builds a plain-text alternative of the message;
+ * - warns about constructs known to break in major clients, and about Gmail clipping messages
+ *   larger than 102KB.
+ *
+ * The HTML and CSS parsers are small: they cover what React renders, and ordinary hand-written markup.
+ *
+ * @author pipi
+ */
+const { insertStyles } = require("./assets");
+
+/** Gmail hides the rest of a message whose HTML is larger than this. */
+const GMAIL_CLIP_BYTES = 102 * 1024;
+
+const VOID_TAGS = new Set(["area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta", "param", "source", "track", "wbr"]);
+const RAW_TEXT_TAGS = new Set(["script", "style", "textarea", "title"]);
+
+/** Elements no email client runs. They are removed with their content. */
+const REMOVED_TAGS = {
+  script: "<script> never runs in email clients; it was removed",
+  iframe: "<iframe> is blocked by email clients; it was removed",
+  object: "<object> is blocked by email clients; it was removed",
+  embed: "<embed> is blocked by email clients; it was removed",
+};
+
+const FORM_WARNING = "Forms do not work in Gmail and Outlook; link to a web page instead";
+
+/** Elements that are kept, but do not work in some major clients. */
+const WARNED_TAGS = {
+  svg: "Gmail and Outlook do not show inline <svg>; use a PNG image",
+  video: "Gmail and Outlook do not play <video>; use an image that links to the video",
+  audio: "Gmail and Outlook do not play <audio>",
+  canvas: "<canvas> needs JavaScript, which no email client runs",
+  form: FORM_WARNING,
+  input: FORM_WARNING,
+  select: FORM_WARNING,
+  textarea: FORM_WARNING,
+  button: FORM_WARNING,
+};
+
+/** CSS declarations that are kept, but ignored by major clients. */
+const WARNED_CSS = [
+  [(prop, value) => prop === "display" && /\b(inline-)?(flex|grid)\b/i.test(value), "Outlook (Windows) ignores display: flex and grid; use tables for layout"],
+  [(prop) => prop === "position", "Gmail and Outlook ignore position"],
+  [(prop, value) => /^background(-image)?$/.test(prop) && /url\(/i.test(value), "Outlook (Windows) does not show CSS background images"],
+  [(prop, value) => prop.startsWith("--") || /\bvar\(/i.test(value), "Gmail and Outlook do not support CSS variables"],
+  [(prop) => /^(animation|transition|transform)(-|$)/.test(prop), "Gmail and Outlook ignore animation, transition and transform"],
+  [(prop) => prop === "box-shadow", "Outlook (Windows) ignores box-shadow"],
+];
+
+const BLOCK_TAGS = new Set([
+  "address", "article", "aside", "blockquote", "center", "dd", "div", "dl", "dt", "figure", "footer",
+  "h1", "h2", "h3", "h4", "h5", "h6", "header", "hr", "li", "main", "nav", "ol", "p", "pre", "section",
+  "table", "tbody", "tfoot", "thead", "tr", "ul",
+]);
+/** Blocks that are followed by an empty line in the plain-text version. */
+const PARAGRAPH_TAGS = new Set(["blockquote", "h1", "h2", "h3", "h4", "h5", "h6", "ol", "p", "pre", "table", "ul"]);
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: "\u00a0", copy: "\u00a9", reg: "\u00ae", hellip: "\u2026", mdash: "\u2014", ndash: "\u2013" };
+
+/**
+ * Decode the character references of HTML text.
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (reference, name) => {
+    if (name[0] === "#") {
+      const code = name[1] === "x" || name[1] === "X" ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return ENTITIES[name.toLowerCase()] || reference;
+  });
+}
+
+/**
+ * Parse the attributes of a start tag. Values are decoded.
+ * @param {string} source - e.g. ` class="a" disabled`.
+ * @returns {Array<{ name: string, value: string | null }>} - `null` for attributes without a value.
+ */
+function parseAttributes(source) {
+  const attrs = [];
+  const pattern = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+  let match;
+  while ((match = pattern.exec(source))) {
+    const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+    attrs.push({ name: match[1].toLowerCase(), value: value === undefined ? null : decodeEntities(value) });
+  }
+  return attrs;
+}
+
+/**
+ * Parse HTML into a tree of `{ type: "root" | "element" | "text" | "comment" | "raw" }` nodes.
+ * Text keeps its character references; `raw` nodes are `<!DOCTYPE>`-like declarations.
+ * @param {string} html
+ * @returns {object} The root node.
+ */
+function parseHtml(html) {
+  const root = { type: "root", children: [] };
+  const stack = [root];
+  const append = (node) => {
+    node.parent = stack[stack.length - 1];
+    node.parent.children.push(node);
+  };
+  const lowerHtml = html.toLowerCase();
+  const tokens =
+    /<!--([\s\S]*?)-->|<[!?][^>]*>|<\/([a-zA-Z][\w:-]*)\s*>|<([a-zA-Z][\w:-]*)((?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/g;
+  let last = 0;
+  let match;
+  while ((match = tokens.exec(html))) {
+    if (match.index > last) append({ type: "text", value: html.slice(last, match.index) });
+    last = tokens.lastIndex;
+    if (match[1] !== undefined) {
+      append({ type: "comment", value: match[1] });
+    } else if (match[2]) {
+      // Close the innermost open element with that name, and the elements it contains
+      const index = stack.map((node) => node.name).lastIndexOf(match[2].toLowerCase());
+      if (index > 0) stack.length = index;
+    } else if (match[3]) {
+      const name = match[3].toLowerCase();
+      const element = { type: "element", name, attrs: parseAttributes(match[4]), children: [] };
+      append(element);
+      if (RAW_TEXT_TAGS.has(name)) {
+        const end = lowerHtml.indexOf(`</${name}`, last);
+        const stop = end === -1 ? html.length : end;
+        if (stop > last) element.children.push({ type: "text", value: html.slice(last, stop), parent: element });
+        last = tokens.lastIndex = end === -1 ? html.length : html.indexOf(">", end) + 1;
+      } else if (!VOID_TAGS.has(name) && !match[5]) {
+        stack.push(element);
+      }
+    } else {
+      append({ type: "raw", value: match[0] });
+    }
+  }
+  if (last < html.length) append({ type: "text", value: html.slice(last) });
+  return root;
+}
+
+/**
+ * Serialize a tree from `parseHtml`.
+ * @param {object} node
+ * @returns {string}
+ */
+function serializeHtml(node) {
+  if (node.type === "text" || node.type === "raw") return node.value;
+  if (node.type === "comment") return `<!--${node.value}-->`;
+  const children = node.children.map(serializeHtml).join("");
+  if (node.type === "root") return children;
+  const attrs = node.attrs
+    .map(({ name, value }) => (value === null ? ` ${name}` : ` ${name}="${value.replace(/&/g, "&amp;").replace(/"/g, "&quot;")}"`))
+    .join("");
+  return VOID_TAGS.has(node.name) ? `<${node.name}${attrs}>` : `<${node.name}${attrs}>${children}</${node.name}>`;
+}
+
+function getAttribute(element, name) {
+  const attr = element.attrs.find((item) => item.name === name);
+  return attr ? (attr.value === null ? "" : attr.value) : undefined;
+}
+
+function setAttribute(element, name, value) {
+  const attr = element.attrs.find((item) => item.name === name);
+  if (value === undefined) element.attrs = element.attrs.filter((item) => item !== attr);
+  else if (attr) attr.value = value;
+  else element.attrs.push({ name, value });
+}
+
+function elementChildren(node) {
+  return node.children.filter((child) => child.type === "element");
+}
+
+/**
+ * Element siblings of an element, including those `cleanTree` removed (e.g. a `<style>`), as they
+ * were when the page rendered: structural selectors match that tree, like in the browser.
+ * @param {object} element
+ * @returns {object[]}
+ */
+function renderedSiblings(element) {
+  return element.parent.rendered || elementChildren(element.parent);
+}
+
+function parentElement(element) {
+  return element.parent && element.parent.type === "element" ? element.parent : null;
+}
+
+/**
+ * Index after a CSS comment or string starting at `i`, or `i` when there is none.
+ * @param {string} css
+ * @param {number} i
+ * @returns {number}
+ */
+function skipCommentOrString(css, i) {
+  if (css[i] === "/" && css[i + 1] === "*") {
+    const end = css.indexOf("*/", i + 2);
+    return end === -1 ? css.length : end + 2;
+  }
+  if (css[i] === '"' || css[i] === "'") {
+    let end = i + 1;
+    while (end < css.length && css[end] !== css[i]) end += css[end] === "\\" ? 2 : 1;
+    return end + 1;
+  }
+  return i;
+}
+
+/**
+ * Split CSS on a separator outside of strings, parentheses and brackets. Comments are left out.
+ * @param {string} css
+ * @param {string} separator - One character.
+ * @returns {string[]}
+ */
+function splitCss(css, separator) {
+  const parts = [""];
+  let depth = 0;
+  for (let i = 0; i < css.length; i++) {
+    const end = skipCommentOrString(css, i);
+    if (end !== i) {
+      if (css[i] !== "/") parts[parts.length - 1] += css.slice(i, end);
+      i = end - 1;
+    } else if (css[i] === separator && !depth) {
+      parts.push("");
+    } else {
+      if (css[i] === "(" || css[i] === "[") depth++;
+      else if ((css[i] === ")" || css[i] === "]") && depth) depth--;
+      parts[parts.length - 1] += css[i];
+    }
+  }
+  return parts;
+}
+
+/**
+ * Parse the declarations of a rule or of a `style` attribute.
+ * @param {string} css - e.g. `color: red; margin: 0 !important`.
+ * @returns {Array<{ prop: string, value: string, important: boolean }>}
+ */
+function parseDeclarations(css) {
+  const declarations = [];
+  for (const part of splitCss(css, ";")) {
+    const colon = part.indexOf(":");
+    if (colon === -1) continue;
+    const name = part.slice(0, colon).trim();
+    let value = part.slice(colon + 1).trim();
+    const important = /!\s*important$/i.test(value);
+    if (important) value = value.replace(/\s*!\s*important$/i, "");
+    if (!name || !value) continue;
+    // Custom properties are case-sensitive
+    declarations.push({ prop: name.startsWith("--") ? name : name.toLowerCase(), value, important });
+  }
+  return declarations;
+}
+
+/**
+ * Parse a style sheet into rules and at-rules. At-rules are kept as text.
+ * @param {string} css
+ * @returns {Array<{ type: "rule", selector: string, body: string } | { type: "at", text: string }>}
+ */
+function parseCss(css) {
+  const items = [];
+  let prelude = "";
+  for (let i = 0; i < css.length; i++) {
+    const end = skipCommentOrString(css, i);
+    if (end !== i) {
+      if (css[i] !== "/") prelude += css.slice(i, end);
+      i = end - 1;
+    } else if (css[i] === ";") {
+      // A statement at-rule, e.g. @import or @charset
+      if (prelude.trim()) items.push({ type: "at", text: `${prelude.trim()};` });
+      prelude = "";
+    } else if (css[i] === "{") {
+      let depth = 1;
+      let close = i + 1;
+      for (; close < css.length && depth; close++) {
+        const skipped = skipCommentOrString(css, close);
+        if (skipped !== close) close = skipped - 1;
+        else if (css[close] === "{") depth++;
+        else if (css[close] === "}") depth--;
+      }
+      const head = prelude.trim();
+      const body = css.slice(i + 1, close - 1);
+      items.push(head.startsWith("@") ? { type: "at", text: `${head} {${body}}` } : { type: "rule", selector: head, body });
+      prelude = "";
+      i = close - 1;
+    } else if (css[i] !== "}") {
+      prelude += css[i];
+    }
+  }
+  return items;
+}
+
+const SELECTOR_TOKEN =
+  /^(?:\s*([>+~])\s*|(\s+)|(\*|[a-zA-Z][\w-]*)|\.(-?[_a-zA-Z\u00A0-\uFFFF][\w-]*)|#(-?[_a-zA-Z\u00A0-\uFFFF][\w-]*)|\[\s*([\w-]+)\s*(?:([~|^$*]?=)\s*(?:"([^"\\]*)"|'([^'\\]*)'|(-?[_a-zA-Z][\w-]*))\s*)?\]|:(first-child|last-child)(?![\w(-]))/i;
+
+/** Selectors that depend on the user or on generated content: they can only work from `<style>`. */
+const DYNAMIC_SELECTOR = /:(hover|active|focus|focus-visible|focus-within|visited|link|target|checked)(?![\w(-])|::?(before|after|first-line|first-letter|placeholder|selection|marker)(?![\w(-])/i;
+
+/**
+ * Parse a selector that can be matched against the HTML without a browser: type, class, id and
+ * attribute selectors, `:first-child`, `:last-child` (see `renderedSiblings`), and combinators.
+ * Anything else, including escapes and attribute flags, is not guessed at.
+ *
+ * @param {string} selector - One selector of a selector list.
+ * @returns {{ compounds: Array<{ combinator: string | null, tests: object[] }>, specificity: number[] } | null}
+ *   `null` when the selector has other parts (e.g. `:hover`), so its rule stays in `<style>`.
+ */
+function parseSelector(selector) {
+  const compounds = [{ combinator: null, tests: [] }];
+  const specificity = [0, 0, 0];
+  let pending = null;
+  let rest = selector.trim();
+  while (rest) {
+    const match = SELECTOR_TOKEN.exec(rest);
+    if (!match) return null;
+    rest = rest.slice(match[0].length);
+    if (match[1] || match[2]) {
+      if (!compounds[0].tests.length) return null;
+      pending = match[1] || pending || " ";
+      continue;
+    }
+    if (pending) {
+      compounds.push({ combinator: pending, tests: [] });
+      pending = null;
+    }
+    const { tests } = compounds[compounds.length - 1];
+    if (match[3]) {
+      // A type selector only starts a compound, e.g. not `.a*` or `[x]p`
+      if (tests.length) return null;
+      if (match[3] !== "*") {
+        tests.push({ type: "tag", name: match[3].toLowerCase() });
+        specificity[2]++;
+      }
+    } else if (match[4]) {
+      tests.push({ type: "class", name: match[4] });
+      specificity[1]++;
+    } else if (match[5]) {
+      tests.push({ type: "id", name: match[5] });
+      specificity[0]++;
+    } else if (match[6]) {
+      const value = match[8] !== undefined ? match[8] : match[9] !== undefined ? match[9] : match[10];
+      tests.push({ type: "attr", name: match[6].toLowerCase(), op: match[7], value });
+      specificity[1]++;
+    } else {
+      tests.push({ type: match[11].toLowerCase() });
+      specificity[1]++;
+    }
+  }
+  if (pending && pending !== " ") return null;
+  return { compounds, specificity };
+}
+
+function matchesAttribute(actual, op, expected) {
+  if (!op) return true;
+  if (op === "=") return actual === expected;
+  if (op === "~=") return actual.split(/\s+/).includes(expected);
+  if (op === "|=") return actual === expected || actual.startsWith(`${expected}-`);
+  if (!expected) return false;
+  if (op === "^=") return actual.startsWith(expected);
+  if (op === "$=") return actual.endsWith(expected);
+  return actual.includes(expected);
+}
+
+function matchesCompound(element, tests) {
+  return tests.every((test) => {
+    if (test.type === "tag") return element.name === test.name;
+    if (test.type === "class") return (getAttribute(element, "class") || "").split(/\s+/).includes(test.name);
+    if (test.type === "id") return getAttribute(element, "id") === test.name;
+    if (test.type === "attr") {
+      const value = getAttribute(element, test.name);
+      return value !== undefined && matchesAttribute(value, test.op, test.value);
+    }
+    const siblings = renderedSiblings(element);
+    return siblings[test.type === "first-child" ? 0 : siblings.length - 1] === element;
+  });
+}
+
+function matchesSelector(element, compounds, index = compounds.length - 1) {
+  if (!matchesCompound(element, compounds[index].tests)) return false;
+  if (index === 0) return true;
+  const { combinator } = compounds[index];
+  if (combinator === ">" || combinator === " ") {
+    for (let parent = parentElement(element); parent; parent = parentElement(parent)) {
+      if (matchesSelector(parent, compounds, index - 1)) return true;
+      if (combinator === ">") return false;
+    }
+    return false;
+  }
+  const siblings = renderedSiblings(element);
+  const position = siblings.indexOf(element);
+  if (combinator === "+") return position > 0 && matchesSelector(siblings[position - 1], compounds, index - 1);
+  return siblings.slice(0, position).some((sibling) => matchesSelector(sibling, compounds, index - 1));
+}
+
+function compareSpecificity(a, b) {
+  return a[0] - b[0] || a[1] - b[1] || a[2] - b[2];
+}
+
+function checkDeclarations(declarations, warn) {
+  for (const { prop, value } of declarations) {
+    for (const [test, message] of WARNED_CSS) {
+      if (test(prop, value)) warn(message);
+    }
+  }
+}
+
+/**
+ * Remove what email clients do not run, collect the CSS of `<style>` elements, and warn about
+ * elements and attributes that break in major clients.
+ *
+ * @param {object} node - A node of the tree; changed in place. Its children as rendered are kept
+ *   for `renderedSiblings`.
+ * @param {string[]} css - Receives the CSS of every `<style>` element, in document order.
+ * @param {(message: string) => void} warn
+ */
+function cleanTree(node, css, warn) {
+  node.rendered = elementChildren(node);
+  node.children = node.children.filter((child) => {
+    if (child.type === "comment") {
+      // Conditional comments target Outlook on purpose
+      return /^\[if /i.test(child.value);
+    }
+    if (child.type !== "element") return true;
+    const { name } = child;
+    if (name === "style") {
+      css.push(child.children.map((text) => text.value).join(""));
+      return false;
+    }
+    if (REMOVED_TAGS[name]) {
+      warn(REMOVED_TAGS[name]);
+      return false;
+    }
+    if (name === "link" && /\bstylesheet\b/i.test(getAttribute(child, "rel") || "")) {
+      warn("Email clients ignore external stylesheets; it was removed. Import the CSS from the component instead");
+      return false;
+    }
+    if (WARNED_TAGS[name]) warn(WARNED_TAGS[name]);
+
+    child.attrs = child.attrs.filter(({ name: attr, value }) => {
+      if (attr.startsWith("on")) {
+        warn("Event handler attributes never run in email clients; they were removed");
+        return false;
+      }
+      if ((attr === "href" || attr === "src") && /^\s*javascript:/i.test(value || "")) {
+        warn("javascript: URLs never run in email clients; they were removed");
+        return false;
+      }
+      return true;
+    });
+    const urlAttr = name === "img" ? "src" : name === "a" ? "href" : null;
+    const url = urlAttr && getAttribute(child, urlAttr);
+    if (url && name === "img" && url.startsWith("data:")) {
+      warn("Gmail and Outlook do not show images with data: URIs; use hosted images");
+    } else if (url && !/^([a-z][a-z\d+.-]*:|#|\{\{|\*\|)/i.test(url)) {
+      warn(`Relative and local URLs do not work in email: ${url}`);
+    }
+    const style = getAttribute(child, "style");
+    if (style) checkDeclarations(parseDeclarations(style), warn);
+
+    cleanTree(child, css, warn);
+    return true;
+  });
+}
+
+/**
+ * Inline the rules of a style sheet into the `style` attributes of the elements they match.
+ * Declarations are applied like the cascade does: by importance, then specificity, then order,
+ * and a `style` attribute wins over every rule without `!important`.
+ *
+ * @param {object} root - The tree; changed in place.
+ * @param {string} css - The style sheet.
+ * @param {(message: string) => void} warn
+ * @returns {string} The CSS that could not be inlined.
+ */
+function inlineCss(root, css, warn) {
+  const elements = [];
+  const collect = (node) => {
+    for (const child of elementChildren(node)) {
+      // Nothing in <head> is shown
+      if (child.name === "head") continue;
+      elements.push(child);
+      collect(child);
+    }
+  };
+  collect(root);
+
+  const matched = new Map(); // element => declarations of the rules that match it
+  const kept = [];
+  let order = 0;
+  for (const item of parseCss(css)) {
+    if (item.type === "at") {
+      if (/^@(import|font-face)\b/i.test(item.text)) {
+        warn("Web fonts (@import, @font-face) only load in Apple Mail and a few other clients; set a fallback font-family");
+      }
+      kept.push(item.text);
+      continue;
+    }
+    const declarations = parseDeclarations(item.body);
+    checkDeclarations(declarations, warn);
+    for (const selector of splitCss(item.selector, ",")) {
+      const parsed = item.body.includes("{") ? null : parseSelector(selector);
+      if (!parsed) {
+        if (!DYNAMIC_SELECTOR.test(selector)) {
+          warn(`The selector "${selector.trim()}" could not be inlined; it stays in <style>, which some email clients ignore`);
+        }
+        kept.push(`${selector.trim()} {${item.body}}`);
+        continue;
+      }
+      for (const element of elements) {
+        if (!matchesSelector(element, parsed.compounds)) continue;
+        if (!matched.has(element)) matched.set(element, []);
+        for (const declaration of declarations) {
+          matched.get(element).push({ ...declaration, specificity: parsed.specificity, order: order++ });
+        }
+      }
+    }
+  }
+
+  for (const [element, declarations] of matched) {
+    declarations.sort((a, b) => a.important - b.important || compareSpecificity(a.specificity, b.specificity) || a.order - b.order);
+    const result = new Map();
+    const apply = ({ prop, value, important }) => {
+      // Re-add the property, so it comes after the shorthands and longhands it overrides
+      result.delete(prop);
+      result.set(prop, { value, important });
+    };
+    declarations.forEach(apply);
+    for (const declaration of parseDeclarations(getAttribute(element, "style") || "")) {
+      const current = result.get(declaration.prop);
+      if (!current || !current.important || declaration.important) apply(declaration);
+    }
+    const style = [...result].map(([prop, { value, important }]) => `${prop}:${value}${important ? " !important" : ""}`).join(";");
+    setAttribute(element, "style", style);
+  }
+  return kept.join("\n");
+}
+
+/**
+ * Remove class names that no remaining `<style>` rule uses.
+ * @param {object} node
+ * @param {string} css - The CSS that stays in `<style>`.
+ */
+function removeUnusedClasses(node, css) {
+  const used = new Set((css.match(/\.-?[_a-zA-Z\u00A0-\uFFFF][\w-]*/g) || []).map((name) => name.slice(1)));
+  const visit = (parent) => {
+    for (const element of elementChildren(parent)) {
+      const classes = (getAttribute(element, "class") || "").split(/\s+/).filter((name) => used.has(name));
+      setAttribute(element, "class", classes.length ? classes.join(" ") : undefined);
+      visit(element);
+    }
+  };
+  visit(node);
+}
+
+/**
+ * Plain-text version of the message, for the `text/plain` part of an email.
+ * Links are followed by their URL, images are replaced by their `alt` text, and hidden
+ * elements (e.g. preheaders with `display:none`) are left out.
+ *
+ * @param {object} root - The tree, after styles were inlined.
+ * @returns {string}
+ */
+function toText(root) {
+  let out = "";
+  // Blocks end the current line; paragraphs also leave an empty line. Breaks do not add up.
+  const lineBreaks = (count) => {
+    out = out.replace(/[ \t]+$/, "");
+    const trailing = out.length - out.replace(/\n+$/, "").length;
+    if (out && trailing < count) out += "\n".repeat(count - trailing);
+  };
+  const visit = (node) => {
+    if (node.type === "text") {
+      out += decodeEntities(node.value).replace(/\s+/g, " ");
+      return;
+    }
+    if (node.type !== "element") {
+      if (node.type === "root") node.children.forEach(visit);
+      return;
+    }
+    const { name } = node;
+    if (["head", "script", "style", "template", "title"].includes(name)) return;
+    if (/(^|;)\s*display\s*:\s*none/i.test(getAttribute(node, "style") || "")) return;
+    if (name === "br") {
+      out += "\n";
+      return;
+    }
+    if (name === "hr") {
+      lineBreaks(2);
+      out += "----------";
+      lineBreaks(2);
+      return;
+    }
+    if (name === "img") {
+      out += getAttribute(node, "alt") || "";
+      return;
+    }
+    const breaks = PARAGRAPH_TAGS.has(name) ? 2 : BLOCK_TAGS.has(name) ? 1 : 0;
+    if (breaks) lineBreaks(breaks);
+    // Cells of a row are separated by spaces
+    if (name === "td" || name === "th") out += " ";
+    if (name === "li") out += "- ";
+    const start = out.length;
+    node.children.forEach(visit);
+    const href = name === "a" ? getAttribute(node, "href") : undefined;
+    if (href && !href.startsWith("#")) {
+      const label = out.slice(start).trim();
+      if (label !== href && label !== href.replace(/^mailto:/i, "")) out += ` (${href})`;
+    }
+    if (breaks) lineBreaks(breaks);
+  };
+  visit(root);
+  return `${out
+    .split("\n")
+    .map((line) => line.replace(/[ \t\u00a0]+/g, " ").trim())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim()}\n`;
+}
+
+/**
+ * Make rendered HTML ready to be sent as an email.
+ *
+ * @param {string} html - A rendered document, with its styles in `<style>` elements (see `insertStyles`).
+ * @returns {{ html: string, text: string, warnings: string[] }} The email HTML, its plain-text
+ *   alternative, and what may break in major email clients.
+ */
+function toEmail(html) {
+  const warnings = [];
+  const warn = (message) => {
+    if (!warnings.includes(message)) warnings.push(message);
+  };
+
+  const root = parseHtml(html);
+  const css = [];
+  cleanTree(root, css, warn);
+  const kept = inlineCss(root, css.join("\n"), warn);
+  removeUnusedClasses(root, kept);
+
+  let output = serializeHtml(root);
+  if (kept) output = insertStyles(output, [{ css: kept }]);
+  const bytes = Buffer.byteLength(output);
+  if (bytes > GMAIL_CLIP_BYTES) {
+    warn(`The HTML is ${(bytes / 1024).toFixed(1)}KB; Gmail clips messages larger than 102KB`);
+  }
+  return { html: output, text: toText(root), warnings };
+}
+
+/**
+ * Path of the plain-text version of an email written to `htmlPath`: email.html => email.txt.
+ * @param {string} htmlPath
+ * @returns {string}
+ */
+function textPathFor(htmlPath) {
+  return `${htmlPath.replace(/\.html?$/i, "")}.txt`;
+}
+
+module.exports = {
+  GMAIL_CLIP_BYTES,
+  toEmail,
+  textPathFor,
+};
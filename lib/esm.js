@@ -0,0 +1,88 @@
+/**
+ * Decide whether an entry file runs as an ES module.
+ *
+ * ESM mode is used when asked for (`--esm` / `options.esm`), or automatically when the
+ * entry file uses top-level `await`, which cannot run as CommonJS. Worker threads that
+ * execute ES modules need extra Node flags (`workerExecArgv`).
+ *
+ * @author pipi
+ */
+const fs = require("fs"); // Import the file system module
+const path = require("path"); // Import the path module
+const vm = require("vm");
+
+/**
+ * Export name under which an ESM bundle can hand over a CommonJS-style exports object
+ * (used by the swc bundle, whose modules keep CommonJS exports). Node uses the same name
+ * for the `module.exports` of CommonJS modules imported from ESM.
+ */
+const CJS_EXPORTS_NAME = "module.exports";
+
+/**
+ * Whether a file uses `await` (or `for await`) outside of any function.
+ *
+ * Files without the word "await" are ruled out without parsing; the others are parsed
+ * with TypeScript, which is only loaded in that case.
+ *
+ * @param {string} filePath - The file to check.
+ * @param {string} [source] - Its contents, when it is not on disk (see `options.source` of `compileBundle`).
+ * @returns {boolean}
+ */
+function hasTopLevelAwait(filePath, source) {
+  if (source === undefined) {
+    try {
+      source = fs.readFileSync(filePath, "utf8");
+    } catch {
+      return false;
+    }
+  }
+  if (!/\bawait\b/.test(source)) return false;
+
+  const ts = require("typescript");
+  const ext = path.extname(filePath).toLowerCase();
+  const scriptKind =
+    ext === ".tsx" ? ts.ScriptKind.TSX : ext === ".jsx" ? ts.ScriptKind.JSX : ext === ".js" || ext === ".mjs" ? ts.ScriptKind.JS : ts.ScriptKind.TS;
+  const sourceFile = ts.createSourceFile(filePath, source, ts.ScriptTarget.Latest, false, scriptKind);
+
+  const visit = (node) => {
+    if (ts.isFunctionLike(node) || ts.isClassLike(node)) return false;
+    if (ts.isAwaitExpression(node)) return true;
+    if (ts.isForOfStatement(node) && node.awaitModifier) return true;
+    return !!ts.forEachChild(node, visit);
+  };
+  return !!ts.forEachChild(sourceFile, visit);
+}
+
+/**
+ * Whether to compile and execute a file as an ES module.
+ *
+ * @param {string} filePath - The entry file.
+ * @param {{ esm?: boolean, source?: string }} [options] - `esm: true/false` forces the mode; otherwise it is
+ *   detected, from `source` when given.
+ * @returns {boolean}
+ */
+function shouldUseEsm(filePath, options = {}) {
+  if (options.esm !== undefined && options.esm !== null) return !!options.esm;
+  return hasTopLevelAwait(filePath, options.source);
+}
+
+/**
+ * Node flags of worker threads that execute bundles: ES modules need `vm.SourceTextModule`.
+ * @param {Array<{ esm?: boolean }>} bundles
+ * @returns {string[] | undefined} - `undefined` to use the flags of this process.
+ */
+function workerExecArgv(bundles) {
+  if (typeof vm.SourceTextModule === "function" || !bundles.some((bundle) => bundle.esm)) return undefined;
+  const flags = [...process.execArgv, "--experimental-vm-modules"];
+  if (process.allowedNodeEnvironmentFlags.has("--disable-warning")) {
+    flags.push("--disable-warning=ExperimentalWarning");
+  }
+  return flags;
+}
+
+module.exports = {
+  CJS_EXPORTS_NAME,
+  hasTopLevelAwait,
+  shouldUseEsm,
+  workerExecArgv,
+};
@@ -0,0 +1,65 @@
+/**
+ * Run code that is not in a file: `dctc -e <code>`, `dctc -p <code>`, or `dctc -` for stdin.
+ *
+ * The code is compiled as a virtual TSX entry in the working directory (`[eval].tsx` or
+ * `[stdin].tsx`, see `options.source` of `compileBundle`), so its relative imports resolve
+ * from there. With `--print`, the value of its last expression is exported, and printed
+ * once the code has run.
+ *
+ * @author pipi
+ */
+const path = require("path"); // Import the path module
+const util = require("util");
+const { isReactElement, renderElement } = require("./render");
+
+/** Export that holds the value of the last expression, with --print. */
+const PRINT_EXPORT_NAME = "__dctc_print";
+
+/**
+ * Path of the virtual entry of some code.
+ * @param {"eval" | "stdin"} origin - Where the code comes from.
+ * @returns {string}
+ */
+function virtualEntry(origin) {
+  return path.join(process.cwd(), `[${origin}].tsx`);
+}
+
+/**
+ * Export the value of the last statement of some code, when it is an expression, like
+ * `node -p` prints it.
+ * @param {string} source - TS/TSX code.
+ * @returns {string}
+ */
+function exportLastExpression(source) {
+  const ts = require("typescript");
+  const sourceFile = ts.createSourceFile("print.tsx", source, ts.ScriptTarget.Latest, true, ts.ScriptKind.TSX);
+  const last = sourceFile.statements[sourceFile.statements.length - 1];
+  if (!last || !ts.isExpressionStatement(last)) return source;
+  return (
+    source.slice(0, last.getStart()) +
+    `export const ${PRINT_EXPORT_NAME} = (${last.expression.getText()});` +
+    source.slice(last.end)
+  );
+}
+
+/**
+ * The text --print writes for a value: strings as they are, React elements as their HTML, and
+ * anything else like `console.log` shows it. A promise is awaited first.
+ * @param {unknown} value
+ * @param {string} filePath - The virtual entry; its project provides react-dom.
+ * @param {boolean} [colors=false]
+ * @returns {Promise<string>}
+ */
+async function formatPrinted(value, filePath, colors = false) {
+  const settled = value && typeof value.then === "function" ? await value : value;
+  if (typeof settled === "string") return settled;
+  if (isReactElement(settled)) return renderElement(settled, filePath);
+  return util.inspect(settled, { colors });
+}
+
+module.exports = {
+  PRINT_EXPORT_NAME,
+  virtualEntry,
+  exportLastExpression,
+  formatPrinted,
+};
@@ -1,63 +1,296 @@
 /**
  * This function takes code as input and executes it in a new context,
  * @param {string} code - The code to be executed.
+ * @param {string} filePath - The path of the entry file the code was compiled from.
+ * @param {object} [options]
+ * @param {string[]} [options.argv] - `process.argv` seen by the code. Defaults to the host's.
+ * @param {boolean} [options.reactGlobals=true] - Inject `React` and `ReactDOM` as globals
+ *   (needed by the classic JSX runtime when a file does not import React). They are loaded
+ *   from the project of `filePath` when first used.
+ * @param {Array<{ file: string, css: string }>} [options.styles] - If given, receives the CSS of every
+ *   imported style file (see lib/assets.js), once each, in the order they are imported.
+ * @param {NodeJS.WritableStream} [options.stdout] - Stream the code's `console` and `process.stdout` write to,
+ *   instead of the host's.
+ * @param {NodeJS.WritableStream} [options.stderr] - Same for `console.error` / `console.warn` and `process.stderr`.
+ * @param {(code?: number) => void} [options.exit] - Called instead of the host's `process.exit` when the code
+ *   calls it, e.g. by a server that must keep running.
+ * @param {boolean} [options.esm=false] - The code is an ES module (see `compileBundle`). It is run with
+ *   `vm.SourceTextModule`, which needs Node to be started with `--experimental-vm-modules`.
+ * @param {true | object} [options.sandbox] - Restrict `require`, `fs` and `process`, and limit the CPU time
+ *   of the code (see lib/sandbox.js). The memory limit needs a worker: see `runInWorker`.
  * @author pipi
- * @returns {void}
+ * @returns {object|Promise<object>} - The final `module.exports` of the executed code, e.g. `{ default: Page }`.
+ *   For an ES module, a promise of its exports, settled once top-level `await` is done.
+ * @throws {Error} If the code throws while executing.
  */
 const vm = require("vm"); // Import the virtual machine module
 const path = require("path"); // Import the path module
-const chalk = require("chalk");
-const logErr = (...args) => {
-  const msg = args
-    .map((a) => {
-      if (!a) return String(a);
-      if (a instanceof Error) return a.stack || a.message || String(a);
-      if (typeof a === "string") return a;
-      try {
-        return JSON.stringify(a);
-      } catch {
-        return String(a);
+const { createRequire } = require("module");
+const { Console } = require("console");
+const { pathToFileURL } = require("url");
+const { readInlineSourceMap, createStackMapper } = require("./sourcemap");
+const { resolvePackage } = require("./resolve");
+const { CJS_EXPORTS_NAME } = require("./esm");
+const {
+  resolveSandbox,
+  createCpuLimit,
+  createSandboxRequire,
+  createSandboxProcess,
+  createSandboxTimers,
+} = require("./sandbox");
+
+/**
+ * Give the executed code its own view of `process.argv`, `process.stdout`, `process.stderr` and
+ * `process.exit` without touching the host process. Code that cannot end the host with `exit`
+ * cannot set its exit code either: its `process.exitCode` is its own.
+ * @param {object} options - Options of `execute`: `argv`, `stdout`, `stderr` and `exit`.
+ * @returns {NodeJS.Process} - The host process, or a proxy of it when one of them is given.
+ */
+function createProcess({ argv, stdout, stderr, exit }) {
+  if (!argv && !stdout && !stderr && !exit) return process;
+  const overrides = { argv, stdout, stderr, exit, reallyExit: exit };
+  let exitCode;
+  return new Proxy(process, {
+    get(target, key) {
+      if (key === "exitCode" && exit) return exitCode;
+      if (Object.prototype.hasOwnProperty.call(overrides, key) && overrides[key]) return overrides[key];
+      const value = Reflect.get(target, key, target);
+      return typeof value === "function" ? value.bind(target) : value;
+    },
+    set(target, key, value) {
+      if (key === "exitCode" && exit) {
+        exitCode = value;
+        return true;
       }
-    })
-    .join(" ");
-  // use stderr so it still shows up even if stdout is muted by user code
-  console.error(chalk.red(msg));
-};
+      return Reflect.set(target, key, value, target);
+    },
+  });
+}
 
-module.exports = function (code, filePath) {
-  try {
-    // vm.Script does not support shebang lines (e.g. "#!/usr/bin/env node").
-    // Strip them even if they appear inside bundled output (e.g. module bodies).
-    const normalizedCode =
-      typeof code === "string" ? code.replace(/^[ \t]*#!.*\r?\n/gm, "") : code;
-    const script = new vm.Script(normalizedCode);
-    const context = {
-      module: {
-        exports: module.exports,
+/**
+ * Define `React` and `ReactDOM` globals that are required from the user's project on first use,
+ * so code that never touches them runs without React installed.
+ * @param {object} globals - Globals of the context.
+ * @param {NodeJS.Require} sandboxRequire - `require` of the executed code.
+ * @param {string} filePath - The entry file, named in the error when React is missing.
+ */
+function defineReactGlobals(globals, sandboxRequire, filePath) {
+  for (const [name, spec] of [["React", "react"], ["ReactDOM", "react-dom"]]) {
+    let loaded = false;
+    let value;
+    Object.defineProperty(globals, name, {
+      configurable: true,
+      enumerable: true,
+      get() {
+        if (!loaded) {
+          try {
+            value = sandboxRequire(spec);
+          } catch (error) {
+            if (error && error.code === "MODULE_NOT_FOUND" && error.message.includes(`'${spec}'`)) {
+              throw new Error(
+                `${name} is used as a global, but "${spec}" is not installed in the project of ${filePath}. ` +
+                  `Install it there, or turn the React globals off with --no-react-globals.`
+              );
+            }
+            throw error;
+          }
+          loaded = true;
+        }
+        return value;
       },
-      exports: module.exports,
-      console,
-      process,
-      require,
-      queueMicrotask,
-      Buffer,
-      // timers (commonly expected by deps in Node)
-      setTimeout,
-      clearTimeout,
-      setInterval,
-      clearInterval,
-      setImmediate,
-      clearImmediate,
-      React: require('react'),
-      ReactDOM: require('react-dom'),
-      __filename: filePath,
-      __dirname: path.dirname(filePath),
-    };
-
-    // run in new context
-    script.runInNewContext(context);
+      // Top-level `var React = ...` in a bundle assigns the global
+      set(newValue) {
+        value = newValue;
+        loaded = true;
+      },
+    });
+  }
+}
+
+/**
+ * The sandbox of a run, and the function that runs code with its CPU limit.
+ * @param {object} options - Options of `execute`.
+ * @returns {{ sandbox: object | null, limit: <T>(fn: () => T) => T }}
+ */
+function prepareSandbox(options) {
+  if (!options.sandbox) return { sandbox: null, limit: (fn) => fn() };
+  const sandbox = resolveSandbox(options.sandbox);
+  return { sandbox, limit: createCpuLimit(sandbox.timeout) };
+}
+
+/**
+ * Globals of the context the code runs in.
+ *
+ * `require` is created for the entry file, so packages are resolved from the user's project
+ * like Node would, not from dctc's own dependencies.
+ *
+ * @param {string} filePath - The entry file.
+ * @param {object} options - Options of `execute`.
+ * @param {{ sandbox: object | null, limit: Function }} run - From `prepareSandbox`.
+ * @returns {object}
+ */
+function createGlobals(filePath, options, { sandbox, limit }) {
+  const projectRequire = createRequire(path.resolve(filePath));
+  const sandboxRequire = sandbox ? createSandboxRequire(projectRequire, sandbox) : projectRequire;
+  const globals = {
+    console: options.stdout || options.stderr
+      ? new Console({ stdout: options.stdout || process.stdout, stderr: options.stderr || process.stderr })
+      : console,
+    process: sandbox ? createSandboxProcess(options, sandbox, limit) : createProcess(options),
+    require: sandboxRequire,
+    queueMicrotask,
+    Buffer,
+    // timers (commonly expected by deps in Node)
+    setTimeout,
+    clearTimeout,
+    setInterval,
+    clearInterval,
+    setImmediate,
+    clearImmediate,
+    ...(sandbox ? createSandboxTimers(limit) : {}),
+    __filename: filePath,
+    __dirname: path.dirname(filePath),
+    // Imported styles report their CSS here
+    __dctc_style(file, css) {
+      if (options.styles && !options.styles.some((style) => style.file === file)) {
+        options.styles.push({ file, css });
+      }
+    },
+  };
+  if (options.reactGlobals !== false) {
+    defineReactGlobals(globals, sandboxRequire, filePath);
+  }
+  return globals;
+}
+
+/**
+ * Map the stack of an error thrown by the executed code back to the original sources.
+ * Errors thrown inside the context are not `instanceof Error` here, so duck-type the stack.
+ */
+function mapErrorStack(error, mapStack) {
+  if (error && typeof error.stack === "string") {
+    error.stack = mapStack(error.stack);
+  }
+  return error;
+}
+
+/**
+ * Load a module imported by an ES module bundle (externals and built-ins) as a vm module.
+ *
+ * CommonJS packages are loaded with `require`, like in CommonJS mode, and expose
+ * `module.exports` as their default export. ESM-only packages are imported natively.
+ *
+ * @param {string} specifier - The imported specifier.
+ * @param {string} fromDir - Directory of the entry file, to find ESM-only packages from.
+ * @param {vm.Context} context - Context of the importing module.
+ * @returns {Promise<vm.SyntheticModule>} A linked and evaluated module.
+ */
+async function loadExternalModule(specifier, fromDir, context) {
+  let namespace;
+  try {
+    const exports = context.require(specifier);
+    const names = exports && (typeof exports === "object" || typeof exports === "function") ? Object.keys(exports) : [];
+    namespace = { ...Object.fromEntries(names.map((name) => [name, exports[name]])), default: exports };
+  } catch (error) {
+    if (!["ERR_REQUIRE_ESM", "ERR_PACKAGE_PATH_NOT_EXPORTED", "MODULE_NOT_FOUND"].includes(error && error.code)) throw error;
+    const resolved = resolvePackage(specifier, fromDir);
+    if (!resolved) throw error;
+    namespace = await import(pathToFileURL(resolved).href);
+  }
+  const names = Object.keys(namespace);
+  const module = new vm.SyntheticModule(
+    names,
+    function () {
+      for (const name of names) this.setExport(name, namespace[name]);
+    },
+    { context, identifier: specifier }
+  );
+  await module.link(() => {});
+  await module.evaluate();
+  return module;
+}
+
+/**
+ * Execute an ES module bundle with `vm.SourceTextModule`.
+ * @returns {Promise<object>} - The module's exports.
+ */
+async function executeModule(code, filePath, options) {
+  if (typeof vm.SourceTextModule !== "function") {
+    throw new Error("Running as an ES module needs Node to be started with --experimental-vm-modules");
+  }
+  const absoluteFilePath = path.resolve(filePath);
+  const identifier = `dctc:${absoluteFilePath}`;
+  const mapStack = createStackMapper(readInlineSourceMap(code), identifier);
+  const run = prepareSandbox(options);
+  const globals = createGlobals(filePath, options, run);
+  // ES modules have no module, exports, __filename or __dirname
+  delete globals.__filename;
+  delete globals.__dirname;
+  const context = vm.createContext(globals);
+
+  const externals = new Map(); // specifier -> Promise<vm.Module>
+  const importExternal = (specifier) => {
+    if (!externals.has(specifier)) {
+      externals.set(specifier, loadExternalModule(specifier, path.dirname(absoluteFilePath), context));
+    }
+    return externals.get(specifier);
+  };
+
+  const module = new vm.SourceTextModule(code, {
+    identifier,
+    context,
+    initializeImportMeta(meta) {
+      meta.url = pathToFileURL(absoluteFilePath).href;
+      meta.filename = absoluteFilePath;
+      meta.dirname = path.dirname(absoluteFilePath);
+    },
+    importModuleDynamically: importExternal,
+  });
+
+  try {
+    await module.link(importExternal);
+    await run.limit(() => module.evaluate());
+  } catch (error) {
+    throw mapErrorStack(error, mapStack);
+  }
+  const namespace = module.namespace;
+  // The swc bundle hands over its CommonJS-style exports object as is
+  return Object.prototype.hasOwnProperty.call(namespace, CJS_EXPORTS_NAME) ? namespace[CJS_EXPORTS_NAME] : namespace;
+}
+
+module.exports = function (code, filePath, options = {}) {
+  // vm.Script does not support shebang lines (e.g. "#!/usr/bin/env node").
+  // Strip them even if they appear inside bundled output (e.g. module bodies).
+  // Keep the line breaks so source map positions stay valid.
+  const normalizedCode =
+    typeof code === "string" ? code.replace(/^[ \t]*#!.*$/gm, "") : code;
+  if (options.esm) {
+    return executeModule(normalizedCode, filePath, options);
+  }
+  // Name the script so its frames can be told apart and mapped back to the original sources.
+  const scriptFilename = `dctc:${path.resolve(filePath)}`;
+  const mapStack = createStackMapper(readInlineSourceMap(normalizedCode), scriptFilename);
+  const script = new vm.Script(normalizedCode, { filename: scriptFilename });
+  // Every run gets its own module object, so exports never leak between runs
+  // (or into dctc's own module).
+  const sandboxModule = {
+    exports: {},
+  };
+  // Assigned, not spread, to keep the lazy React globals
+  const run = prepareSandbox(options);
+  const context = createGlobals(filePath, options, run);
+  context.module = sandboxModule;
+  context.exports = sandboxModule.exports;
+
+  // run in new context
+  try {
+    // The "arrow" vm adds to the stack would point into the bundle, not the original source.
+    run.limit(() => script.runInNewContext(context, { displayErrors: false }));
   } catch (error) {
-    logErr('Execute failed:', error);
-    process.exit(1);
+    throw mapErrorStack(error, mapStack);
   }
-}
\ No newline at end of file
+  return context.module.exports;
+}
+
+// The REPL evaluates its inputs in a context with the same globals (see lib/repl.js)
+module.exports.createGlobals = createGlobals;
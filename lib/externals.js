@@ -0,0 +1,97 @@
+/**
+ * Decide which bare imports stay external (loaded with Node's `require` at runtime)
+ * and which ones get bundled. Every compiler uses the same policy:
+ *
+ * - `string[]`: only packages matching one of the patterns are external (default: react, react-dom).
+ * - `"node_modules"`: every package is external, only project files are bundled.
+ * - `"none"`: everything is bundled.
+ *
+ * Node built-ins are always external, and tsconfig.json `paths` aliases are always bundled.
+ *
+ * @author pipi
+ */
+const { builtinModules } = require("module");
+const { getPackageName } = require("./resolve");
+
+const DEFAULT_EXTERNALS = ["react", "react-dom"];
+const EXTERNALS_MODES = ["node_modules", "none"];
+
+/**
+ * Whether a specifier names a package (or a file inside one), e.g. "react" or "@scope/pkg/x".
+ * Package `imports` such as "#utils" name files of the importing package, not a package.
+ * @param {string} spec - The module specifier as written in source code.
+ * @returns {boolean}
+ */
+function isBareSpecifier(spec) {
+  return typeof spec === "string" && !/^(\.|\/|#|[a-zA-Z]:[\\/]|[a-z]+:)/.test(spec);
+}
+
+/**
+ * Whether a specifier is a Node built-in, e.g. "fs", "node:path" or "fs/promises".
+ * @param {string} spec
+ * @returns {boolean}
+ */
+function isBuiltin(spec) {
+  return spec.startsWith("node:") || builtinModules.includes(spec);
+}
+
+/**
+ * Turn a glob into a RegExp: `*` matches within one path segment, `**` matches anything,
+ * and a `**` segment matches any number of directories, including none.
+ * @param {string} glob - e.g. "@scope/*" or "lodash*".
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+  const toSource = (part) =>
+    part
+      .split("**")
+      .map((piece) => piece.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, "[^/]*").replace(/\?/g, "[^/]"))
+      .join(".*");
+  return new RegExp(`^${glob.split("**/").map(toSource).join("(?:.*/)?")}$`);
+}
+
+/**
+ * Validate an `externals` option (as given to the API or parsed from the CLI).
+ * @param {string|string[]} [externals] - Patterns, a comma separated list of them, or a mode.
+ * @returns {string|string[]} - A mode, or a list of patterns.
+ * @throws {Error} If the option is neither.
+ */
+function normalizeExternals(externals) {
+  if (externals === undefined || externals === null) return DEFAULT_EXTERNALS;
+  if (EXTERNALS_MODES.includes(externals)) return externals;
+  const patterns = typeof externals === "string" ? externals.split(",") : externals;
+  if (!Array.isArray(patterns) || patterns.some((pattern) => typeof pattern !== "string")) {
+    throw new Error(`Invalid externals: ${JSON.stringify(externals)}. Expected a list of patterns, node_modules or none`);
+  }
+  return patterns.map((pattern) => pattern.trim()).filter(Boolean);
+}
+
+/**
+ * Create the external check for one build.
+ *
+ * @param {string|string[]} [externals] - See `normalizeExternals`.
+ * @param {(spec: string) => string|null} [resolveAlias] - tsconfig.json alias resolver; aliases are never external.
+ * @returns {(spec: string) => boolean} - True if the specifier must not be bundled.
+ */
+function createExternalMatcher(externals, resolveAlias = () => null) {
+  const mode = normalizeExternals(externals);
+  const patterns = Array.isArray(mode) ? mode.map(globToRegExp) : [];
+
+  return (spec) => {
+    if (!isBareSpecifier(spec)) return false;
+    if (isBuiltin(spec)) return true;
+    if (mode === "none" || resolveAlias(spec)) return false;
+    if (mode === "node_modules") return true;
+    const packageName = getPackageName(spec);
+    return patterns.some((pattern) => pattern.test(spec) || pattern.test(packageName));
+  };
+}
+
+module.exports = {
+  DEFAULT_EXTERNALS,
+  isBareSpecifier,
+  isBuiltin,
+  globToRegExp,
+  normalizeExternals,
+  createExternalMatcher,
+};
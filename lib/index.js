@@ -0,0 +1,104 @@
+/**
+ * Programmatic API for dctc.
+ * Compile a TSX/TS file with one of the supported compilers and, optionally,
+ * execute the result in a new vm context.
+ *
+ * Example:
+ *   const dctc = require('dctc');
+ *   const code = await dctc.compile('src/index.tsx', { compiler: 'swc' });
+ *   const exports = await dctc.run('src/index.tsx');
+ *   const html = await dctc.render('src/index.tsx', { props: { name: 'pipi' } });
+ *   const email = await dctc.renderEmail('src/email.tsx'); // { html, text, warnings }
+ *   dctc.repl({ compiler: 'swc' }); // an interactive prompt
+ *   const { errors, text } = dctc.typecheck('src/index.tsx'); // type errors, formatted like tsc
+ *
+ * @author pipi
+ */
+const path = require('path'); // Import the path module
+const cache = require('./cache');
+const { compile, compileBundle, compilers, getCompiler, DEFAULT_COMPILER } = require('./compile');
+const { insertStyles } = require('./assets');
+const execute = require('./execute');
+const { render, renderEmail } = require('./render');
+const { toEmail } = require('./email');
+const watch = require('./watch');
+const preview = require('./preview');
+const batch = require('./batch');
+const serve = require('./serve');
+const { runInWorker } = require('./sandbox');
+
+/**
+ * Compile a file and execute it in a new vm context.
+ * @param {string} filePath - The path to the file to be executed.
+ * @param {object} [options] - Same options as `compile`, plus:
+ * @param {string[]} [options.args] - Arguments exposed to the script as `process.argv.slice(2)`.
+ * @param {boolean} [options.reactGlobals=true] - Inject `React` and `ReactDOM` as globals.
+ * @param {Array<{ file: string, css: string }>} [options.styles] - If given, receives the CSS of every imported
+ *   style file, in import order (see `insertStyles`).
+ * @param {true | object} [options.sandbox] - Execute in the sandbox, in a worker thread (see lib/sandbox.js).
+ *   The exports come back as JSON: functions become "[Function: name]".
+ * @returns {Promise<object>} - The `module.exports` of the entry module (its exports, when run as an ES module).
+ */
+async function run(filePath, options = {}) {
+  const { code, esm } = await compileBundle(filePath, options);
+  const absoluteFilePath = path.resolve(filePath);
+  const argv = options.args ? [process.argv[0], absoluteFilePath, ...options.args] : undefined;
+  if (!options.sandbox) {
+    return execute(code, absoluteFilePath, { argv, reactGlobals: options.reactGlobals, styles: options.styles, esm });
+  }
+  const { exports, styles } = await runInWorker('run', { code, esm }, absoluteFilePath, {
+    argv,
+    reactGlobals: options.reactGlobals,
+    sandbox: options.sandbox,
+  });
+  if (options.styles) options.styles.push(...styles);
+  return exports;
+}
+
+/**
+ * Start a REPL, see lib/repl.js. It is only loaded when first used, like `typecheck`: both load
+ * the typescript package, which `require('dctc')` should not pay for.
+ * @param {object} [options] - See lib/repl.js.
+ * @returns {ReturnType<typeof import('./repl')>}
+ */
+function repl(options) {
+  return require('./repl')(options);
+}
+
+/**
+ * Type-check a file and the files it imports, see lib/typecheck.js.
+ * @param {string} filePath - The entry file.
+ * @param {object} [options] - See lib/typecheck.js.
+ * @returns {ReturnType<typeof import('./typecheck').typecheck>}
+ */
+function typecheck(filePath, options) {
+  return require('./typecheck').typecheck(filePath, options);
+}
+
+/**
+ * Delete the on-disk compile cache.
+ * @param {string} [cacheDir] - Cache directory. Defaults to node_modules/.cache/dctc of the project in the working directory.
+ */
+function clearCache(cacheDir = cache.getCacheDir()) {
+  cache.clearCache(cacheDir);
+}
+
+module.exports = {
+  compile,
+  clearCache,
+  run,
+  render,
+  renderEmail,
+  toEmail,
+  execute,
+  insertStyles,
+  watch,
+  preview,
+  batch,
+  serve,
+  repl,
+  typecheck,
+  compilers,
+  getCompiler,
+  DEFAULT_COMPILER,
+};
@@ -0,0 +1,121 @@
+/**
+ * Rollup-compatible plugins shared by complie_rollup and complie_rolldown.
+ * @author pipi
+ */
+const path = require('path'); // Import the path module
+const ts = require('typescript');
+const { getTranspileOptions } = require('./tsconfig');
+const { isAsset, loadAsset } = require('./assets');
+
+const TRANSPILE_EXTS = ['.ts', '.tsx', '.mts', '.cts', '.jsx'];
+
+/**
+ * Serve the entry from memory (`options.source` of `compileBundle`), for code that is not on disk.
+ * Must come first, so no other plugin looks for the file.
+ * @param {string} entryFile - Absolute path of the entry; its directory is where relative imports start.
+ * @param {string} source - Contents of the entry.
+ */
+function virtualEntry(entryFile, source) {
+  return {
+    name: 'virtual-entry',
+    resolveId(id, importer) {
+      return !importer && path.resolve(id) === entryFile ? entryFile : null;
+    },
+    load(id) {
+      return id === entryFile ? source : null;
+    },
+  };
+}
+
+/**
+ * Resolve `paths` / `baseUrl` aliases from the project's tsconfig.json.
+ * @param {object} settings - Result of `loadCompilerSettings`.
+ */
+function tsconfigPaths(settings) {
+  return {
+    name: 'tsconfig-paths',
+    resolveId(source) {
+      return settings.resolveAlias(source);
+    },
+  };
+}
+
+/**
+ * Keep packages external according to the `externals` option (see lib/externals.js).
+ * Must come after `tsconfigPaths`, so aliases are resolved first.
+ * @param {object} settings - Result of `loadCompilerSettings`.
+ */
+function externals(settings) {
+  return {
+    name: 'externals',
+    resolveId(source, importer) {
+      if (!importer || !settings.isExternal(source)) return null;
+      return { id: source, external: true };
+    },
+  };
+}
+
+/**
+ * Load styles and images as JS modules (see lib/assets.js).
+ * @param {object} options - Compile options (`assets`, and `files`, which receives e.g. Sass partials).
+ */
+function assets(options) {
+  return {
+    name: 'assets',
+    load(id) {
+      if (!isAsset(id)) return null;
+      const asset = loadAsset(id, options);
+      if (options.files) {
+        for (const file of asset.files) options.files.add(file);
+      }
+      return { code: asset.code, map: { mappings: '' } };
+    },
+  };
+}
+
+/**
+ * Transpile-only TypeScript/TSX plugin.
+ *
+ * This avoids type-checking entirely (no Program), so it won't emit TS7016/TS7026, etc.
+ * It is intended for runtime compilation where speed and DX matter more than type safety.
+ * JSX, target and decorator settings come from the project's tsconfig.json.
+ *
+ * @param {object} settings - Result of `loadCompilerSettings`.
+ */
+function transpileOnlyTypescript(settings) {
+  const compilerOptions = getTranspileOptions(settings);
+  return {
+    name: 'transpile-only-typescript',
+    transform(code, id) {
+      const ext = path.extname(id).toLowerCase();
+      if (!TRANSPILE_EXTS.includes(ext)) return null;
+      // Packages ship JavaScript; TypeScript under node_modules is a linked or generated source
+      if (id.includes('node_modules') && ext === '.jsx') return null;
+
+      const result = ts.transpileModule(code, {
+        fileName: id,
+        compilerOptions,
+        reportDiagnostics: false,
+      });
+
+      const map = result.sourceMapText ? JSON.parse(result.sourceMapText) : null;
+      if (map) {
+        // TypeScript names the source relative to itself; use the module id instead
+        map.sources = [id];
+        map.sourceRoot = '';
+      }
+      return {
+        code: result.outputText.replace(/\/\/# sourceMappingURL=.*$/m, ''),
+        map,
+      };
+    },
+  };
+}
+
+module.exports = {
+  virtualEntry,
+  tsconfigPaths,
+  externals,
+  assets,
+  transpileOnlyTypescript,
+};
@@ -0,0 +1,295 @@
+/**
+ * Preview a component in the browser: a local HTTP server that server-renders the default
+ * export of a file, and reloads the page whenever the file or one of its imports changes.
+ *
+ * Routes:
+ * - `/`: the rendered page. Query parameters are props, e.g. `/?name=pipi&count=3`
+ *   (values are parsed as JSON when they can be).
+ * - `/__dctc/events`: server-sent events; `reload` is sent after every rebuild.
+ * - `/__dctc/client.js`: with `hydrate`, the client bundle that hydrates the page.
+ *
+ * @author pipi
+ */
+const fs = require("fs"); // Import the file system module
+const path = require("path"); // Import the path module
+const http = require("http");
+const { getCacheDir, hash } = require("./cache");
+const { compileBundle } = require("./compile");
+const { insertStyles } = require("./assets");
+const { renderExports, wrapInShell } = require("./render");
+const watch = require("./watch");
+
+const EVENTS_PATH = "/__dctc/events";
+const CLIENT_PATH = "/__dctc/client.js";
+const ROOT_ID = "__dctc_root";
+
+const RELOAD_SCRIPT = `<script>
+new EventSource(${JSON.stringify(EVENTS_PATH)}).addEventListener("reload", function () {
+  location.reload();
+});
+</script>`;
+
+/**
+ * Watch a file through its directory: editors that save by renaming a new file over it would end
+ * a watcher of the file itself after the first save.
+ * @param {string} filePath - The file; it must exist.
+ * @param {() => void} onChange - Called when the file is written, replaced or removed.
+ * @returns {import("fs").FSWatcher}
+ */
+function watchFile(filePath, onChange) {
+  const absolutePath = path.resolve(filePath);
+  fs.statSync(absolutePath);
+  const name = path.basename(absolutePath);
+  return fs.watch(path.dirname(absolutePath), (eventType, fileName) => {
+    if (!fileName || fileName === name) onChange();
+  });
+}
+
+/**
+ * Escape text for HTML, e.g. an error stack shown on the page.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Serialize a value into an inline `<script>` without ending it early.
+ * @param {unknown} value
+ * @returns {string}
+ */
+function toScriptJson(value) {
+  return JSON.stringify(value).replace(/</g, "\\u003c");
+}
+
+/**
+ * Add scripts at the end of `<body>` (or of the document when it has none).
+ * @param {string} html
+ * @param {string} scripts
+ * @returns {string}
+ */
+function insertScripts(html, scripts) {
+  const bodyEnd = html.search(/<\/body>/i);
+  return bodyEnd === -1 ? html + scripts : html.slice(0, bodyEnd) + scripts + html.slice(bodyEnd);
+}
+
+/**
+ * Props from the query string. Values that are valid JSON are parsed: `?count=3` is a number.
+ * @param {URLSearchParams} searchParams
+ * @returns {object}
+ */
+function readQueryProps(searchParams) {
+  const props = {};
+  for (const [name, value] of searchParams) {
+    try {
+      props[name] = JSON.parse(value);
+    } catch {
+      props[name] = value;
+    }
+  }
+  return props;
+}
+
+/**
+ * Write the entry of the client bundle: it imports the component and hydrates the page with it.
+ * The entry lives in the cache directory of the project, so `react` and `react-dom` resolve
+ * from the project.
+ *
+ * @param {string} filePath - Absolute path of the component file.
+ * @returns {string} Path of the entry file.
+ */
+function writeClientEntry(filePath) {
+  const dir = path.join(getCacheDir(filePath), "preview");
+  const entry = path.join(dir, `client-${hash(filePath).slice(0, 16)}.tsx`);
+  const source = `import * as React from "react";
+import { hydrateRoot } from "react-dom/client";
+import * as page from ${JSON.stringify(filePath)};
+
+const Component = page.default !== undefined ? page.default : page;
+const { props, root } = (window as any).__DCTC_PREVIEW__;
+const element = React.isValidElement(Component) ? Component : React.createElement(Component as any, props);
+hydrateRoot(root ? document.getElementById(root)! : document, element);
+`;
+  fs.mkdirSync(dir, { recursive: true });
+  if (!fs.existsSync(entry) || fs.readFileSync(entry, "utf8") !== source) {
+    fs.writeFileSync(entry, source);
+  }
+  return entry;
+}
+
+/**
+ * Build the client bundle with the selected compiler. Packages are bundled too, and the
+ * CommonJS output is wrapped so it runs as a classic browser script.
+ *
+ * @param {string} filePath - Absolute path of the component file.
+ * @param {object} options - Options of `preview`.
+ * @returns {Promise<string>} The script.
+ */
+async function buildClient(filePath, options) {
+  const { code } = await compileBundle(writeClientEntry(filePath), {
+    compiler: options.compiler,
+    jsx: options.jsx,
+    jsxImportSource: options.jsxImportSource,
+    assets: options.assets,
+    cache: options.cache,
+    cacheDir: options.cacheDir,
+    externals: "none",
+    esm: false,
+  });
+  // rolldown 0.12 gives two functions of react-dom's development build the same name
+  // (hydrateRoot calls itself), so its bundle uses the production build of React
+  const nodeEnv = String(options.compiler).toLowerCase() === "rolldown" ? "production" : "development";
+  return `(function () {
+var process = { env: { NODE_ENV: ${JSON.stringify(nodeEnv)} } };
+var module = { exports: {} };
+var exports = module.exports;
+function require(id) {
+  throw new Error("Cannot load " + id + " in the browser");
+}
+${code}
+})();`;
+}
+
+/**
+ * Start a preview server for a component file.
+ *
+ * @param {string} filePath - The component file.
+ * @param {object} [options] - Same options as `compile`, plus:
+ * @param {number} [options.port=3000] - Port to listen on; 0 picks a free one.
+ * @param {string} [options.host='localhost'] - Host to listen on.
+ * @param {object} [options.props] - Props passed to the component; query parameters override them.
+ * @param {string} [options.propsFile] - JSON file with props, read on every request and watched.
+ * @param {boolean} [options.hydrate=false] - Hydrate the page with a client bundle, so it is interactive.
+ * @param {boolean} [options.reactGlobals=true] - Inject `React` and `ReactDOM` as globals.
+ * @param {(message: string) => void} [options.onLog] - Called with progress messages.
+ * @returns {Promise<{ url: string, port: number, close: () => Promise<void> }>} - Resolves once the server listens.
+ */
+async function preview(filePath, options = {}) {
+  const absoluteFilePath = path.resolve(filePath);
+  const onLog = options.onLog || (() => {});
+  const clients = new Set();
+  let current = null; // { exports, styles } of the last successful run
+  let failure = null;
+  let client = null; // Promise of the client bundle for the current build
+  let markReady;
+  const ready = new Promise((resolve) => {
+    markReady = resolve;
+  });
+
+  const broadcast = (event) => {
+    for (const response of clients) response.write(`event: ${event}\ndata: \n\n`);
+  };
+
+  // Before the file watcher starts, so a missing props file fails early
+  const propsWatcher = options.propsFile ? watchFile(options.propsFile, () => broadcast("reload")) : null;
+
+  const watcher = watch(absoluteFilePath, {
+    ...options,
+    onRun: ({ exports, styles, files }) => {
+      current = { exports, styles };
+      failure = null;
+      client = null;
+      markReady();
+      broadcast("reload");
+      onLog(`[dctc] Watching ${files.length} file(s) for changes...`);
+    },
+    onError: (error) => {
+      failure = error;
+      markReady();
+      broadcast("reload");
+      onLog(`[dctc] Build failed: ${error && error.message}`);
+    },
+    onChange: (files) => onLog(`[dctc] Changed: ${files.map((file) => path.relative(process.cwd(), file)).join(", ")}`),
+  });
+
+  const renderPage = (searchParams) => {
+    const fileProps = options.propsFile ? JSON.parse(fs.readFileSync(options.propsFile, "utf8")) : {};
+    const props = { ...fileProps, ...options.props, ...readQueryProps(searchParams) };
+    const markup = renderExports(current.exports, absoluteFilePath, { props, static: !options.hydrate });
+    if (!options.hydrate) {
+      return insertScripts(insertStyles(wrapInShell(markup), current.styles), RELOAD_SCRIPT);
+    }
+    // A component that renders the whole document hydrates `document` itself
+    const isDocument = /^\s*<html[\s>]/i.test(markup);
+    const html = wrapInShell(isDocument ? markup : `<div id="${ROOT_ID}">${markup}</div>`);
+    const state = { props, root: isDocument ? null : ROOT_ID };
+    const scripts = `<script>window.__DCTC_PREVIEW__ = ${toScriptJson(state)};</script><script src="${CLIENT_PATH}"></script>${RELOAD_SCRIPT}`;
+    return insertScripts(insertStyles(html, current.styles), scripts);
+  };
+
+  const errorPage = (error) =>
+    insertScripts(
+      wrapInShell(`<h1>dctc preview failed</h1><pre>${escapeHtml((error && (error.stack || error.message)) || error)}</pre>`),
+      RELOAD_SCRIPT
+    );
+
+  const server = http.createServer(async (request, response) => {
+    const url = new URL(request.url, "http://localhost");
+    if (url.pathname === EVENTS_PATH) {
+      response.writeHead(200, { "Content-Type": "text/event-stream", "Cache-Control": "no-cache", Connection: "keep-alive" });
+      response.write(": connected\n\n");
+      clients.add(response);
+      request.on("close", () => clients.delete(response));
+      return;
+    }
+
+    await ready;
+    if (url.pathname === CLIENT_PATH && options.hydrate) {
+      try {
+        if (!client) client = buildClient(absoluteFilePath, options);
+        const script = await client;
+        response.writeHead(200, { "Content-Type": "text/javascript; charset=utf-8" });
+        response.end(script);
+      } catch (error) {
+        client = null;
+        response.writeHead(500, { "Content-Type": "text/javascript; charset=utf-8" });
+        response.end(`console.error(${toScriptJson(String((error && error.message) || error))});`);
+      }
+      return;
+    }
+    if (url.pathname !== "/") {
+      response.writeHead(404, { "Content-Type": "text/plain; charset=utf-8" });
+      response.end("Not found");
+      return;
+    }
+
+    let html;
+    try {
+      if (failure) throw failure;
+      html = renderPage(url.searchParams);
+    } catch (error) {
+      response.writeHead(500, { "Content-Type": "text/html; charset=utf-8" });
+      response.end(errorPage(error));
+      return;
+    }
+    response.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+    response.end(html);
+  });
+
+  try {
+    await new Promise((resolve, reject) => {
+      server.once("error", reject);
+      server.listen(options.port === undefined ? 3000 : options.port, options.host || "localhost", resolve);
+    });
+  } catch (error) {
+    // e.g. the port is in use
+    watcher.close();
+    if (propsWatcher) propsWatcher.close();
+    throw error;
+  }
+  const { port } = server.address();
+
+  return {
+    url: `http://${options.host || "localhost"}:${port}/`,
+    port,
+    close: async () => {
+      watcher.close();
+      if (propsWatcher) propsWatcher.close();
+      for (const response of clients) response.end();
+      await new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+module.exports = preview;
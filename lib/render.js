@@ -0,0 +1,191 @@
+/**
+ * Server-render the default export of a component file to HTML, without a wrapper script.
+ *
+ * The file is compiled and executed like `run` does, then its default export (a component,
+ * or an element) is rendered with `react-dom/server` from the user's project. Styles the
+ * file imports are added to the HTML (see lib/assets.js), or inlined for emails (see lib/email.js).
+ *
+ * @author pipi
+ */
+const path = require("path"); // Import the path module
+const { createRequire } = require("module");
+const { compileBundle } = require("./compile");
+const { insertStyles } = require("./assets");
+const { toEmail } = require("./email");
+const { readInlineSourceMap, createStackMapper } = require("./sourcemap");
+const { resolveSandbox, createCpuLimit, runInWorker } = require("./sandbox");
+const execute = require("./execute");
+
+const DOCTYPE = "<!DOCTYPE html>";
+
+/** `$$typeof` of React elements (React 18, and React 19). */
+const REACT_ELEMENT_TYPES = [Symbol.for("react.element"), Symbol.for("react.transitional.element")];
+
+/**
+ * Require a package from the project of the rendered file, like the executed code does.
+ * @param {NodeJS.Require} projectRequire - `require` created for the rendered file.
+ * @param {string} spec - Package to load.
+ * @param {string} filePath - The rendered file, named in the error.
+ */
+function requireFromProject(projectRequire, spec, filePath) {
+  try {
+    return projectRequire(spec);
+  } catch (error) {
+    if (error && error.code === "MODULE_NOT_FOUND" && error.message.includes(`'${spec}'`)) {
+      throw new Error(`Rendering needs "${spec}", but it is not installed in the project of ${filePath}. Install it there.`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Wrap rendered markup into a complete document. Markup that already renders `<html>`
+ * only gets the doctype.
+ * @param {string} html - Rendered markup.
+ * @returns {string}
+ */
+function wrapInShell(html) {
+  if (/^\s*<html[\s>]/i.test(html)) return `${DOCTYPE}${html}`;
+  return `${DOCTYPE}<html><head><meta charset="utf-8"></head><body>${html}</body></html>`;
+}
+
+/**
+ * Whether a value is a React element, without loading React.
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+function isReactElement(value) {
+  return !!value && REACT_ELEMENT_TYPES.includes(value.$$typeof);
+}
+
+/**
+ * Render a React element to static markup, with `react-dom/server` from the project of `filePath`.
+ * Used to print elements (see lib/repl.js and lib/eval.js).
+ * @param {object} element - A React element.
+ * @param {string} filePath - A file of the project, named in the error when react-dom is missing.
+ * @returns {string}
+ */
+function renderElement(element, filePath) {
+  const server = requireFromProject(createRequire(path.resolve(filePath)), "react-dom/server", filePath);
+  return server.renderToStaticMarkup(element);
+}
+
+/**
+ * Render the default export of an executed file.
+ *
+ * @param {object} exports - Exports of the executed file.
+ * @param {string} filePath - The file, whose project provides `react` and `react-dom`.
+ * @param {object} [options]
+ * @param {object} [options.props] - Props passed to the component.
+ * @param {boolean} [options.static=false] - Use `renderToStaticMarkup` instead of `renderToString`.
+ * @returns {string} - The rendered markup.
+ * @throws {Error} If the default export is not a React component or element.
+ */
+function renderExports(exports, filePath, options = {}) {
+  const absoluteFilePath = path.resolve(filePath);
+  // `module.exports = Component` has no default export
+  const component = exports && exports.default !== undefined ? exports.default : exports;
+
+  const projectRequire = createRequire(absoluteFilePath);
+  const React = requireFromProject(projectRequire, "react", absoluteFilePath);
+  const server = requireFromProject(projectRequire, "react-dom/server", absoluteFilePath);
+  let element;
+  if (React.isValidElement(component)) {
+    element = component;
+  } else if (typeof component === "function" || (component && typeof component === "object" && component.$$typeof)) {
+    // Function and class components, and objects such as memo() or forwardRef() results
+    element = React.createElement(component, options.props || {});
+  } else {
+    throw new Error(`The default export of ${filePath} is not a React component`);
+  }
+
+  return options.static ? server.renderToStaticMarkup(element) : server.renderToString(element);
+}
+
+/**
+ * Compile a file, and render its default export to HTML.
+ *
+ * @param {string} filePath - The component file.
+ * @param {object} [options] - Same options as `compile`, plus:
+ * @param {object} [options.props] - Props passed to the component.
+ * @param {boolean} [options.static=false] - Use `renderToStaticMarkup` (no React attributes, for
+ *   pages that are never hydrated, e.g. emails) instead of `renderToString`.
+ * @param {boolean} [options.shell=false] - Output a complete document with a doctype.
+ * @param {boolean} [options.reactGlobals=true] - Inject `React` and `ReactDOM` as globals.
+ * @param {true | object} [options.sandbox] - Execute and render in the sandbox, in a worker thread (see lib/sandbox.js).
+ * @returns {Promise<string>} - The HTML, with the imported styles in a `<style>` element.
+ * @throws {Error} If the default export is not a React component or element.
+ */
+async function render(filePath, options = {}) {
+  const absoluteFilePath = path.resolve(filePath);
+  const bundle = await compileBundle(absoluteFilePath, options);
+  if (!options.sandbox) return renderBundle(bundle, absoluteFilePath, options);
+  const { html } = await runInWorker("render", bundle, absoluteFilePath, {
+    props: options.props,
+    static: options.static,
+    shell: options.shell,
+    reactGlobals: options.reactGlobals,
+    sandbox: options.sandbox,
+  });
+  return html;
+}
+
+/**
+ * Execute an already compiled file, and render its default export to HTML.
+ *
+ * @param {{ code: string, esm: boolean }} bundle - Result of `compileBundle`.
+ * @param {string} filePath - The compiled file.
+ * @param {object} [options] - `props`, `static`, `shell` and `reactGlobals`, as for `render`,
+ *   and `stdout` / `stderr`, `exit` and `sandbox`, as for `execute` (rendering gets the CPU limit too).
+ * @returns {Promise<string>} - The HTML, with the imported styles in a `<style>` element.
+ */
+async function renderBundle({ code, esm }, filePath, options = {}) {
+  const absoluteFilePath = path.resolve(filePath);
+  const styles = [];
+  const exports = await execute(code, absoluteFilePath, {
+    reactGlobals: options.reactGlobals,
+    styles,
+    esm,
+    stdout: options.stdout,
+    stderr: options.stderr,
+    exit: options.exit,
+    sandbox: options.sandbox,
+  });
+  const limit = options.sandbox ? createCpuLimit(resolveSandbox(options.sandbox).timeout) : (fn) => fn();
+  let html;
+  try {
+    html = limit(() => renderExports(exports, absoluteFilePath, options));
+  } catch (error) {
+    // Components run after `execute` returned, so map their frames like it does
+    if (error && typeof error.stack === "string") {
+      error.stack = createStackMapper(readInlineSourceMap(code), `dctc:${absoluteFilePath}`)(error.stack);
+    }
+    throw error;
+  }
+  if (options.shell) html = wrapInShell(html);
+  return insertStyles(html, styles);
+}
+
+/**
+ * Render a file as an email: a complete document rendered with `renderToStaticMarkup`, whose
+ * styles are inlined into `style` attributes (see lib/email.js).
+ *
+ * @param {string} filePath - The component file.
+ * @param {object} [options] - Same options as `render`; `static` and `shell` are always on.
+ * @returns {Promise<{ html: string, text: string, warnings: string[] }>} - The email HTML, its
+ *   plain-text alternative, and what may break in major email clients.
+ */
+async function renderEmail(filePath, options = {}) {
+  const html = await render(filePath, { ...options, static: true, shell: true });
+  return toEmail(html);
+}
+
+module.exports = {
+  render,
+  renderEmail,
+  renderBundle,
+  renderExports,
+  wrapInShell,
+  isReactElement,
+  renderElement,
+};
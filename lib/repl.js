@@ -0,0 +1,327 @@
+/**
+ * An interactive TypeScript and TSX prompt (`dctc repl`).
+ *
+ * Every input is transpiled with the transform of the selected compiler (see lib/transpile.js)
+ * and evaluated in one `vm` context that lives as long as the REPL, with the globals `execute`
+ * gives to a script: `require` from the project in the working directory, and `React` and
+ * `ReactDOM` loaded on first use. Tab completion sees them like any other global.
+ *
+ * - `import` works at the prompt. Local files (relative paths and tsconfig.json aliases) are
+ *   compiled with `compileBundle` and executed every time they are imported, so importing a
+ *   file again picks up its changes. Packages are loaded with `require`, or natively when
+ *   they are ESM-only.
+ * - Top-level `await` works: the input then runs in an async function, and its declarations
+ *   become `var`s, so the next inputs see them.
+ * - A React element is printed as its HTML (`renderToStaticMarkup`), other values with `util.inspect`.
+ * - `.load <file>` compiles and runs a file, and defines its exports as globals.
+ *
+ * @author pipi
+ */
+const path = require("path"); // Import the path module
+const vm = require("vm");
+const util = require("util");
+const nodeRepl = require("repl");
+const { pathToFileURL } = require("url");
+const { compileBundle, compilerName } = require("./compile");
+const { loadCompilerSettings } = require("./tsconfig");
+const { resolveWithExt, resolvePackage } = require("./resolve");
+const { transpile } = require("./transpile");
+const { isReactElement, renderElement } = require("./render");
+const execute = require("./execute");
+
+/** Inputs are transpiled as if they were this file of the working directory. */
+const REPL_FILE_NAME = "repl.tsx";
+
+/** Global through which the code of an input reads the modules it imports. */
+const IMPORTS_NAME = "__dctc_imports";
+
+/**
+ * Parse an input with TypeScript, to tell incomplete inputs (a block, a call or JSX that goes on
+ * on the next line) from syntax errors before any compiler sees it.
+ *
+ * @param {string} source
+ * @returns {string} - The input to transpile: an input that starts with `{` is an object
+ *   literal when it parses as one, like in the Node REPL.
+ * @throws {nodeRepl.Recoverable} If the input is incomplete, so the REPL asks for more lines.
+ * @throws {SyntaxError} If the input can never be valid.
+ */
+function checkSyntax(source) {
+  const ts = require("typescript");
+  const diagnosticsOf = (text) =>
+    ts.transpileModule(text, {
+      fileName: REPL_FILE_NAME,
+      reportDiagnostics: true,
+      compilerOptions: { jsx: ts.JsxEmit.Preserve, target: ts.ScriptTarget.ESNext, module: ts.ModuleKind.ESNext },
+    }).diagnostics || [];
+
+  const trimmed = source.trim();
+  if (trimmed.startsWith("{") && !trimmed.endsWith(";")) {
+    const expression = `(${trimmed})`;
+    if (!diagnosticsOf(expression).length) return expression;
+  }
+  const diagnostics = diagnosticsOf(source);
+  if (!diagnostics.length) return source;
+  const message = (diagnostic) => ts.flattenDiagnosticMessageText(diagnostic.messageText, "\n");
+  // An error at the very end means more is expected
+  const atEnd = diagnostics.find((diagnostic) => diagnostic.start >= source.trimEnd().length);
+  if (atEnd) throw new nodeRepl.Recoverable(new SyntaxError(message(atEnd)));
+  throw new SyntaxError(message(diagnostics[0]));
+}
+
+/**
+ * Names declared by a binding: `a`, or every name of a pattern like `{ a, b: [c] }`.
+ * @param {import("typescript").BindingName} name
+ * @returns {string[]}
+ */
+function bindingNames(name) {
+  const ts = require("typescript");
+  if (ts.isIdentifier(name)) return [name.text];
+  return name.elements.flatMap((element) => (ts.isOmittedExpression(element) ? [] : bindingNames(element.name)));
+}
+
+/**
+ * Turn the transpiled module of an input into a script for `vm.runInContext`.
+ *
+ * - `import` declarations read the modules loaded beforehand from `__dctc_imports`.
+ * - `export` is dropped: there is no module to export from.
+ * - With top-level `await`, the statements run in an async function that returns the value of
+ *   the last expression. Its declarations are hoisted as `var`s, so they stay in the context.
+ *
+ * @param {string} code - Transpiled JavaScript (an ES module).
+ * @returns {{ code: string, imports: string[], async: boolean }} - The script, the imported specifiers
+ *   (`__dctc_imports[i]` holds the module of `imports[i]`), and whether the script returns a promise.
+ */
+function toScript(code) {
+  const ts = require("typescript");
+  const sourceFile = ts.createSourceFile("repl.js", code, ts.ScriptTarget.Latest, true, ts.ScriptKind.JS);
+  const hasAwait = (node) => {
+    if (ts.isFunctionLike(node) || ts.isClassLike(node)) return false;
+    if (ts.isAwaitExpression(node)) return true;
+    if (ts.isForOfStatement(node) && node.awaitModifier) return true;
+    return !!ts.forEachChild(node, hasAwait);
+  };
+  const isAsync = sourceFile.statements.some(hasAwait);
+
+  const imports = [];
+  const bindings = []; // `name = __dctc_imports[i]...` of the import declarations
+  const hoisted = []; // names of the declarations of an async script
+  const functions = []; // function declarations of an async script, hoisted like JavaScript does
+  const body = [];
+  const statements = sourceFile.statements.filter((statement) => !ts.isExportDeclaration(statement));
+  statements.forEach((statement, index) => {
+    if (ts.isImportDeclaration(statement)) {
+      const module = `${IMPORTS_NAME}[${imports.push(statement.moduleSpecifier.text) - 1}]`;
+      const clause = statement.importClause;
+      if (clause && clause.name) bindings.push(`${clause.name.text} = ${module}.default`);
+      const named = clause && clause.namedBindings;
+      if (named && ts.isNamespaceImport(named)) bindings.push(`${named.name.text} = ${module}.namespace`);
+      if (named && ts.isNamedImports(named)) {
+        for (const element of named.elements) {
+          bindings.push(`${element.name.text} = ${module}.namespace[${JSON.stringify((element.propertyName || element.name).text)}]`);
+        }
+      }
+      return;
+    }
+    if (ts.isExportAssignment(statement)) {
+      body.push(`${statement.expression.getText()};`);
+      return;
+    }
+    const text = statement.getText().replace(/^export\s+(default\s+)?/, "");
+    const isLast = index === statements.length - 1;
+    if (!isAsync) {
+      body.push(text);
+    } else if (ts.isVariableStatement(statement)) {
+      const assignments = [];
+      for (const declaration of statement.declarationList.declarations) {
+        hoisted.push(...bindingNames(declaration.name));
+        if (declaration.initializer) assignments.push(`(${declaration.name.getText()} = ${declaration.initializer.getText()})`);
+      }
+      if (assignments.length) body.push(`${assignments.join(", ")};`);
+    } else if ((ts.isFunctionDeclaration(statement) || ts.isClassDeclaration(statement)) && statement.name) {
+      hoisted.push(statement.name.text);
+      (ts.isFunctionDeclaration(statement) ? functions : body).push(`${statement.name.text} = ${text};`);
+    } else if (isLast && ts.isExpressionStatement(statement)) {
+      body.push(`return (${statement.expression.getText()});`);
+    } else {
+      body.push(text);
+    }
+  });
+
+  const prelude = [bindings.length && `var ${bindings.join(", ")};`, hoisted.length && `var ${hoisted.join(", ")};`].filter(Boolean);
+  const script = isAsync
+    ? [...prelude, `(async () => {\n${[...functions, ...body].join("\n")}\n})()`]
+    : [...prelude, ...body];
+  return { code: script.join("\n"), imports, async: isAsync };
+}
+
+/**
+ * The default export and the namespace of a module, like `import` sees them.
+ * @param {unknown} exports - `module.exports`, or the namespace of an ES module.
+ * @param {boolean} esModule - `exports` is the namespace of an ES module.
+ * @returns {{ namespace: object, default: unknown }}
+ */
+function toImported(exports, esModule) {
+  if (esModule || (exports && exports.__esModule)) return { namespace: exports, default: exports.default };
+  const named = exports && (typeof exports === "object" || typeof exports === "function") ? { ...exports } : {};
+  return { namespace: { ...named, default: exports }, default: exports };
+}
+
+/**
+ * Start a REPL.
+ *
+ * @param {object} [options] - Same options as `compile` (`compiler`, `jsx`, `externals`, ...), plus:
+ * @param {boolean} [options.reactGlobals=true] - Inject `React` and `ReactDOM` as globals.
+ * @param {NodeJS.ReadableStream} [options.input=process.stdin]
+ * @param {NodeJS.WritableStream} [options.output=process.stdout] - Also receives the output of the evaluated code.
+ * @param {boolean} [options.terminal] - Treat the streams as a TTY (default: whether `output` is one).
+ * @param {boolean} [options.useColors] - Print values in colors (default: with a terminal).
+ * @param {string} [options.prompt='dctc> ']
+ * @returns {nodeRepl.REPLServer & { idle: () => Promise<void> }} - The server of `repl.start`. `idle()`
+ *   resolves once the inputs read so far are evaluated (e.g. after the input ended).
+ */
+function repl(options = {}) {
+  const cwd = process.cwd();
+  const replFile = path.join(cwd, REPL_FILE_NAME);
+  const compiler = compilerName(options.compiler);
+  // Top-level await needs a target that has it
+  const settings = loadCompilerSettings(replFile, { ...options, esm: true });
+  const input = options.input || process.stdin;
+  const output = options.output || process.stdout;
+  const terminal = options.terminal !== undefined ? options.terminal : !!output.isTTY;
+  const useColors = options.useColors !== undefined ? options.useColors : terminal;
+  // The code writes to the REPL, even when it is not on stdout
+  const streams = output === process.stdout ? {} : { stdout: output, stderr: output };
+  let globals;
+
+  /** Execute a local file, or load a package. */
+  const importModule = async (spec) => {
+    const isPath = spec.startsWith(".") || path.isAbsolute(spec);
+    const file = isPath ? resolveWithExt(path.resolve(cwd, spec)) : settings.resolveAlias(spec);
+    if (isPath && !file) throw new Error(`Cannot find module '${spec}' from ${cwd}`);
+    if (file) {
+      const { code, esm } = await compileBundle(file, options);
+      const exports = await execute(code, file, { reactGlobals: options.reactGlobals, esm, ...streams });
+      return toImported(exports, esm);
+    }
+    try {
+      return toImported(globals.require(spec), false);
+    } catch (error) {
+      if (!["ERR_REQUIRE_ESM", "ERR_PACKAGE_PATH_NOT_EXPORTED", "MODULE_NOT_FOUND"].includes(error && error.code)) throw error;
+      const resolved = resolvePackage(spec, cwd);
+      if (!resolved) throw error;
+      return toImported(await import(pathToFileURL(resolved).href), true);
+    }
+  };
+
+  const evaluate = async (source, context) => {
+    const code = await transpile(source, replFile, settings, compiler);
+    const script = toScript(code);
+    const modules = [];
+    for (const spec of script.imports) modules.push(await importModule(spec));
+    Object.defineProperty(context, IMPORTS_NAME, { value: modules, configurable: true, writable: true });
+    const result = vm.runInContext(script.code, context, { filename: "repl", displayErrors: false });
+    return script.async ? await result : result;
+  };
+
+  // One input at a time: an input may use what the previous one imports or awaits
+  let queue = Promise.resolve();
+  const enqueue = (task) => {
+    const result = queue.then(task);
+    queue = result.catch(() => {});
+    return result;
+  };
+
+  const render = (element) => {
+    try {
+      return renderElement(element, replFile);
+    } catch (error) {
+      return `${util.inspect(element, { colors: useColors })}\n(could not render it: ${error && error.message})`;
+    }
+  };
+
+  let settling = false;
+  const server = nodeRepl.start({
+    prompt: options.prompt !== undefined ? options.prompt : "dctc> ",
+    input,
+    output,
+    terminal,
+    useColors,
+    useGlobal: false,
+    preview: false, // previews would evaluate TypeScript as JavaScript
+    eval(source, context, filename, callback) {
+      let checked;
+      let syntaxError;
+      try {
+        checked = checkSyntax(source);
+      } catch (error) {
+        // Right away for an incomplete input, so the next line is added to it even when
+        // the lines come in faster than they are evaluated (e.g. from a pipe)
+        if (error instanceof nodeRepl.Recoverable) return callback(error);
+        syntaxError = error;
+      }
+      server.clearBufferedCommand();
+      const settle = (...args) => {
+        settling = true;
+        try {
+          callback(...args);
+        } finally {
+          settling = false;
+        }
+      };
+      enqueue(() => {
+        if (syntaxError) throw syntaxError;
+        return evaluate(checked, context);
+      }).then((value) => settle(null, value), settle);
+    },
+    writer(value) {
+      if (isReactElement(value)) return render(value);
+      return util.inspect(value, { colors: useColors, showProxy: true });
+    },
+  });
+
+  // Node clears the lines of an incomplete input when an evaluation ends. Here it may end after
+  // the next lines are read, so they are cleared as soon as the input is complete instead.
+  const clearBufferedCommand = server.clearBufferedCommand;
+  server.clearBufferedCommand = function () {
+    if (!settling) clearBufferedCommand.call(this);
+  };
+
+  const defineGlobals = (context) => {
+    globals = execute.createGlobals(replFile, { reactGlobals: options.reactGlobals, ...streams }, { sandbox: null, limit: (fn) => fn() });
+    delete globals.__filename;
+    delete globals.__dirname;
+    globals.module = { exports: {} };
+    globals.exports = globals.module.exports;
+    // Defined, not assigned, to keep the lazy React globals
+    Object.defineProperties(context, Object.getOwnPropertyDescriptors(globals));
+  };
+  defineGlobals(server.context);
+  server.on("reset", defineGlobals);
+  server.idle = () => queue;
+
+  server.defineCommand("load", {
+    help: "Compile and run a TS/TSX file, and define its exports as globals",
+    action(file) {
+      this.clearBufferedCommand();
+      enqueue(async () => {
+        const { namespace, default: defaultExport } = await importModule(path.resolve(cwd, file.trim()));
+        const names = Object.keys(namespace).filter((name) => name !== "default" && name !== "__esModule");
+        for (const name of names) this.context[name] = namespace[name];
+        // The default export is defined under its own name, e.g. `export default function Page`
+        const defaultName = defaultExport && typeof defaultExport === "function" && defaultExport.name;
+        if (defaultName && /^[A-Za-z_$][\w$]*$/.test(defaultName) && !names.includes(defaultName)) {
+          this.context[defaultName] = defaultExport;
+          names.push(defaultName);
+        }
+        return names;
+      }).then(
+        (names) => this.output.write(names.length ? `Defined ${names.join(", ")}\n` : "The file has no exports to define\n"),
+        (error) => this.output.write(`Uncaught ${util.inspect(error, { colors: useColors })}\n`)
+      ).then(() => this.displayPrompt());
+    },
+  });
+
+  return server;
+}
+
+module.exports = repl;
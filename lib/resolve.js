@@ -0,0 +1,309 @@
+/**
+ * File resolution helpers shared by the compilers.
+ *
+ * These mimic typical TS/Node resolution for local files: try the path as-is,
+ * then with known extensions, then `index.*` inside a directory.
+ * Packages are looked up in `node_modules`, following `exports` / `imports` (with the given conditions)
+ * or the main fields.
+ *
+ * @author pipi
+ */
+const fs = require("fs"); // Import the file system module
+const path = require("path"); // Import the path module
+
+const LOCAL_EXTS = [".ts", ".tsx", ".js", ".jsx", ".json"];
+const DEFAULT_CONDITIONS = ["node", "import", "default"];
+
+/**
+ * Best-effort file existence check.
+ *
+ * We wrap `fs.existsSync` + `fs.statSync` to avoid throwing (e.g. permission issues, broken symlinks)
+ * and to ensure the path is a regular file.
+ *
+ * @param {string} p - Path to check.
+ * @returns {boolean} True if the path exists and is a file.
+ */
+function fileExists(p) {
+  try {
+    return fs.existsSync(p) && fs.statSync(p).isFile();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Best-effort directory existence check.
+ *
+ * @param {string} p - Path to check.
+ * @returns {boolean} True if the path exists and is a directory.
+ */
+function dirExists(p) {
+  try {
+    return fs.existsSync(p) && fs.statSync(p).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Resolve a module path by trying common extensions and `index.*` fallbacks.
+ *
+ * - If `basePath` is an existing file, return it as-is.
+ * - Otherwise, try appending known extensions: `.ts`, `.tsx`, `.js`, `.jsx`, `.json`.
+ * - If `basePath` is a directory, try `basePath/index.<ext>` in the same extension order.
+ *
+ * @param {string} basePath - Absolute path without extension (or a candidate path).
+ * @returns {string|null} The resolved file path, or null if not found.
+ */
+function resolveWithExt(basePath) {
+  if (fileExists(basePath)) return basePath;
+
+  for (const ext of LOCAL_EXTS) {
+    const candidate = basePath + ext;
+    if (fileExists(candidate)) return candidate;
+  }
+
+  if (dirExists(basePath)) {
+    for (const ext of LOCAL_EXTS) {
+      const candidate = path.join(basePath, "index" + ext);
+      if (fileExists(candidate)) return candidate;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Every path `resolveWithExt` may pick for `basePath`, in its order.
+ *
+ * @param {string} basePath - Absolute path without extension (or a candidate path).
+ * @returns {string[]}
+ */
+function localCandidates(basePath) {
+  return [
+    basePath,
+    ...LOCAL_EXTS.map((ext) => basePath + ext),
+    ...LOCAL_EXTS.map((ext) => path.join(basePath, "index" + ext)),
+  ];
+}
+
+/**
+ * Package name of a bare specifier: "react-dom/server" -> "react-dom", "@a/b/c" -> "@a/b".
+ *
+ * @param {string} spec - A bare module specifier.
+ * @returns {string} The package name.
+ */
+function getPackageName(spec) {
+  const parts = spec.split("/");
+  return spec.startsWith("@") ? parts.slice(0, 2).join("/") : parts[0];
+}
+
+/**
+ * Find the directory of an installed package, looking in every `node_modules` above `fromDir`.
+ *
+ * @param {string} name - Package name.
+ * @param {string} fromDir - Directory to start from.
+ * @returns {string|null} The package directory, or null if it is not installed.
+ */
+function findPackageDir(name, fromDir) {
+  let dir = path.resolve(fromDir);
+  for (;;) {
+    const candidate = path.join(dir, "node_modules", name);
+    if (fileExists(path.join(candidate, "package.json"))) return candidate;
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Read and parse a package.json.
+ *
+ * @param {string} packageDir - Directory containing the package.json.
+ * @returns {object|null} The parsed package.json, or null if it is missing or invalid.
+ */
+function readPackageJson(packageDir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(packageDir, "package.json"), "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Find the package a directory belongs to: the nearest directory at or above it with a package.json.
+ *
+ * @param {string} fromDir - Directory to start from.
+ * @returns {string|null} The package directory, or null outside of any package.
+ */
+function findPackageScope(fromDir) {
+  let dir = path.resolve(fromDir);
+  for (;;) {
+    if (path.basename(dir) === "node_modules") return null;
+    if (fileExists(path.join(dir, "package.json"))) return dir;
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Resolve a file named by a package.json field, allowing for TypeScript sources:
+ *
+ * - A `.js` path that does not exist is tried with the TypeScript extensions, the way
+ *   TypeScript resolves imports written with the emitted extension ("./dist/x.js" -> "./dist/x.ts").
+ * - A declaration file (`.d.ts`) cannot run, so only the `.ts` file next to it is accepted.
+ *
+ * @param {string} file - Absolute path from the package.json.
+ * @returns {string|null} The file to load, or null.
+ */
+function resolvePackageFile(file) {
+  if (file.endsWith(".d.ts")) {
+    const source = file.slice(0, -".d.ts".length) + ".ts";
+    return fileExists(source) ? source : null;
+  }
+  return resolveWithExt(file) || (/\.[cm]?jsx?$/.test(file) ? resolveWithExt(file.replace(/\.[cm]?jsx?$/, "")) : null);
+}
+
+/**
+ * Pick the target of one `exports` / `imports` entry for the given conditions.
+ *
+ * An entry that points at a missing file is skipped, so e.g. a `types` condition that names a
+ * declaration file falls through to the next condition.
+ *
+ * @param {unknown} target - A string, an array of fallbacks, or an object keyed by condition.
+ * @param {string} match - What a `*` in the entry key matched.
+ * @param {string[]} conditions - Accepted conditions, e.g. ["node", "import", "default"].
+ * @param {(target: string) => string|null} resolveTarget - Turns a target string into a file.
+ * @returns {string|null} Absolute file path, or null.
+ */
+function resolveExportsTarget(target, match, conditions, resolveTarget) {
+  if (typeof target === "string") return resolveTarget(target.replace(/\*/g, match));
+  if (Array.isArray(target)) {
+    for (const item of target) {
+      const resolved = resolveExportsTarget(item, match, conditions, resolveTarget);
+      if (resolved) return resolved;
+    }
+    return null;
+  }
+  if (target && typeof target === "object") {
+    // Conditions are tried in the order the package lists them
+    for (const [condition, value] of Object.entries(target)) {
+      if (!conditions.includes(condition)) continue;
+      const resolved = resolveExportsTarget(value, match, conditions, resolveTarget);
+      if (resolved) return resolved;
+    }
+  }
+  return null;
+}
+
+/**
+ * Look a key up in an `exports` subpath map or an `imports` map, including `*` patterns.
+ *
+ * @param {object} map - Keys such as ".", "./server", "./features/*" or "#internal/*".
+ * @param {string} key - The subpath or `#` specifier to resolve.
+ * @param {string[]} conditions - Accepted conditions.
+ * @param {(target: string) => string|null} resolveTarget - Turns a target string into a file.
+ * @returns {string|null} Absolute file path, or null if the key is not mapped.
+ */
+function resolveSubpathMap(map, key, conditions, resolveTarget) {
+  if (Object.prototype.hasOwnProperty.call(map, key)) {
+    return resolveExportsTarget(map[key], "", conditions, resolveTarget);
+  }
+  // Patterns such as "./*" or "./features/*.js"; the longest prefix wins
+  const patterns = Object.keys(map)
+    .filter((pattern) => pattern.includes("*"))
+    .sort((a, b) => b.indexOf("*") - a.indexOf("*"));
+  for (const pattern of patterns) {
+    const [prefix, suffix] = pattern.split("*");
+    if (key.startsWith(prefix) && key.endsWith(suffix) && key.length >= pattern.length - 1) {
+      return resolveExportsTarget(map[pattern], key.slice(prefix.length, key.length - suffix.length), conditions, resolveTarget);
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolve a subpath (".", "./server", ...) through a package.json `exports` field.
+ *
+ * @param {unknown} exportsField - The `exports` value.
+ * @param {string} subpath - Subpath starting with ".".
+ * @param {string[]} conditions - Accepted conditions.
+ * @param {(target: string) => string|null} resolveTarget - Turns a target string into a file.
+ * @returns {string|null} Absolute file path, or null if the subpath is not exported.
+ */
+function resolvePackageExports(exportsField, subpath, conditions, resolveTarget) {
+  const isSubpathMap =
+    exportsField && typeof exportsField === "object" && !Array.isArray(exportsField) &&
+    Object.keys(exportsField).some((key) => key.startsWith("."));
+  return resolveSubpathMap(isSubpathMap ? exportsField : { ".": exportsField }, subpath, conditions, resolveTarget);
+}
+
+/**
+ * Resolve a `#` specifier through the `imports` field of the package `fromDir` belongs to.
+ * Targets are files of that package, or other packages.
+ *
+ * @param {string} spec - Specifier starting with "#", e.g. "#utils/format".
+ * @param {string} fromDir - Directory of the importing file.
+ * @param {object} options - See `resolvePackage`.
+ * @returns {string|null} Absolute file path, or null if it cannot be resolved.
+ */
+function resolvePackageImports(spec, fromDir, options) {
+  const scopeDir = findPackageScope(fromDir);
+  const pkg = scopeDir && readPackageJson(scopeDir);
+  if (!pkg || !pkg.imports || typeof pkg.imports !== "object") return null;
+  const resolveTarget = (target) =>
+    target.startsWith("./") ? resolvePackageFile(path.resolve(scopeDir, target)) : resolvePackage(target, scopeDir, options);
+  const resolved = resolveSubpathMap(pkg.imports, spec, options.conditions || DEFAULT_CONDITIONS, resolveTarget);
+  return resolved && fs.realpathSync(resolved);
+}
+
+/**
+ * Resolve a bare specifier to a file inside an installed package, the way Node does:
+ * `node_modules` directories are searched from `fromDir` upwards, `exports` takes precedence
+ * over the main fields, and `#` specifiers go through the `imports` field of the importer's package.
+ * Symlinks are resolved, so linked workspace packages get the path of their sources.
+ *
+ * A `types` condition or main field is only accepted when it points at TypeScript sources,
+ * which lets bundlers run workspace packages that publish raw TS.
+ *
+ * @param {string} spec - Bare specifier, e.g. "pkg", "pkg/sub" or "#internal".
+ * @param {string} fromDir - Directory of the importing file.
+ * @param {object} [options]
+ * @param {string[]} [options.conditions] - `exports` / `imports` conditions to accept (default: node, import, default).
+ * @param {string[]} [options.mainFields] - package.json fields naming the entry when there is no `exports` (default: main).
+ * @returns {string|null} Absolute file path, or null if it cannot be resolved.
+ */
+function resolvePackage(spec, fromDir, options = {}) {
+  if (spec.startsWith("#")) return resolvePackageImports(spec, fromDir, options);
+
+  const name = getPackageName(spec);
+  const packageDir = findPackageDir(name, fromDir);
+  const pkg = packageDir && readPackageJson(packageDir);
+  if (!pkg) return null;
+  const subpath = `.${spec.slice(name.length)}`;
+  const resolveTarget = (target) => resolvePackageFile(path.resolve(packageDir, target));
+
+  let resolved;
+  if (pkg.exports !== undefined && pkg.exports !== null) {
+    resolved = resolvePackageExports(pkg.exports, subpath, options.conditions || DEFAULT_CONDITIONS, resolveTarget);
+  } else if (subpath === ".") {
+    const fields = (options.mainFields || ["main"]).filter((field) => typeof pkg[field] === "string");
+    resolved = fields.map((field) => resolveTarget(pkg[field])).find(Boolean) || resolveWithExt(path.join(packageDir, "index"));
+  } else {
+    resolved = resolvePackageFile(path.join(packageDir, subpath));
+  }
+  return resolved && fs.realpathSync(resolved);
+}
+
+module.exports = {
+  LOCAL_EXTS,
+  fileExists,
+  dirExists,
+  resolveWithExt,
+  localCandidates,
+  getPackageName,
+  findPackageDir,
+  findPackageScope,
+  resolvePackage,
+};
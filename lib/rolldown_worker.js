@@ -0,0 +1,68 @@
+/**
+ * Worker thread of complie_rolldown.js: bundles one entry with rolldown.
+ *
+ * `workerData` is `{ filePath, options }`, with the cloneable compile options. The reply is
+ * `{ code, files }` or `{ error }`. The native bundler of rolldown 0.12 keeps the event loop
+ * alive until it is garbage collected (`destroy()` only stops plugin workers), so the main
+ * thread terminates this worker once it has the reply.
+ *
+ * @author pipi
+ */
+const path = require("path"); // Import the path module
+const { parentPort, workerData } = require("worker_threads");
+const { rolldown } = require("rolldown");
+const { appendInlineSourceMap } = require("./sourcemap");
+const { loadCompilerSettings } = require("./tsconfig");
+const { virtualEntry, tsconfigPaths, externals, assets, transpileOnlyTypescript } = require("./plugins");
+
+async function bundle(filePath, options) {
+  const settings = loadCompilerSettings(filePath, options);
+  const files = new Set();
+
+  // Create a rolldown build
+  const build = await rolldown({
+    input: filePath,
+    // Transpile with the project's tsconfig.json settings before rolldown's own transform,
+    // so JSX, target and decorators behave the same as with the other compilers.
+    plugins: [
+      ...(options.source !== undefined ? [virtualEntry(filePath, options.source)] : []),
+      tsconfigPaths(settings),
+      externals(settings),
+      assets({ ...options, files }),
+      transpileOnlyTypescript(settings),
+    ],
+    resolve: {
+      extensions: [".ts", ".tsx", ".js", ".jsx", ".json"],
+    },
+    platform: "node",
+  });
+
+  // Generate output without writing to file
+  const output = await build.generate({
+    format: options.esm ? "esm" : "cjs",
+    // Always expose `export default` as `exports.default`, like the other compilers do.
+    exports: "named",
+    // Map runtime errors back to the original files (with absolute source paths)
+    sourcemap: true,
+    sourcemapPathTransform: (relativeSourcePath, sourcemapPath) =>
+      path.resolve(path.dirname(sourcemapPath), relativeSourcePath),
+  });
+  await build.destroy();
+
+  const chunk = output.output[0];
+  // Skip virtual modules such as "rolldown:runtime"
+  for (const id of chunk.moduleIds) {
+    if (path.isAbsolute(id)) files.add(id);
+  }
+  const code = chunk.map ? appendInlineSourceMap(chunk.code, chunk.map) : chunk.code;
+  return { code, files: [...files] };
+}
+
+bundle(workerData.filePath, workerData.options).then(
+  (result) => parentPort.postMessage(result),
+  (error) => {
+    parentPort.postMessage({
+      error: { message: String((error && error.message) || error), stack: error && error.stack },
+    });
+  }
+);
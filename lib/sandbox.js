@@ -0,0 +1,483 @@
+/**
+ * Sandboxed execution (`--sandbox`), for templates that are not fully trusted.
+ *
+ * - `require` only loads the allowed modules. `child_process`, `worker_threads`, `vm` and the
+ *   other modules that reach outside of the process are never allowed.
+ * - `fs` and `fs/promises` only accept paths inside the allowed directories (none by default),
+ *   and only have the functions that take paths or file descriptors.
+ * - `process` only has the allowed environment variables, and no `exit()`, `kill()` or `chdir()`.
+ * - Every synchronous run of the code (the module body, timer callbacks, rendering) may use
+ *   `timeout` ms of CPU, enforced with the `timeout` of `vm`. Promise callbacks run after it
+ *   returns, so the worker is also terminated when its event loop is blocked for longer.
+ * - The code runs in a worker thread whose heap is limited to `memory` MB.
+ *
+ * This protects the host from templates that misbehave by mistake. It is not a security
+ * boundary: host objects the code can reach (e.g. `Buffer`, `console` or the allowed built-ins)
+ * lead back to the real `process`, and so to all of `process.env`, for code written to escape.
+ *
+ * @author pipi
+ */
+const fs = require("fs"); // Import the file system module
+const path = require("path"); // Import the path module
+const vm = require("vm");
+const { Worker } = require("worker_threads");
+const { fileURLToPath } = require("url");
+const { isBareSpecifier, globToRegExp } = require("./externals");
+const { workerExecArgv } = require("./esm");
+
+const WORKER_FILE = path.join(__dirname, "sandbox_worker.js");
+/** How often the worker reports that its event loop turns, and the parent checks it, in milliseconds. */
+const HEARTBEAT_INTERVAL = 100;
+/** How much longer than the CPU limit the event loop of the worker may be blocked. */
+const BLOCKED_GRACE = 1000;
+
+/** Modules the code can require by default; `modules` adds to them. */
+const DEFAULT_MODULES = [
+  "assert",
+  "buffer",
+  "crypto",
+  "events",
+  "path",
+  "querystring",
+  "stream",
+  "string_decoder",
+  "url",
+  "util",
+  "zlib",
+  "react",
+  "react/*",
+  "react-dom",
+  "react-dom/*",
+];
+/** Modules that are never allowed, even when listed in `modules`. */
+const DENIED_MODULES = ["child_process", "cluster", "inspector", "module", "process", "repl", "v8", "vm", "wasi", "worker_threads"];
+/** Environment variables the code can read by default; `env` adds to them. */
+const DEFAULT_ENV = ["NODE_ENV"];
+const DEFAULT_TIMEOUT = 5000;
+const DEFAULT_MEMORY = 512;
+
+/**
+ * Functions of `fs` (and their `Sync` and `fs.promises` versions) with the number of path
+ * arguments they start with. Functions that take file descriptors need an `open` first.
+ */
+const FS_PATH_ARGUMENTS = {
+  access: 1,
+  appendFile: 1,
+  chmod: 1,
+  chown: 1,
+  copyFile: 2,
+  cp: 2,
+  createReadStream: 1,
+  createWriteStream: 1,
+  exists: 1,
+  lchown: 1,
+  link: 2,
+  lstat: 1,
+  lutimes: 1,
+  mkdir: 1,
+  mkdtemp: 1,
+  open: 1,
+  opendir: 1,
+  readdir: 1,
+  readFile: 1,
+  readlink: 1,
+  realpath: 1,
+  rename: 2,
+  rm: 1,
+  rmdir: 1,
+  stat: 1,
+  statfs: 1,
+  symlink: 2,
+  truncate: 1,
+  unlink: 1,
+  unwatchFile: 1,
+  utimes: 1,
+  watch: 1,
+  watchFile: 1,
+  writeFile: 1,
+};
+
+/**
+ * Functions of `fs` (and their `Sync` versions) that only take file descriptors, which come from
+ * an allowed `open`. With the path functions above, and the values below, they are all of `fs`
+ * the code gets: anything else (e.g. `openAsBlob`, `glob` or an API added later) is left out.
+ */
+const FS_FD_FUNCTIONS = ["close", "fchmod", "fchown", "fdatasync", "fstat", "fsync", "ftruncate", "futimes", "read", "readv", "write", "writev"];
+/** Constants and classes of `fs` that do not touch the file system by themselves. */
+const FS_VALUES = ["constants", "F_OK", "R_OK", "W_OK", "X_OK", "Stats", "Dirent"];
+
+/**
+ * An error for something the sandbox does not allow.
+ * @param {string} message
+ * @returns {Error} With the code `ERR_DCTC_SANDBOX`.
+ */
+function sandboxError(message) {
+  const error = new Error(message);
+  error.code = "ERR_DCTC_SANDBOX";
+  return error;
+}
+
+/**
+ * Resolve a path through symlinks, as far as it exists, so a link cannot lead outside of an
+ * allowed directory.
+ * @param {string} file
+ * @returns {string}
+ */
+function realPath(file) {
+  const rest = [];
+  let current = path.resolve(file);
+  for (;;) {
+    try {
+      return path.join(fs.realpathSync.native(current), ...rest);
+    } catch {
+      const parent = path.dirname(current);
+      if (parent === current) return path.resolve(file);
+      rest.unshift(path.basename(current));
+      current = parent;
+    }
+  }
+}
+
+/**
+ * Whether a file is inside one of the directories.
+ * @param {string} file
+ * @param {string[]} dirs - Resolved directories.
+ * @returns {boolean}
+ */
+function isInside(file, dirs) {
+  const real = realPath(file);
+  return dirs.some((dir) => {
+    const relative = path.relative(dir, real);
+    return !relative.startsWith("..") && !path.isAbsolute(relative);
+  });
+}
+
+/**
+ * Fill in the defaults of a `sandbox` option.
+ *
+ * @param {true | object} sandbox - `true`, or:
+ * @param {string[]} [sandbox.modules] - More modules the code can require: names or globs, e.g. "lodash" or "@scope/*".
+ * @param {string[]} [sandbox.fs] - Directories `fs` can read and write.
+ * @param {string[]} [sandbox.env] - More environment variables the code can read.
+ * @param {number} [sandbox.timeout=5000] - CPU time of each synchronous run of the code, in milliseconds.
+ * @param {number} [sandbox.memory=512] - Heap size of the worker, in MB.
+ * @returns {{ modules: string[], fs: string[], env: string[], timeout: number, memory: number }}
+ */
+function resolveSandbox(sandbox) {
+  const config = sandbox === true ? {} : sandbox;
+  return {
+    modules: [...new Set([...DEFAULT_MODULES, ...(config.modules || [])])],
+    fs: (config.fs || []).map(realPath),
+    env: [...new Set([...DEFAULT_ENV, ...(config.env || [])])],
+    timeout: config.timeout || DEFAULT_TIMEOUT,
+    memory: config.memory || DEFAULT_MEMORY,
+  };
+}
+
+/**
+ * Create the function that runs code with the CPU limit. The `timeout` of `vm` interrupts
+ * everything that runs while its script does, so the limited function can live in any realm.
+ *
+ * @param {number} timeout - In milliseconds.
+ * @returns {<T>(fn: () => T) => T}
+ */
+function createCpuLimit(timeout) {
+  const context = vm.createContext({ calls: [] });
+  const script = new vm.Script("calls.pop()()", { filename: "dctc:sandbox" });
+  return (fn) => {
+    context.calls.push(fn);
+    try {
+      return script.runInContext(context, { timeout, displayErrors: false });
+    } catch (error) {
+      if (error && error.code === "ERR_SCRIPT_EXECUTION_TIMEOUT") {
+        throw sandboxError(`The code ran for more than ${timeout} ms without a break (the CPU limit of the sandbox)`);
+      }
+      throw error;
+    }
+  };
+}
+
+/**
+ * `fs` and `fs/promises` for paths inside `dirs` only, deny-by-default: the functions that are
+ * not listed in `FS_PATH_ARGUMENTS`, `FS_FD_FUNCTIONS` or `FS_VALUES` are missing.
+ * @param {string[]} dirs - Resolved directories.
+ * @returns {typeof fs}
+ */
+function createScopedFs(dirs) {
+  const check = (name, file) => {
+    let filePath = file;
+    if (Buffer.isBuffer(file)) filePath = file.toString();
+    else if (file && typeof file.href === "string") filePath = fileURLToPath(file.href);
+    // File descriptors come from an allowed `open`; fs rejects the other types itself
+    if (typeof filePath !== "string") return;
+    if (!isInside(filePath, dirs)) {
+      throw sandboxError(`fs.${name}: ${path.resolve(filePath)} is outside of the directories the sandbox allows (${dirs.join(", ")})`);
+    }
+  };
+  // Like invalid arguments, paths outside are thrown synchronously, except by fs.promises
+  const wrap = (name, fn, count, { async = false } = {}) =>
+    function (...args) {
+      try {
+        args.slice(0, count).forEach((file) => check(name, file));
+      } catch (error) {
+        if (async) return Promise.reject(error);
+        throw error;
+      }
+      return fn.apply(this, args);
+    };
+
+  const scopedPromises = { constants: fs.promises.constants };
+  const scoped = { promises: scopedPromises };
+  for (const name of FS_VALUES) {
+    if (name in fs) scoped[name] = fs[name];
+  }
+  for (const name of FS_FD_FUNCTIONS) {
+    if (typeof fs[name] === "function") scoped[name] = fs[name];
+    if (typeof fs[`${name}Sync`] === "function") scoped[`${name}Sync`] = fs[`${name}Sync`];
+  }
+  for (const [name, count] of Object.entries(FS_PATH_ARGUMENTS)) {
+    if (typeof fs[name] === "function") scoped[name] = wrap(name, fs[name], count);
+    if (typeof fs[`${name}Sync`] === "function") scoped[`${name}Sync`] = wrap(`${name}Sync`, fs[`${name}Sync`], count);
+    if (typeof fs.promises[name] === "function") {
+      scopedPromises[name] = wrap(name, fs.promises[name], count, { async: true });
+    }
+  }
+  scoped.ReadStream = class extends fs.ReadStream {
+    constructor(file, options) {
+      check("ReadStream", file);
+      super(file, options);
+    }
+  };
+  scoped.WriteStream = class extends fs.WriteStream {
+    constructor(file, options) {
+      check("WriteStream", file);
+      super(file, options);
+    }
+  };
+  return scoped;
+}
+
+/**
+ * `require` for the sandboxed code: allowed modules only, and the scoped `fs`.
+ *
+ * @param {NodeJS.Require} projectRequire - `require` created for the entry file.
+ * @param {object} sandbox - From `resolveSandbox`.
+ * @returns {(spec: string) => unknown}
+ */
+function createSandboxRequire(projectRequire, sandbox) {
+  const matchers = sandbox.modules.map(globToRegExp);
+  let scopedFs = null;
+  const sandboxRequire = (spec) => {
+    const name = String(spec).replace(/^node:/, "");
+    if (name === "fs" || name === "fs/promises") {
+      if (!sandbox.fs.length) {
+        throw sandboxError(`"${spec}" is not allowed in the sandbox: allow directories with --allow-fs (sandbox.fs)`);
+      }
+      if (!scopedFs) scopedFs = createScopedFs(sandbox.fs);
+      return name === "fs" ? scopedFs : scopedFs.promises;
+    }
+    if (DENIED_MODULES.includes(name.split("/")[0])) {
+      throw sandboxError(`"${spec}" is never allowed in the sandbox`);
+    }
+    if (!isBareSpecifier(name)) {
+      // A file: it must be in a directory `fs` can read
+      if (!isInside(projectRequire.resolve(spec), sandbox.fs)) {
+        throw sandboxError(`"${spec}" is outside of the directories the sandbox allows`);
+      }
+      return projectRequire(spec);
+    }
+    if (!matchers.some((matcher) => matcher.test(name))) {
+      throw sandboxError(`"${spec}" is not allowed in the sandbox: allow it with --allow-modules (sandbox.modules)`);
+    }
+    return projectRequire(spec);
+  };
+  sandboxRequire.resolve = projectRequire.resolve;
+  return sandboxRequire;
+}
+
+/**
+ * `process` for the sandboxed code: a plain object with the harmless parts of the real one.
+ *
+ * @param {object} options - Options of `execute`: `argv`, `stdout` and `stderr`.
+ * @param {object} sandbox - From `resolveSandbox`.
+ * @param {<T>(fn: () => T) => T} limit - From `createCpuLimit`.
+ * @returns {object}
+ */
+function createSandboxProcess({ argv, stdout, stderr }, sandbox, limit) {
+  const env = {};
+  for (const name of sandbox.env) {
+    if (process.env[name] !== undefined) env[name] = process.env[name];
+  }
+  const denied = (name) => () => {
+    throw sandboxError(`process.${name}() is not allowed in the sandbox`);
+  };
+  return {
+    title: "dctc",
+    argv: argv || [...process.argv],
+    execArgv: [],
+    env,
+    platform: process.platform,
+    arch: process.arch,
+    version: process.version,
+    versions: { ...process.versions },
+    release: { ...process.release },
+    stdout: stdout || process.stdout,
+    stderr: stderr || process.stderr,
+    // The exit code of the worker thread the sandbox runs in
+    get exitCode() {
+      return process.exitCode;
+    },
+    set exitCode(exitCode) {
+      process.exitCode = exitCode;
+    },
+    cwd: () => process.cwd(),
+    hrtime: process.hrtime,
+    uptime: () => process.uptime(),
+    memoryUsage: () => process.memoryUsage(),
+    emitWarning: (...args) => process.emitWarning(...args),
+    nextTick: (callback, ...args) => process.nextTick(() => limit(() => callback(...args))),
+    exit: denied("exit"),
+    abort: denied("abort"),
+    kill: denied("kill"),
+    chdir: denied("chdir"),
+    dlopen: denied("dlopen"),
+  };
+}
+
+/**
+ * Timers whose callbacks run with the CPU limit.
+ * @param {<T>(fn: () => T) => T} limit - From `createCpuLimit`.
+ * @returns {object}
+ */
+function createSandboxTimers(limit) {
+  const wrap = (schedule) => (callback, delay, ...args) => schedule(() => limit(() => callback(...args)), delay);
+  return {
+    setTimeout: wrap(setTimeout),
+    setInterval: wrap(setInterval),
+    setImmediate: (callback, ...args) => setImmediate(() => limit(() => callback(...args))),
+  };
+}
+
+/**
+ * Turn a value into one that survives JSON (and `postMessage`): functions and bigints become
+ * strings, and circular references become "[Circular]".
+ * @param {unknown} value
+ * @returns {unknown}
+ */
+function toJson(value) {
+  const ancestors = [];
+  const json = JSON.stringify(value, function (key, item) {
+    if (typeof item === "function") return `[Function: ${item.name || "anonymous"}]`;
+    if (typeof item === "bigint") return item.toString();
+    if (item && typeof item === "object") {
+      // `this` is the object holding `item`: drop the ancestors that are not above it
+      while (ancestors.length && ancestors[ancestors.length - 1] !== this) ancestors.pop();
+      if (ancestors.includes(item)) return "[Circular]";
+      ancestors.push(item);
+    }
+    return item;
+  });
+  return json === undefined ? null : JSON.parse(json);
+}
+
+/**
+ * Watch the event loop of a sandbox worker, which increments `heartbeat[0]` every `interval` ms
+ * while it turns (see sandbox_worker.js). The `timeout` of `vm` does not stop e.g. an endless
+ * chain of promise callbacks, so `onBlocked` is called once the loop has not turned for longer
+ * than the CPU limit; the caller terminates the worker.
+ *
+ * @param {number} timeout - The CPU limit, in milliseconds.
+ * @param {(error: Error) => void} onBlocked - Called once, with the CPU limit error.
+ * @returns {{ heartbeat: Int32Array, interval: number, stop: () => void }} - `heartbeat` and
+ *   `interval` go to the worker; `stop` ends the watch, e.g. when the worker exits.
+ */
+function watchHeartbeat(timeout, onBlocked) {
+  const heartbeat = new Int32Array(new SharedArrayBuffer(4));
+  let beats = 0;
+  let lastBeat = Date.now();
+  const watchdog = setInterval(() => {
+    const current = Atomics.load(heartbeat, 0);
+    // No beat yet: the worker is still starting
+    if (current !== beats || !current) {
+      beats = current;
+      lastBeat = Date.now();
+    } else if (Date.now() - lastBeat > timeout + BLOCKED_GRACE) {
+      clearInterval(watchdog);
+      onBlocked(sandboxError(`The code ran for more than ${timeout} ms without a break (the CPU limit of the sandbox)`));
+    }
+  }, HEARTBEAT_INTERVAL);
+  return { heartbeat, interval: HEARTBEAT_INTERVAL, stop: () => clearInterval(watchdog) };
+}
+
+/**
+ * Execute a compiled bundle (and render it) in a worker thread with the memory limit of the
+ * sandbox. Its output goes to the output of this process.
+ *
+ * A `run` ends like a script run with `node`: once the promise the bundle exports is settled and
+ * its timers and I/O are done. A `render` ends as soon as the HTML is ready.
+ *
+ * @param {"run" | "render"} task - `run` executes the bundle, `render` also renders its default export.
+ * @param {{ code: string, esm: boolean }} bundle - Result of `compileBundle`.
+ * @param {string} filePath - The compiled file.
+ * @param {object} options - `sandbox`, plus `argv` and `reactGlobals` for `run`, or the options of
+ *   `renderBundle` for `render`. They must be cloneable.
+ * @returns {Promise<object>} `{ exports, styles, exitCode }` for `run` (the exports as JSON, see
+ *   `toJson`; the exit code the code set), `{ html }` for `render`.
+ * @throws {Error} If the code fails, breaks a limit of the sandbox, or runs out of memory.
+ */
+function runInWorker(task, { code, esm }, filePath, options) {
+  const sandbox = resolveSandbox(options.sandbox);
+  return new Promise((resolve, reject) => {
+    let worker = null;
+    // The result, then an error if the code fails after it (e.g. in a timer)
+    let outcome = null;
+    let failure = null;
+    const watchdog = watchHeartbeat(sandbox.timeout, (error) => {
+      failure = error;
+      worker.terminate();
+    });
+    worker = new Worker(WORKER_FILE, {
+      workerData: { task, code, esm, filePath, options: { ...options, sandbox }, heartbeat: watchdog.heartbeat, interval: watchdog.interval },
+      execArgv: workerExecArgv([{ esm }]),
+      resourceLimits: { maxOldGenerationSizeMb: sandbox.memory },
+    });
+    worker.on("message", (message) => {
+      outcome = message;
+    });
+    worker.on("error", (error) => {
+      failure =
+        error && error.code === "ERR_WORKER_OUT_OF_MEMORY"
+          ? sandboxError(`${filePath} used more than the memory limit of the sandbox (${sandbox.memory} MB)`)
+          : error;
+    });
+    worker.on("exit", (exitCode) => {
+      watchdog.stop();
+      const error = failure || (outcome && outcome.error);
+      if (error instanceof Error) {
+        reject(error);
+      } else if (error) {
+        const copy = Object.assign(new Error(error.message), { code: error.code });
+        copy.stack = error.stack || copy.stack;
+        reject(copy);
+      } else if (!outcome) {
+        reject(new Error(exitCode === 0
+          ? `${filePath} ended before the promise it exports (or its top-level await) settled`
+          : `The sandbox worker stopped with exit code ${exitCode}`));
+      } else {
+        resolve({ ...outcome, exitCode });
+      }
+    });
+  });
+}
+
+module.exports = {
+  DEFAULT_MODULES,
+  resolveSandbox,
+  createCpuLimit,
+  createSandboxRequire,
+  createSandboxProcess,
+  createSandboxTimers,
+  toJson,
+  watchHeartbeat,
+  runInWorker,
+};
@@ -0,0 +1,47 @@
+/**
+ * Worker thread of `runInWorker` (see lib/sandbox.js): executes one compiled bundle in the
+ * sandbox, with the heap limit the worker was started with.
+ *
+ * `workerData` is `{ task, code, esm, filePath, options, heartbeat, interval }`. The reply is
+ * `{ exports, styles }` for `run`, `{ html }` for `render`, or `{ error }`. A `run` then lets the
+ * event loop drain, so the worker exits with the exit code the code set. `heartbeat[0]` is
+ * incremented every `interval` ms while the event loop turns, so `runInWorker` can tell when it
+ * is blocked.
+ *
+ * @author pipi
+ */
+const { parentPort, workerData } = require("worker_threads");
+const execute = require("./execute");
+const { renderBundle } = require("./render");
+const { toJson } = require("./sandbox");
+const { settleExports, onUncaughtErrors } = require("./completion");
+
+async function work({ task, code, esm, filePath, options }) {
+  if (task === "render") {
+    return { html: await renderBundle({ code, esm }, filePath, options) };
+  }
+  const styles = [];
+  const exports = await execute(code, filePath, { ...options, styles, esm });
+  await settleExports(exports);
+  return { exports: toJson(exports), styles };
+}
+
+const fail = (error) => {
+  // Errors thrown inside the vm context are not `instanceof Error` here
+  parentPort.postMessage({
+    error: { message: String((error && error.message) || error), stack: error && error.stack, code: error && error.code },
+  });
+  process.exit(1);
+};
+
+const { heartbeat, interval } = workerData;
+Atomics.add(heartbeat, 0, 1);
+setInterval(() => Atomics.add(heartbeat, 0, 1), interval).unref();
+
+if (workerData.task === "run") onUncaughtErrors(workerData.code, workerData.filePath, fail);
+
+work(workerData).then((result) => {
+  parentPort.postMessage(result);
+  // Unlike terminate(), exiting flushes the output of the code
+  if (workerData.task === "render") process.exit(0);
+}, fail);
@@ -0,0 +1,428 @@
+/**
+ * A long-running dctc process that other programs talk to with JSON-RPC 2.0 (`dctc serve`),
+ * so they do not pay for starting Node and the compilers on every render.
+ *
+ * Messages are one JSON object per line, over a Unix socket (`socket`) or stdin / stdout.
+ * Compiled bundles are kept in memory, and reused while their input files are unchanged.
+ * Every request executes the bundle in a new `vm` context (see lib/execute.js), with its own
+ * `console`, `process.stdout` and `process.stderr`, whose output is returned with the result.
+ * What a request throws later (in callbacks, or in promises nobody handles) fails that request
+ * instead of the server, `process.exit` throws, `process.exitCode` is the request's own, and the
+ * timers, servers and sockets a request leaves open are closed once it is answered. A request
+ * that takes longer than its `timeout` fails; a synchronous infinite loop still blocks the server.
+ *
+ * Methods (`file` is relative to the working directory of the server):
+ * - `run`: `{ file, args }` => `{ exports, stdout, stderr, timing }`. Exports are returned as
+ *   JSON; functions become `"[Function: name]"`.
+ * - `render`: `{ file, props, static, shell, email }` => `{ html, stdout, stderr, timing }`, plus
+ *   `text` and `warnings` with `email` (see lib/email.js).
+ * - `compile`: `{ file }` => `{ code, esm, timing }`.
+ *
+ * Every method also takes the compile options (`compiler`, `jsx`, `externals`, ...),
+ * `reactGlobals` and `timeout`; by default, those the server was started with.
+ *
+ * @author pipi
+ */
+const fs = require("fs"); // Import the file system module
+const path = require("path"); // Import the path module
+const net = require("net");
+const readline = require("readline");
+const { Writable } = require("stream");
+const { performance } = require("perf_hooks");
+const { compileBundle, missingProbes, compilerName, CACHE_KEY_OPTIONS } = require("./compile");
+const { renderBundle } = require("./render");
+const { toEmail } = require("./email");
+const execute = require("./execute");
+const { toJson } = require("./sandbox");
+const { trackHandles } = require("./completion");
+const { readInlineSourceMap, createStackMapper } = require("./sourcemap");
+
+/** Options a request can set for itself. */
+const REQUEST_OPTIONS = ["compiler", ...CACHE_KEY_OPTIONS, "reactGlobals"];
+
+/** Time limit of a request in milliseconds, unless the server or the request sets one. */
+const DEFAULT_TIMEOUT = 30000;
+
+/** JSON-RPC 2.0 error codes. */
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const EXECUTION_ERROR = -32000;
+
+class RpcError extends Error {
+  constructor(code, message, data) {
+    super(message);
+    this.code = code;
+    this.data = data;
+  }
+}
+
+/**
+ * A stream that keeps what is written to it.
+ * @returns {{ stream: Writable, read: () => string }}
+ */
+function createCapture() {
+  let text = "";
+  const stream = new Writable({
+    write(chunk, encoding, callback) {
+      text += chunk;
+      callback();
+    },
+  });
+  return { stream, read: () => text };
+}
+
+/**
+ * Wait for the promise a script exports, like `settleExports` (see lib/completion.js), and
+ * return the exports with its value: `module.exports = main()` or `export default main()`.
+ * @param {object|Promise<object>} exports - Exports of the executed script.
+ * @returns {Promise<object>}
+ */
+async function settleValues(exports) {
+  const value = await exports;
+  if (value && value.default && typeof value.default.then === "function") {
+    return { ...value, default: await value.default };
+  }
+  return value;
+}
+
+/**
+ * Map the frames of the bundle a request executed back to its sources.
+ * @param {{ file: string, code: string | null }} request
+ * @param {unknown} error - Changed in place.
+ */
+function mapRequestStack(request, error) {
+  // Errors thrown inside the vm context are not `instanceof Error` here
+  if (request.code && error && typeof error.stack === "string") {
+    error.stack = createStackMapper(readInlineSourceMap(request.code), `dctc:${request.file}`)(error.stack);
+  }
+}
+
+function milliseconds(from, to = performance.now()) {
+  return Math.round((to - from) * 100) / 100;
+}
+
+/**
+ * Compile with an in-memory cache in front of `compileBundle`. Entries are reused while the
+ * modification time and size of every input file are unchanged, which is cheaper than the
+ * content hashes of the on-disk cache, and while no file was created where an import would
+ * now resolve to it. Concurrent requests for the same bundle share one compile.
+ *
+ * @returns {(file: string, options: object) => Promise<{ code: string, esm: boolean, cached: boolean }>}
+ */
+function createBundleCache() {
+  const entries = new Map(); // key => { code, esm, stamps: Map<file, string> }
+  const compiling = new Map(); // key => Promise of the result
+  const stamp = (file) => {
+    try {
+      const stats = fs.statSync(file);
+      return `${stats.mtimeMs}:${stats.size}`;
+    } catch {
+      return null;
+    }
+  };
+
+  return async (file, options) => {
+    const compiler = compilerName(options.compiler);
+    const key = JSON.stringify([file, compiler, ...CACHE_KEY_OPTIONS.map((name) => options[name])]);
+    const entry = entries.get(key);
+    if (entry && [...entry.stamps].every(([input, value]) => stamp(input) === value)) {
+      return { code: entry.code, esm: entry.esm, cached: true };
+    }
+    if (!compiling.has(key)) {
+      const files = new Set();
+      const result = compileBundle(file, { ...options, files })
+        .then(({ code, esm }) => {
+          // Missing probes are stamped `null`, like any file that does not exist
+          const inputs = [...files, ...missingProbes(files)];
+          entries.set(key, { code, esm, stamps: new Map(inputs.map((input) => [input, stamp(input)])) });
+          return { code, esm, cached: false };
+        })
+        .finally(() => compiling.delete(key));
+      compiling.set(key, result);
+    }
+    return compiling.get(key);
+  };
+}
+
+/**
+ * Create the function that answers one JSON-RPC message.
+ *
+ * @param {object} defaults - Options of `serve`, used by requests that do not set them.
+ * @returns {{ handler: (message: unknown) => Promise<object | null>, close: () => void }} - `handler`
+ *   resolves to the response, `null` for notifications; `close` stops catching the errors of requests.
+ */
+function createHandler(defaults) {
+  const getBundle = createBundleCache();
+  const requests = trackHandles();
+
+  const onUncaught = (kind, event) => (error) => {
+    const current = requests.current();
+    const request = current && current.data;
+    if (!request) {
+      // Not thrown by a request: crash like Node would, unless the host handles it too
+      if (process.listenerCount(event) > 1) return;
+      process.stderr.write(`${kind}: ${(error && error.stack) || error}\n`);
+      process.exit(1);
+    }
+    mapRequestStack(request, error);
+    if (!request.answered) {
+      request.fail(error);
+    } else {
+      const file = path.relative(process.cwd(), request.file);
+      process.stderr.write(`[dctc] ${kind} after a request for ${file} was answered: ${(error && error.stack) || error}\n`);
+    }
+  };
+  const onException = onUncaught("Uncaught exception", "uncaughtException");
+  const onRejection = onUncaught("Unhandled rejection", "unhandledRejection");
+  process.on("uncaughtException", onException);
+  process.on("unhandledRejection", onRejection);
+
+  const methods = {
+    async compile(file, options) {
+      const start = performance.now();
+      const { code, esm, cached } = await getBundle(file, options);
+      return { code, esm, cached, timing: { compile: milliseconds(start) } };
+    },
+
+    async run(file, options, request) {
+      const { params, output } = request;
+      const start = performance.now();
+      const { code, esm, cached } = await getBundle(file, options);
+      request.code = code;
+      const compiled = performance.now();
+      const exports = await request.scope.run(() =>
+        execute(code, file, {
+          argv: [process.execPath, file, ...(params.args || [])],
+          reactGlobals: options.reactGlobals,
+          esm,
+          stdout: output.stdout.stream,
+          stderr: output.stderr.stream,
+          exit: request.exit,
+        })
+      );
+      const value = await settleValues(exports);
+      const end = performance.now();
+      return {
+        exports: toJson(value),
+        cached,
+        timing: { compile: milliseconds(start, compiled), execute: milliseconds(compiled, end), total: milliseconds(start, end) },
+      };
+    },
+
+    async render(file, options, request) {
+      const { params, output } = request;
+      const start = performance.now();
+      const bundle = await getBundle(file, options);
+      request.code = bundle.code;
+      const compiled = performance.now();
+      const email = !!params.email;
+      const html = await request.scope.run(() =>
+        renderBundle(bundle, file, {
+          props: params.props || {},
+          static: email || !!params.static,
+          shell: email || !!params.shell,
+          reactGlobals: options.reactGlobals,
+          stdout: output.stdout.stream,
+          stderr: output.stderr.stream,
+          exit: request.exit,
+        })
+      );
+      const end = performance.now();
+      return {
+        ...(email ? toEmail(html) : { html }),
+        cached: bundle.cached,
+        timing: { compile: milliseconds(start, compiled), render: milliseconds(compiled, end), total: milliseconds(start, end) },
+      };
+    },
+  };
+
+  const answer = async (message) => {
+    if (!message || typeof message !== "object" || typeof message.method !== "string") {
+      throw new RpcError(INVALID_REQUEST, "Invalid request: expected { jsonrpc, id, method, params }");
+    }
+    const method = Object.prototype.hasOwnProperty.call(methods, message.method) && methods[message.method];
+    if (!method) throw new RpcError(METHOD_NOT_FOUND, `Method not found: ${message.method}`);
+    const params = message.params || {};
+    if (typeof params.file !== "string") throw new RpcError(INVALID_PARAMS, '"file" must be a string');
+    if (params.args !== undefined && (!Array.isArray(params.args) || params.args.some((arg) => typeof arg !== "string"))) {
+      throw new RpcError(INVALID_PARAMS, '"args" must be an array of strings');
+    }
+    if (params.timeout !== undefined && !(typeof params.timeout === "number" && params.timeout > 0)) {
+      throw new RpcError(INVALID_PARAMS, '"timeout" must be a positive number of milliseconds');
+    }
+
+    const options = {};
+    for (const name of REQUEST_OPTIONS) {
+      options[name] = params[name] !== undefined ? params[name] : defaults[name];
+    }
+    options.cache = defaults.cache;
+    const timeout = params.timeout || defaults.timeout || DEFAULT_TIMEOUT;
+    const output = { stdout: createCapture(), stderr: createCapture() };
+    const request = {
+      file: path.resolve(params.file),
+      params,
+      output,
+      code: null, // the executed bundle, to map stacks
+      answered: false,
+      fail: null,
+      exit: (code) => {
+        throw new Error(`process.exit(${code === undefined ? "" : code}) was called; a served script cannot stop the server`);
+      },
+    };
+    // Anything the script schedules belongs to the request, see `onUncaught`
+    request.scope = requests.start(request);
+    let timer;
+    const failed = new Promise((resolve, reject) => {
+      request.fail = reject;
+      timer = setTimeout(() => reject(new Error(`The request did not finish within ${timeout}ms`)), timeout);
+    });
+    const answering = method(request.file, options, request);
+    // The one that loses the race must not become an unhandled rejection
+    failed.catch(() => {});
+    answering.catch(() => {});
+    try {
+      const result = await Promise.race([answering, failed]);
+      return { ...result, stdout: output.stdout.read(), stderr: output.stderr.read() };
+    } catch (error) {
+      mapRequestStack(request, error);
+      throw new RpcError(EXECUTION_ERROR, String((error && error.message) || error), {
+        stack: error && error.stack,
+        stdout: output.stdout.read(),
+        stderr: output.stderr.read(),
+      });
+    } finally {
+      request.answered = true;
+      clearTimeout(timer);
+      request.scope.close();
+    }
+  };
+
+  const handle = async (message) => {
+    const id = message && typeof message === "object" && message.id !== undefined ? message.id : null;
+    try {
+      const result = await answer(message);
+      return id === null ? null : { jsonrpc: "2.0", id, result };
+    } catch (error) {
+      const code = error instanceof RpcError ? error.code : EXECUTION_ERROR;
+      return { jsonrpc: "2.0", id, error: { code, message: error.message, data: error.data } };
+    }
+  };
+
+  return {
+    async handler(message) {
+      if (!Array.isArray(message)) return handle(message);
+      // A batch: one response per request that is not a notification
+      const responses = (await Promise.all(message.map(handle))).filter(Boolean);
+      return responses.length ? responses : null;
+    },
+    close() {
+      process.off("uncaughtException", onException);
+      process.off("unhandledRejection", onRejection);
+      requests.disable();
+    },
+  };
+}
+
+/**
+ * Answer the JSON-RPC messages read from a stream, one per line.
+ * @param {NodeJS.ReadableStream} input
+ * @param {(line: string) => void} write - Writes one response line.
+ * @param {(message: unknown) => Promise<object | null>} handler
+ * @returns {readline.Interface}
+ */
+function answerLines(input, write, handler) {
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  lines.on("line", async (line) => {
+    if (!line.trim()) return;
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      write(JSON.stringify({ jsonrpc: "2.0", id: null, error: { code: PARSE_ERROR, message: `Parse error: ${error.message}` } }));
+      return;
+    }
+    const response = await handler(message);
+    if (response) write(JSON.stringify(response));
+  });
+  return lines;
+}
+
+/**
+ * Whether a server answers on a Unix socket.
+ * @param {string} socket
+ * @returns {Promise<boolean>}
+ */
+function isListening(socket) {
+  return new Promise((resolve) => {
+    const connection = net.connect(socket);
+    connection.once("connect", () => {
+      connection.destroy();
+      resolve(true);
+    });
+    connection.once("error", () => resolve(false));
+  });
+}
+
+/**
+ * Start the server.
+ *
+ * @param {object} [options] - Defaults of the compile options (`compiler`, `jsx`, `externals`, ...), plus:
+ * @param {string} [options.socket] - Listen on this Unix socket (a named pipe on Windows). Without it,
+ *   messages are read from `options.input` and answered on `options.output`. Fails when another
+ *   server answers on it.
+ * @param {NodeJS.ReadableStream} [options.input=process.stdin]
+ * @param {NodeJS.WritableStream} [options.output=process.stdout]
+ * @param {boolean} [options.reactGlobals=true] - Inject `React` and `ReactDOM` as globals.
+ * @param {number} [options.timeout=30000] - Time limit of a request in milliseconds.
+ * @returns {Promise<{ close: () => Promise<void> }>} - Resolves once the server accepts messages.
+ */
+async function serve(options = {}) {
+  const { handler, close } = createHandler(options);
+
+  if (!options.socket) {
+    const output = options.output || process.stdout;
+    const lines = answerLines(options.input || process.stdin, (line) => output.write(`${line}\n`), handler);
+    return {
+      close: async () => {
+        lines.close();
+        close();
+      },
+    };
+  }
+
+  if (fs.existsSync(options.socket) && fs.statSync(options.socket).isSocket()) {
+    if (await isListening(options.socket)) {
+      close();
+      throw new Error(`Another server is listening on ${options.socket}`);
+    }
+    // A socket left behind by a server that did not stop cleanly
+    fs.unlinkSync(options.socket);
+  }
+  const connections = new Set();
+  const server = net.createServer((connection) => {
+    connections.add(connection);
+    connection.on("close", () => connections.delete(connection));
+    connection.on("error", () => {});
+    answerLines(connection, (line) => !connection.destroyed && connection.write(`${line}\n`), handler);
+  });
+  try {
+    await new Promise((resolve, reject) => {
+      server.once("error", reject);
+      server.listen(options.socket, resolve);
+    });
+  } catch (error) {
+    close();
+    throw error;
+  }
+  return {
+    close: async () => {
+      for (const connection of connections) connection.end();
+      await new Promise((resolve) => server.close(resolve));
+      close();
+    },
+  };
+}
+
+module.exports = serve;
@@ -0,0 +1,104 @@
+/**
+ * Helpers for the source maps emitted by the compilers.
+ *
+ * Every compiler appends an inline source map (with absolute `sources`) to its output.
+ * `execute` reads it back and rewrites stack frames of the compiled script to the
+ * original `.tsx` / `.ts` file, line and column.
+ *
+ * @author pipi
+ */
+const path = require("path"); // Import the path module
+const { SourceMap } = require("module");
+
+const INLINE_SOURCE_MAP_RE = /\r?\n?\/\/# sourceMappingURL=data:application\/json;(?:charset=utf-8;)?base64,([A-Za-z0-9+/=]+)\s*$/;
+
+/**
+ * Append a source map to the code as an inline `sourceMappingURL` comment.
+ * A trailing `sourceMappingURL` comment pointing at a file is replaced.
+ * @param {string} code - Generated code.
+ * @param {object|string} map - The source map (object or JSON string).
+ * @returns {string} - Code with the inline source map appended.
+ */
+function appendInlineSourceMap(code, map) {
+  const json = typeof map === "string" ? map : JSON.stringify(map);
+  return `${code.replace(/\r?\n?\/\/# sourceMappingURL=[^\s]*\s*$/, "")}\n//# sourceMappingURL=data:application/json;charset=utf-8;base64,${Buffer.from(json).toString("base64")}\n`;
+}
+
+/**
+ * Read the inline source map at the end of the code, if any.
+ * @param {string} code - Generated code.
+ * @returns {object|null} - The parsed source map, or null.
+ */
+function readInlineSourceMap(code) {
+  const match = typeof code === "string" && code.match(INLINE_SOURCE_MAP_RE);
+  if (!match) return null;
+  try {
+    return JSON.parse(Buffer.from(match[1], "base64").toString("utf8"));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Remove the inline source map comment at the end of the code.
+ * @param {string} code - Generated code.
+ * @returns {string} - Code without the source map comment.
+ */
+function stripInlineSourceMap(code) {
+  return code.replace(INLINE_SOURCE_MAP_RE, "");
+}
+
+/**
+ * Make every entry of `map.sources` absolute.
+ * @param {object} map - The source map.
+ * @param {string} baseDir - Directory the relative sources are relative to.
+ * @returns {object} - The same map, for chaining.
+ */
+function absoluteSources(map, baseDir) {
+  map.sources = (map.sources || []).map((source) =>
+    source && !path.isAbsolute(source) && !/^[a-z]+:/i.test(source) ? path.resolve(baseDir, source) : source
+  );
+  return map;
+}
+
+/**
+ * Escape a string so it can be safely embedded as a literal inside a RegExp pattern.
+ * @param {string} str - Any string.
+ * @returns {string} - Escaped string.
+ */
+function escapeForRegex(str) {
+  return String(str).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Create a function that rewrites stack frames of a compiled script back to the original sources.
+ * @param {object|null} map - Source map of the compiled script.
+ * @param {string} scriptFilename - The `filename` the script was run with (as it appears in stacks).
+ * @returns {(stack: string) => string} - Stack rewriter; returns the stack unchanged when there is no map.
+ */
+function createStackMapper(map, scriptFilename) {
+  if (!map) return (stack) => stack;
+  let sourceMap;
+  try {
+    sourceMap = new SourceMap(map);
+  } catch {
+    return (stack) => stack;
+  }
+  const frameRe = new RegExp(`${escapeForRegex(scriptFilename)}:(\\d+):(\\d+)`, "g");
+  return (stack) =>
+    String(stack).replace(frameRe, (frame, line, column) => {
+      // Stack positions are 1-based, source map positions are 0-based.
+      const entry = sourceMap.findEntry(Number(line) - 1, Number(column) - 1);
+      // findEntry falls back to the closest earlier mapping; ignore it when it is on another line.
+      if (!entry || !entry.originalSource || entry.generatedLine !== Number(line) - 1) return frame;
+      return `${entry.originalSource}:${entry.originalLine + 1}:${entry.originalColumn + 1}`;
+    });
+}
+
+module.exports = {
+  appendInlineSourceMap,
+  readInlineSourceMap,
+  stripInlineSourceMap,
+  absoluteSources,
+  createStackMapper,
+};
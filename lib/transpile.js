@@ -0,0 +1,94 @@
+/**
+ * Transpile one piece of TS/TSX source, without bundling, with the transform of a compiler:
+ * esbuild (`es`), swc (`swc`) or TypeScript (`rollup` and `rolldown`, whose TypeScript plugins
+ * use it too). Used by the REPL (see lib/repl.js), which evaluates its inputs one by one.
+ *
+ * The output is an ES module in which every import that is not type-only is kept as written,
+ * even when the source does not use it (like `verbatimModuleSyntax`): an input of the REPL
+ * may only import what the next one uses. JSX, target and decorators follow the project
+ * settings (see lib/tsconfig.js).
+ *
+ * @author pipi
+ */
+const { getTranspileOptions } = require("./tsconfig");
+
+const transforms = {
+  async es(source, fileName, settings) {
+    const esbuild = require("esbuild");
+    const { jsx } = settings;
+    const result = await esbuild.transform(source, {
+      sourcefile: fileName,
+      loader: /\.[jt]sx$/i.test(fileName) ? "tsx" : "ts",
+      format: "esm",
+      target: settings.target,
+      tsconfigRaw: {
+        compilerOptions: {
+          verbatimModuleSyntax: true,
+          jsx: jsx.runtime === "automatic" ? (jsx.development ? "react-jsxdev" : "react-jsx") : "react",
+          jsxFactory: jsx.factory,
+          jsxFragmentFactory: jsx.fragmentFactory,
+          jsxImportSource: jsx.importSource,
+          experimentalDecorators: settings.decorators.legacy,
+          useDefineForClassFields: settings.useDefineForClassFields,
+        },
+      },
+    });
+    return result.code;
+  },
+
+  async swc(source, fileName, settings) {
+    const swc = require("@swc/core");
+    const { jsx, decorators } = settings;
+    const result = await swc.transform(source, {
+      filename: fileName,
+      isModule: true,
+      jsc: {
+        target: settings.target,
+        externalHelpers: false,
+        parser: { syntax: "typescript", tsx: /\.tsx$/i.test(fileName), decorators: true },
+        transform: {
+          verbatimModuleSyntax: true,
+          legacyDecorator: decorators.legacy,
+          decoratorVersion: "2022-03",
+          decoratorMetadata: decorators.metadata,
+          useDefineForClassFields: settings.useDefineForClassFields,
+          react: {
+            runtime: jsx.runtime,
+            pragma: jsx.factory,
+            pragmaFrag: jsx.fragmentFactory,
+            importSource: jsx.importSource,
+            development: jsx.development,
+            throwIfNamespace: true,
+            useBuiltins: false,
+          },
+        },
+      },
+    });
+    return result.code || "";
+  },
+
+  async typescript(source, fileName, settings) {
+    const ts = require("typescript");
+    const result = ts.transpileModule(source, {
+      fileName,
+      compilerOptions: { ...getTranspileOptions(settings), verbatimModuleSyntax: true, sourceMap: false },
+    });
+    return result.outputText;
+  },
+};
+
+/**
+ * @param {string} source - TS/TSX source.
+ * @param {string} fileName - Name of the source; its extension tells whether it may contain JSX.
+ * @param {ReturnType<import("./tsconfig").loadCompilerSettings>} settings
+ * @param {string} compiler - es, swc, rollup or rolldown.
+ * @returns {Promise<string>} - JavaScript (an ES module).
+ */
+function transpile(source, fileName, settings, compiler) {
+  const transform = compiler === "es" || compiler === "swc" ? transforms[compiler] : transforms.typescript;
+  return transform(source, fileName, settings);
+}
+
+module.exports = {
+  transpile,
+};
@@ -0,0 +1,227 @@
+/**
+ * Load the project's tsconfig.json and turn it into the settings every compiler uses.
+ *
+ * - The nearest tsconfig.json above the entry file is used, `extends` chains included.
+ * - `paths` / `baseUrl` drive module resolution.
+ * - `jsx*`, `target` and decorator options drive transpilation.
+ *
+ * Without a tsconfig.json, the defaults match what dctc always did:
+ * ES2015 output and the classic `React.createElement` JSX runtime.
+ *
+ * @author pipi
+ */
+const path = require("path"); // Import the path module
+const ts = require("typescript");
+const { resolveWithExt } = require("./resolve");
+const { createExternalMatcher } = require("./externals");
+
+const DEFAULT_TARGET = "es2015";
+// Top-level await and import.meta need at least ES2022 output
+const ESM_MIN_TARGET = "es2022";
+
+/**
+ * Find and parse the nearest tsconfig.json above a file.
+ *
+ * `include`/`files` are not expanded: dctc follows imports from the entry instead,
+ * and globbing a large project would only slow every run down.
+ *
+ * @param {string} filePath - The entry file.
+ * @returns {{ configFile: string|null, configFiles: string[], compilerOptions: import("typescript").CompilerOptions }}
+ *   `configFiles` lists the tsconfig.json and every file it extends.
+ */
+function loadTsconfig(filePath) {
+  const configFile = ts.findConfigFile(path.dirname(path.resolve(filePath)), ts.sys.fileExists);
+  if (!configFile) {
+    return { configFile: null, configFiles: [], compilerOptions: {} };
+  }
+
+  const sourceFile = ts.readJsonConfigFile(configFile, ts.sys.readFile);
+  if (sourceFile.parseDiagnostics && sourceFile.parseDiagnostics.length) {
+    const message = ts.flattenDiagnosticMessageText(sourceFile.parseDiagnostics[0].messageText, "\n");
+    throw new Error(`Cannot read ${configFile}: ${message}`);
+  }
+  const host = { ...ts.sys, readDirectory: () => [] };
+  const parsed = ts.parseJsonSourceFileConfigFileContent(sourceFile, host, path.dirname(configFile), undefined, configFile);
+  return {
+    configFile,
+    configFiles: [configFile, ...(sourceFile.extendedSourceFiles || [])],
+    compilerOptions: parsed.options,
+  };
+}
+
+/**
+ * Name of the output target, e.g. "es2020" or "esnext".
+ * dctc always runs on Node, so nothing older than ES2015 is emitted.
+ *
+ * @param {import("typescript").CompilerOptions} compilerOptions
+ * @returns {string}
+ */
+function getTarget(compilerOptions) {
+  const target = compilerOptions.target;
+  if (target === undefined || target <= ts.ScriptTarget.ES2015) return DEFAULT_TARGET;
+  if (target >= ts.ScriptTarget.ESNext) return "esnext";
+  // ES2015 = 2, ES2016 = 3, ...
+  return `es${2013 + target}`;
+}
+
+/**
+ * JSX settings, in a form each compiler can map to its own options.
+ *
+ * `preserve` (and no `jsx` at all) fall back to the classic runtime,
+ * because JSX has to be compiled away before it can run.
+ * `overrides` (from `--jsx` / `--jsx-import-source`) win over tsconfig.json;
+ * an import source alone implies the automatic runtime.
+ *
+ * @param {import("typescript").CompilerOptions} compilerOptions
+ * @param {{ jsx?: "classic"|"automatic", jsxImportSource?: string }} [overrides]
+ * @returns {{ runtime: "classic"|"automatic", development: boolean, factory: string, fragmentFactory: string, importSource: string }}
+ */
+function getJsx(compilerOptions, overrides = {}) {
+  const jsx = compilerOptions.jsx;
+  if (overrides.jsx && overrides.jsx !== "classic" && overrides.jsx !== "automatic") {
+    throw new Error(`Unknown JSX runtime: ${overrides.jsx}. Expected classic or automatic`);
+  }
+  let automatic = jsx === ts.JsxEmit.ReactJSX || jsx === ts.JsxEmit.ReactJSXDev;
+  if (overrides.jsx) {
+    automatic = overrides.jsx === "automatic";
+  } else if (overrides.jsxImportSource) {
+    automatic = true;
+  }
+  return {
+    runtime: automatic ? "automatic" : "classic",
+    development: automatic && jsx === ts.JsxEmit.ReactJSXDev,
+    factory: compilerOptions.jsxFactory || "React.createElement",
+    fragmentFactory: compilerOptions.jsxFragmentFactory || "React.Fragment",
+    importSource: overrides.jsxImportSource || compilerOptions.jsxImportSource || "react",
+  };
+}
+
+/**
+ * Create a resolver for `paths` and `baseUrl` module aliases.
+ *
+ * Patterns follow TypeScript: either an exact match or a single `*` wildcard,
+ * with the longest matching prefix winning. Non-relative specifiers are also tried
+ * against `baseUrl` when it is set.
+ *
+ * @param {import("typescript").CompilerOptions} compilerOptions
+ * @returns {(spec: string) => string|null} - Absolute file path, or null if the specifier is not an alias.
+ */
+function createAliasResolver(compilerOptions) {
+  const { baseUrl, paths } = compilerOptions;
+  // Without baseUrl, `paths` are relative to the tsconfig.json that declares them.
+  const pathsBase = baseUrl || compilerOptions.pathsBasePath;
+  const patterns = Object.entries(paths || {})
+    .map(([pattern, targets]) => {
+      const star = pattern.indexOf("*");
+      return {
+        prefix: star === -1 ? pattern : pattern.slice(0, star),
+        suffix: star === -1 ? "" : pattern.slice(star + 1),
+        wildcard: star !== -1,
+        targets,
+      };
+    })
+    .sort((a, b) => b.prefix.length - a.prefix.length);
+
+  if (!patterns.length && !baseUrl) return () => null;
+
+  return (spec) => {
+    if (typeof spec !== "string" || spec.startsWith(".") || path.isAbsolute(spec)) return null;
+
+    for (const { prefix, suffix, wildcard, targets } of patterns) {
+      let matched;
+      if (!wildcard) {
+        if (spec !== prefix) continue;
+        matched = "";
+      } else {
+        if (!spec.startsWith(prefix) || !spec.endsWith(suffix) || spec.length < prefix.length + suffix.length) continue;
+        matched = spec.slice(prefix.length, spec.length - suffix.length);
+      }
+      for (const target of targets) {
+        const resolved = resolveWithExt(path.resolve(pathsBase, target.replace("*", matched)));
+        if (resolved) return resolved;
+      }
+    }
+
+    return baseUrl ? resolveWithExt(path.resolve(baseUrl, spec)) : null;
+  };
+}
+
+/**
+ * Load everything a compiler needs to know about the project of an entry file.
+ *
+ * @param {string} filePath - The entry file.
+ * @param {{ jsx?: "classic"|"automatic", jsxImportSource?: string, externals?: string|string[], esm?: boolean }} [overrides]
+ *   Compile options that win over tsconfig.json, the external policy (see lib/externals.js) and the module format.
+ * @returns {{
+ *   configFile: string|null,
+ *   compilerOptions: import("typescript").CompilerOptions,
+ *   target: string,
+ *   jsx: ReturnType<typeof getJsx>,
+ *   decorators: { legacy: boolean, metadata: boolean },
+ *   useDefineForClassFields: boolean|undefined,
+ *   resolveAlias: (spec: string) => string|null,
+ *   isExternal: (spec: string) => boolean,
+ * }}
+ */
+function loadCompilerSettings(filePath, overrides = {}) {
+  const { configFile, compilerOptions } = loadTsconfig(filePath);
+  const resolveAlias = createAliasResolver(compilerOptions);
+  let target = getTarget(compilerOptions);
+  if (overrides.esm && target !== "esnext" && target < ESM_MIN_TARGET) target = ESM_MIN_TARGET;
+  return {
+    configFile,
+    compilerOptions,
+    target,
+    jsx: getJsx(compilerOptions, overrides),
+    decorators: {
+      legacy: !!compilerOptions.experimentalDecorators,
+      metadata: !!compilerOptions.emitDecoratorMetadata,
+    },
+    useDefineForClassFields: compilerOptions.useDefineForClassFields,
+    resolveAlias,
+    isExternal: createExternalMatcher(overrides.externals, resolveAlias),
+  };
+}
+
+/**
+ * TypeScript compiler options for `ts.transpileModule`, based on the project settings.
+ *
+ * @param {ReturnType<typeof loadCompilerSettings>} settings
+ * @returns {import("typescript").CompilerOptions}
+ */
+function getTranspileOptions(settings) {
+  const { jsx } = settings;
+  return {
+    ...settings.compilerOptions,
+    target: ts.ScriptTarget[settings.target === "esnext" ? "ESNext" : settings.target.toUpperCase()],
+    module: ts.ModuleKind.ESNext, // let the bundler handle modules
+    moduleResolution: ts.ModuleResolutionKind.Bundler,
+    jsx:
+      jsx.runtime === "automatic"
+        ? jsx.development
+          ? ts.JsxEmit.ReactJSXDev
+          : ts.JsxEmit.ReactJSX
+        : ts.JsxEmit.React,
+    // Each runtime only accepts its own options
+    jsxFactory: jsx.runtime === "classic" ? jsx.factory : undefined,
+    jsxFragmentFactory: jsx.runtime === "classic" ? jsx.fragmentFactory : undefined,
+    jsxImportSource: jsx.runtime === "automatic" ? jsx.importSource : undefined,
+    esModuleInterop: true,
+    allowSyntheticDefaultImports: true,
+    resolveJsonModule: true,
+    sourceMap: true,
+    inlineSourceMap: false,
+    inlineSources: false,
+    declaration: false,
+    declarationMap: false,
+    emitDeclarationOnly: false,
+    noEmit: false,
+  };
+}
+
+module.exports = {
+  loadTsconfig,
+  loadCompilerSettings,
+  getTranspileOptions,
+  createAliasResolver,
+};
@@ -0,0 +1,145 @@
+/**
+ * Type-check an entry and every file it imports with the TypeScript compiler API (`--typecheck`).
+ *
+ * The compilers only strip types, so type errors never stop a run. This builds a `ts.Program`
+ * from the entry, with the options of the project tsconfig.json, and reports its diagnostics
+ * like `tsc --noEmit` does, with code frames. Imports resolve like the bundlers resolve them
+ * (`paths` included), and the JSX runtime and target are the ones dctc compiles with.
+ *
+ * `startTypecheck` does the same in a worker thread, so the check runs in parallel with the
+ * code; its `wait()` blocks until the check is done, so it can be called while the process exits.
+ *
+ * @author pipi
+ */
+const path = require("path"); // Import the path module
+const util = require("util");
+const { Worker, MessageChannel, receiveMessageOnPort } = require("worker_threads");
+const ts = require("typescript");
+const { loadCompilerSettings, getTranspileOptions } = require("./tsconfig");
+
+const WORKER_FILE = path.join(__dirname, "typecheck_worker.js");
+// Declares the React globals dctc injects, when the project has no types for them
+const GLOBALS_FILE = path.join(__dirname, "react-globals.d.ts");
+const REACT_GLOBALS = { React: "react", ReactDOM: "react-dom" };
+
+/**
+ * Compiler options of the check: the project options, with the module resolution, JSX and
+ * target dctc compiles with.
+ * @param {string} filePath - The entry file.
+ * @param {object} options - See `typecheck`.
+ * @returns {import("typescript").CompilerOptions}
+ */
+function getCheckOptions(filePath, options) {
+  // dctc raises the target itself when the code uses top-level await
+  const settings = loadCompilerSettings(filePath, { jsx: options.jsx, jsxImportSource: options.jsxImportSource, esm: true });
+  const { compilerOptions } = settings;
+  return {
+    ...getTranspileOptions(settings),
+    noEmit: true,
+    sourceMap: false,
+    // React and ReactDOM are globals of the code, unless --no-react-globals
+    allowUmdGlobalAccess: options.reactGlobals !== false || !!compilerOptions.allowUmdGlobalAccess,
+    // Checking every .d.ts of node_modules is slow, and not what the run is about
+    skipLibCheck: compilerOptions.skipLibCheck !== false,
+  };
+}
+
+/**
+ * Declarations of the React globals whose package has no types (no @types/react), so the code
+ * can use them like it runs. With types, `allowUmdGlobalAccess` is enough.
+ * @param {string} entry - The entry file.
+ * @param {import("typescript").CompilerOptions} compilerOptions
+ * @param {import("typescript").CompilerHost} host
+ * @returns {string} - Empty when every package has types.
+ */
+function untypedReactGlobals(entry, compilerOptions, host) {
+  return Object.entries(REACT_GLOBALS)
+    .filter(([, name]) => {
+      const { resolvedModule } = ts.resolveModuleName(name, entry, compilerOptions, host);
+      return !resolvedModule || resolvedModule.extension !== ts.Extension.Dts;
+    })
+    .map(([global]) => `declare var ${global}: any;\n`)
+    .join("");
+}
+
+/**
+ * Type-check a file and the files it imports.
+ * @param {string} filePath - The entry file.
+ * @param {object} [options]
+ * @param {"classic"|"automatic"} [options.jsx] - JSX runtime, as for `compile`.
+ * @param {string} [options.jsxImportSource] - Import source of the automatic runtime, as for `compile`.
+ * @param {boolean} [options.reactGlobals=true] - Whether the code may use `React` and `ReactDOM` without importing them.
+ * @param {string} [options.source] - Source of the entry, instead of the content of `filePath`, as for `compile`.
+ * @param {boolean} [options.colors=false] - Color the diagnostics.
+ * @returns {{ errors: number, files: string[], text: string }}
+ *   The number of errors, the files they are in, and the formatted diagnostics (empty when there are none).
+ */
+function typecheck(filePath, options = {}) {
+  const entry = path.resolve(filePath);
+  const compilerOptions = getCheckOptions(entry, options);
+  const host = ts.createCompilerHost(compilerOptions);
+  const virtualFiles = new Map(); // absolute path => source
+  if (options.source !== undefined) virtualFiles.set(entry, options.source);
+  const globals = options.reactGlobals !== false ? untypedReactGlobals(entry, compilerOptions, host) : "";
+  if (globals) virtualFiles.set(GLOBALS_FILE, globals);
+  if (virtualFiles.size) {
+    const { fileExists, readFile, getSourceFile } = host;
+    host.fileExists = (file) => virtualFiles.has(path.resolve(file)) || fileExists.call(host, file);
+    host.readFile = (file) => virtualFiles.get(path.resolve(file)) ?? readFile.call(host, file);
+    host.getSourceFile = (file, languageVersion, ...rest) =>
+      virtualFiles.has(path.resolve(file))
+        ? ts.createSourceFile(file, virtualFiles.get(path.resolve(file)), languageVersion, true)
+        : getSourceFile.call(host, file, languageVersion, ...rest);
+  }
+
+  const rootNames = globals ? [entry, GLOBALS_FILE] : [entry];
+  const program = ts.createProgram({ rootNames, options: compilerOptions, host });
+  const diagnostics = ts.sortAndDeduplicateDiagnostics(ts.getPreEmitDiagnostics(program));
+  const errors = diagnostics.filter((diagnostic) => diagnostic.category === ts.DiagnosticCategory.Error);
+  const files = [...new Set(errors.filter((error) => error.file).map((error) => error.file.fileName))];
+  if (!diagnostics.length) return { errors: 0, files, text: "" };
+
+  const formatHost = {
+    getCurrentDirectory: () => process.cwd(),
+    getCanonicalFileName: (fileName) => fileName,
+    getNewLine: () => "\n",
+  };
+  const text = ts.formatDiagnosticsWithColorAndContext(diagnostics, formatHost);
+  return { errors: errors.length, files, text: options.colors ? text : util.stripVTControlCharacters(text) };
+}
+
+/**
+ * Start `typecheck` in a worker thread. The worker does not keep the process alive.
+ * @param {string} filePath - The entry file.
+ * @param {object} [options] - Same options as `typecheck`.
+ * @returns {{ wait: () => ReturnType<typeof typecheck> }} - `wait()` blocks until the check is done,
+ *   and throws when it failed.
+ */
+function startTypecheck(filePath, options = {}) {
+  const { port1, port2 } = new MessageChannel();
+  // The worker sets it to 1 once it has posted its result
+  const done = new Int32Array(new SharedArrayBuffer(4));
+  const worker = new Worker(WORKER_FILE, {
+    workerData: { filePath, options, port: port2, done },
+    transferList: [port2],
+  });
+  worker.unref();
+  let result = null;
+  return {
+    wait() {
+      if (!result) {
+        Atomics.wait(done, 0, 0);
+        result = receiveMessageOnPort(port1).message;
+      }
+      if (result.error) {
+        throw Object.assign(new Error(result.error.message), { stack: result.error.stack });
+      }
+      return result;
+    },
+  };
+}
+
+module.exports = {
+  typecheck,
+  startTypecheck,
+};
@@ -0,0 +1,23 @@
+/**
+ * Worker thread of `startTypecheck` (see lib/typecheck.js): type-checks one entry.
+ *
+ * `workerData` is `{ filePath, options, port, done }`. The result of `typecheck`, or `{ error }`,
+ * is posted on `port`, then `done[0]` is set to 1, so the main thread can wait for it even
+ * while its event loop is blocked.
+ *
+ * @author pipi
+ */
+const { workerData } = require("worker_threads");
+const { typecheck } = require("./typecheck");
+
+const { filePath, options, port, done } = workerData;
+let result;
+try {
+  result = typecheck(filePath, options);
+} catch (error) {
+  result = { error: { message: String((error && error.message) || error), stack: error && error.stack } };
+}
+port.postMessage(result);
+port.close();
+Atomics.store(done, 0, 1);
+Atomics.notify(done, 0);
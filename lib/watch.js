@@ -0,0 +1,176 @@
+/**
+ * Watch an entry file and its whole dependency graph, then recompile and
+ * re-execute it whenever one of those files changes.
+ *
+ * - Rapid saves are debounced into a single rebuild.
+ * - A build or execute error is reported through `onError` and the watcher keeps running,
+ *   and so are the errors the script throws later (in callbacks, or in promises nobody handles).
+ * - The timers, servers and sockets of a run are closed before the next run starts.
+ * - Files inside node_modules are not watched.
+ *
+ * @param {string} filePath - The path to the entry file.
+ * @param {object} [options]
+ * @param {string} [options.compiler='es'] - One of es, swc, rollup, rolldown.
+ * @param {string} [options.jsx] - JSX runtime: classic or automatic.
+ * @param {string} [options.jsxImportSource] - Import source for the automatic runtime.
+ * @param {string|string[]} [options.externals] - Packages to keep external: patterns, node_modules or none.
+ * @param {boolean} [options.esm] - Run as an ES module. Defaults to true when the entry uses top-level await.
+ * @param {boolean} [options.warnCycles] - Print every circular import with its import chain (swc only).
+ * @param {string} [options.assets='inline'] - Import images as data URIs (inline) or file paths (file).
+ * @param {boolean} [options.cache=true] - Reuse and store compiled bundles in the on-disk cache.
+ * @param {string} [options.cacheDir] - Cache directory. Defaults to node_modules/.cache/dctc of the project.
+ * @param {boolean} [options.reactGlobals=true] - Inject `React` and `ReactDOM` as globals.
+ * @param {string[]} [options.args] - Arguments exposed to the script as `process.argv.slice(2)`.
+ * @param {number} [options.delay=100] - Debounce delay in milliseconds.
+ * @param {(result: { exports: object, styles: Array<{ file: string, css: string }>, files: string[] }) => void} [options.onRun] - Called after
+ *   every successful run with the imported styles and the watched files.
+ * @param {(error: Error) => void} [options.onError] - Called when compiling or executing fails, or the
+ *   script throws later.
+ * @param {(files: string[]) => void} [options.onChange] - Called with the changed files before each rebuild.
+ * @returns {{ close: () => void }} - Call `close` to stop watching.
+ * @author pipi
+ */
+const fs = require('fs'); // Import the file system module
+const path = require('path'); // Import the path module
+const { compileBundle } = require('./compile');
+const execute = require('./execute');
+const { onUncaughtErrors, trackHandles } = require('./completion');
+
+module.exports = function watch(filePath, options = {}) {
+  const absoluteFilePath = path.resolve(filePath);
+  const argv = options.args ? [process.argv[0], absoluteFilePath, ...options.args] : undefined;
+  const delay = options.delay === undefined ? 100 : options.delay;
+  const onRun = options.onRun || (() => {});
+  const onError = options.onError || (() => {});
+  const onChange = options.onChange || (() => {});
+
+  const watchers = new Map(); // file -> fs.FSWatcher
+  const changed = new Set();
+  // The dependency graph of the last successful build, and the files changed since then
+  let graph = new Set([absoluteFilePath]);
+  const edited = new Set();
+  let timer = null;
+  let building = false;
+  let pending = false;
+  let closed = false;
+  const runs = trackHandles();
+  let current = null; // the last run, see `trackHandles`
+  let stopErrors = () => {};
+
+  // The previous run must not keep ports, timers or error handlers of its own
+  const teardown = () => {
+    stopErrors();
+    stopErrors = () => {};
+    if (current) current.close();
+    current = null;
+  };
+
+  /**
+   * Watch exactly `files` (plus the entry), closing watchers that are no longer needed.
+   * @param {Set<string>} files - Absolute paths of the current dependency graph.
+   */
+  const syncWatchers = (files) => {
+    files.add(absoluteFilePath);
+    for (const [file, watcher] of watchers) {
+      if (!files.has(file)) {
+        watcher.close();
+        watchers.delete(file);
+      }
+    }
+    for (const file of files) {
+      if (watchers.has(file) || file.split(path.sep).includes('node_modules')) continue;
+      try {
+        const watcher = fs.watch(file, (eventType) => {
+          // Editors often save by replacing the file, which ends this watcher.
+          // Drop it so the next sync watches the new file.
+          if (eventType === 'rename') {
+            watcher.close();
+            watchers.delete(file);
+          }
+          schedule(file);
+        });
+        watchers.set(file, watcher);
+      } catch {
+        // The file may be gone for a moment while it is being saved; the next sync retries.
+      }
+    }
+  };
+
+  const rebuild = async () => {
+    if (building) {
+      pending = true;
+      return;
+    }
+    building = true;
+    const files = new Set();
+    let result = null;
+    let failure = null;
+    try {
+      const { code, esm } = await compileBundle(absoluteFilePath, {
+        compiler: options.compiler,
+        jsx: options.jsx,
+        jsxImportSource: options.jsxImportSource,
+        externals: options.externals,
+        esm: options.esm,
+        warnCycles: options.warnCycles,
+        assets: options.assets,
+        cache: options.cache,
+        cacheDir: options.cacheDir,
+        files,
+      });
+      if (!closed) {
+        teardown();
+        stopErrors = onUncaughtErrors(code, absoluteFilePath, (error) => onError(error));
+        const styles = [];
+        current = runs.start();
+        const exports = await current.run(() => execute(code, absoluteFilePath, { argv, reactGlobals: options.reactGlobals, styles, esm }));
+        result = { exports, styles };
+      }
+    } catch (error) {
+      // Keep watching the last working graph and the files changed since, even the ones whose
+      // watcher a rename ended, so fixing the error triggers a rebuild.
+      for (const file of [...graph, ...edited]) files.add(file);
+      failure = error;
+    } finally {
+      building = false;
+    }
+    if (closed) return;
+    syncWatchers(files);
+    if (failure) {
+      onError(failure);
+    } else {
+      graph = files;
+      edited.clear();
+      onRun({ ...result, files: Array.from(watchers.keys()) });
+    }
+    if (pending) {
+      pending = false;
+      await rebuild();
+    }
+  };
+
+  const schedule = (file) => {
+    if (closed) return;
+    changed.add(file);
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      onChange(Array.from(changed));
+      for (const file of changed) edited.add(file);
+      changed.clear();
+      rebuild();
+    }, delay);
+  };
+
+  rebuild();
+
+  return {
+    close() {
+      closed = true;
+      clearTimeout(timer);
+      teardown();
+      runs.disable();
+      for (const watcher of watchers.values()) watcher.close();
+      watchers.clear();
+    },
+  };
+};
@@ -0,0 +1,2 @@
+// Prints the argv the script sees, so test.ts can check what dctc forwards after "--".
+console.log(JSON.stringify({ file: process.argv[1], args: process.argv.slice(2) }));
@@ -0,0 +1,11 @@
+import './base.css';
+import styles from './Button.module.css';
+import logo from './logo.svg';
+import pixel from './pixel.png';
+
+export default {
+  button: styles.primary,
+  classes: styles,
+  logo,
+  pixel,
+};
@@ -0,0 +1,8 @@
+import type { ReactNode } from 'react';
+
+export const Layout = ({ title, children }: { title: string; children: ReactNode }) => (
+  <main>
+    <h1>{title}</h1>
+    {children}
+  </main>
+);
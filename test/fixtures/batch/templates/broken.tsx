@@ -0,0 +1,4 @@
+export default ({ name }: { name?: string }) => {
+  if (!name) throw new Error('name is required');
+  return <p>{name}</p>;
+};
@@ -0,0 +1,7 @@
+import { Layout } from '../shared/Layout';
+
+export default ({ week = 0 }: { week?: number }) => (
+  <Layout title="Digest">
+    <p>Week {week}</p>
+  </Layout>
+);
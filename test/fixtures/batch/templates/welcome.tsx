@@ -0,0 +1,7 @@
+import { Layout } from '../shared/Layout';
+
+export default ({ name = 'friend' }: { name?: string }) => (
+  <Layout title="Welcome">
+    <p>Hello {name}</p>
+  </Layout>
+);
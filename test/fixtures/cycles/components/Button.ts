@@ -0,0 +1,6 @@
+import { Icon, iconCount } from './index';
+
+export const Button = (label: string) => `[${Icon('btn')} ${label}]`;
+// Icon is not defined yet when this runs: it comes later in the cycle
+export const iconAtLoad = typeof Icon;
+export const countAtLoad = () => iconCount;
@@ -0,0 +1,8 @@
+import { Button } from './index';
+
+export let iconCount = 0;
+export const Icon = (name: string) => {
+  iconCount++;
+  return `<${name}>`;
+};
+export const buttonAtLoad = typeof Button;
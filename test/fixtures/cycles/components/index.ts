@@ -0,0 +1,3 @@
+// Barrel file; Button and Icon import each other through it
+export * from './Button';
+export * from './Icon';
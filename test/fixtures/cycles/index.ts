@@ -0,0 +1,15 @@
+import * as components from './components';
+import { iconCount } from './components/Icon';
+
+const button = components.Button('ok');
+
+export default {
+  button,
+  iconAtLoad: components.iconAtLoad,
+  buttonAtLoad: components.buttonAtLoad,
+  // `export let` is a live binding
+  iconCount,
+  liveCount: components.countAtLoad(),
+  keys: Object.keys(components).sort(),
+  self: typeof this,
+};
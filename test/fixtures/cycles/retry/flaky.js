@@ -0,0 +1,2 @@
+if (!globalThis.__attempt) throw new Error('first');
+exports.ok = true;
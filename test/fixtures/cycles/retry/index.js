@@ -0,0 +1,4 @@
+let n = 0;
+try { require('./flaky'); } catch (e) { n++; }
+globalThis.__attempt = 1;
+module.exports = { again: require('./flaky').ok, n, self: this === module.exports };
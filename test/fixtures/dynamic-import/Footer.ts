@@ -0,0 +1 @@
+export const footer = 'footer';
@@ -0,0 +1,12 @@
+import { loaded } from './loaded';
+
+// Locales are bundled, but only evaluated when they are imported
+const loadedAtStart = [...loaded];
+const load = (lang: string) => import(`./locales/${lang}`).then((mod) => mod.default.hello);
+
+export default async function render() {
+  const { footer } = await import('./Footer');
+  const greetings = [await load('en'), await load('fr'), await import('./locales/' + 'de' + '.json').then((mod) => mod.default.hello)];
+  const legacy = require('./locales/' + 'en').default.hello;
+  return { loadedAtStart, footer, greetings, legacy, loaded };
+}
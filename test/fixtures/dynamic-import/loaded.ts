@@ -0,0 +1,2 @@
+// Modules record here when they are evaluated
+export const loaded: string[] = [];
@@ -0,0 +1,4 @@
+import { loaded } from '../loaded';
+
+loaded.push('en');
+export default { hello: 'Hello' };
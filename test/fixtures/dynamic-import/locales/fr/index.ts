@@ -0,0 +1,4 @@
+import { loaded } from '../../loaded';
+
+loaded.push('fr');
+export default { hello: 'Bonjour' };
@@ -0,0 +1,3 @@
+// No import/export: a script, whose `this` is `module.exports`
+exports.self = this === module.exports;
+exports.load = (lang) => import('./locales/' + lang).then((mod) => mod.default.hello);
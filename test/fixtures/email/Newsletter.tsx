@@ -0,0 +1,21 @@
+import styles from './Newsletter.module.css';
+
+const Newsletter = ({ name, posts }: { name: string; posts: Array<{ title: string; url: string }> }) => (
+  <div className={styles.body}>
+    <div style={{ display: 'none' }}>This week on the blog</div>
+    <p style={{ color: 'red' }}>Hi {name} &amp; friends,</p>
+    <ul>
+      {posts.map((post) => (
+        <li key={post.url}>
+          <a href={post.url}>{post.title}</a>
+        </li>
+      ))}
+    </ul>
+    <a className={styles.button} href="/unsubscribe">
+      Unsubscribe
+    </a>
+    <script dangerouslySetInnerHTML={{ __html: 'track()' }} />
+  </div>
+);
+
+export default Newsletter;
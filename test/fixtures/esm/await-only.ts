@@ -0,0 +1,3 @@
+// Top-level await, without any import or export
+const value = await Promise.resolve(42);
+console.log(JSON.stringify({ value }));
@@ -0,0 +1,2 @@
+import "./await-only";
+console.log("after");
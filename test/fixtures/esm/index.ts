@@ -0,0 +1,13 @@
+import { shout } from 'esm-only-pkg';
+import { later } from './later';
+
+// Top-level await makes dctc run this file as an ES module
+const greeting = await Promise.resolve(shout('hello'));
+
+console.log(JSON.stringify({
+  greeting,
+  later,
+  url: import.meta.url,
+  dirname: import.meta.dirname,
+  filename: import.meta.filename,
+}));
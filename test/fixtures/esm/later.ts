@@ -0,0 +1 @@
+export const later = await new Promise<string>((resolve) => setTimeout(() => resolve('later'), 10));
@@ -0,0 +1,6 @@
+import chalk from 'chalk';
+import { version } from 'react';
+
+// Whether the packages work, wherever they were loaded from
+export const colored = typeof chalk.red === 'function';
+export const reactVersion = typeof version;
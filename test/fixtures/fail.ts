@@ -0,0 +1,4 @@
+export function fail(reason: string): never {
+  const message: string = `template failed: ${reason}`;
+  throw new Error(message);
+}
@@ -0,0 +1,11 @@
+// Rendered with `--jsx-import-source tiny-jsx --no-react-globals`: no React involved at all.
+const List = ({ items }: { items: string[] }) => (
+  <ul class="list">
+    {items.map((item) => <li>{item}</li>)}
+  </ul>
+);
+
+console.log(JSON.stringify({
+  html: <><List items={['a', 'b']} /></>,
+  hasReact: typeof React !== 'undefined',
+}));
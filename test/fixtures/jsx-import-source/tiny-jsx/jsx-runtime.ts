@@ -0,0 +1,16 @@
+// A minimal non-React JSX runtime that renders straight to an HTML string.
+export const Fragment = (props: { children?: unknown }) => render(props.children);
+
+function render(children: unknown): string {
+  if (children == null || children === false) return '';
+  return Array.isArray(children) ? children.map(render).join('') : String(children);
+}
+
+export function jsx(type: string | Function, props: Record<string, unknown>): string {
+  if (typeof type === 'function') return type(props);
+  const { children, ...attrs } = props;
+  const attrText = Object.entries(attrs).map(([name, value]) => ` ${name}="${value}"`).join('');
+  return `<${type}${attrText}>${render(children)}</${type}>`;
+}
+
+export const jsxs = jsx;
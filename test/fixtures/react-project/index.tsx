@@ -0,0 +1,11 @@
+import { version } from 'react';
+
+// Classic JSX runtime without importing React: uses the injected global
+const element = <b>hi</b>;
+
+export default {
+  imported: version,
+  global: React.version,
+  dom: ReactDOM.version,
+  element,
+};
@@ -0,0 +1,18 @@
+import styles from './Email.module.css';
+
+const Email = ({ name, items }: { name: string; items: string[] }) => (
+  <table className={styles.card}>
+    <tbody>
+      <tr>
+        <td>Hello {name}</td>
+      </tr>
+      {items.map((item) => (
+        <tr key={item}>
+          <td>{item}</td>
+        </tr>
+      ))}
+    </tbody>
+  </table>
+);
+
+export default Email;
@@ -0,0 +1,16 @@
+// Standard decorators: the project does not enable experimentalDecorators
+const calls: string[] = [];
+
+function logged<T extends (...args: any[]) => any>(method: T, context: ClassMethodDecoratorContext) {
+  calls.push(`${context.kind} ${String(context.name)}`);
+  return method;
+}
+
+class Greeter {
+  @logged
+  hello() {
+    return 'Hello';
+  }
+}
+
+console.log(JSON.stringify({ calls, hello: new Greeter().hello() }));
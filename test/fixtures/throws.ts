@@ -0,0 +1,4 @@
+// Throws from an imported module, so test.ts can check the stack points at fail.ts:3.
+import { fail } from './fail';
+
+fail('on purpose');
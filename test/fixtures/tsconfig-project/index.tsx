@@ -0,0 +1,10 @@
+// Uses a `paths` alias, the automatic JSX runtime and legacy decorators from tsconfig.json.
+import Greeting from '@/Greeting';
+import { tag } from '@/decorators';
+
+@tag('greeting')
+class Tagged {}
+
+export const tagName: string = (Tagged as any).tag;
+
+export default Greeting;
@@ -0,0 +1,3 @@
+const Greeting = ({ name }: { name: string }) => <p>Hello {name}</p>;
+
+export default Greeting;
@@ -0,0 +1,5 @@
+export function tag(name: string) {
+  return (target: any) => {
+    target.tag = name;
+  };
+}
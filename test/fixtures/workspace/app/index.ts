@@ -0,0 +1,12 @@
+import { Button } from '@acme/ui';
+import { color } from '@acme/tokens';
+import { kind } from 'dual';
+import config from '#config';
+import legacy from './legacy';
+
+export default {
+  button: Button(config.title),
+  color,
+  kind,
+  legacy,
+};
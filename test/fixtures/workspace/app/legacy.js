@@ -0,0 +1,5 @@
+// A CommonJS file gets the `require` entries of the same packages
+module.exports = {
+  color: require('@acme/tokens').color,
+  kind: require('dual').kind,
+};
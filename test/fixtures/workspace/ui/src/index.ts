@@ -0,0 +1,6 @@
+import { shade } from 'ui-dep';
+import { label } from '#internal/label';
+
+export function Button(text: string): string {
+  return `<button class="${shade}">${label(text)}</button>`;
+}
@@ -0,0 +1 @@
+export const label = (text: string): string => `[${text}]`;
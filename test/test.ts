@@ -6,7 +6,8 @@
 import { execSync } from 'child_process';
 import * as path from 'path';
 import * as fs from 'fs';
-import { fileURLToPath } from 'url';
+import * as os from 'os';
+import { fileURLToPath, pathToFileURL } from 'url';
 import chalk from 'chalk';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -79,6 +80,1552 @@ function testCompiler(compiler: string): { success: boolean; htmlPath?: string;
   }
 }
 
+/**
+ * Run a small script against the programmatic API (`require('dctc')`) in a child process
+ * and return whatever it prints to stdout.
+ */
+function runApiScript(script: string): string {
+  return execSync(`node -`, {
+    cwd: projectRoot,
+    input: script,
+    stdio: ['pipe', 'pipe', 'pipe'],
+    timeout: 30000,
+    encoding: 'utf-8',
+  });
+}
+
+function testApi(compiler: string): { success: boolean; error?: string } {
+  try {
+    const output = runApiScript(`
+      const dctc = require(${JSON.stringify(projectRoot)});
+      (async () => {
+        const file = ${JSON.stringify(path.join(testDir, 'src', 'index.tsx'))};
+        const code = await dctc.compile(file, { compiler: ${JSON.stringify(compiler)} });
+        const exports = await dctc.run(file, { compiler: ${JSON.stringify(compiler)} });
+        const again = await dctc.run(file, { compiler: ${JSON.stringify(compiler)} });
+        const React = require('react');
+        const { renderToString } = require('react-dom/server');
+        const html = renderToString(React.createElement(exports.default, { fontColor: 'pink' }));
+        process.stdout.write(JSON.stringify({
+          code: typeof code,
+          default: typeof exports.default,
+          isolated: exports !== again && exports !== dctc.execute,
+          html,
+        }));
+        // Some bundlers keep native handles alive for a while after a build
+        process.exit(0);
+      })().catch((e) => { console.error(e); process.exit(1); });
+    `);
+    const result = JSON.parse(output.trim().split('\n').pop() || '{}');
+    if (result.code !== 'string') {
+      return { success: false, error: `compile() returned ${result.code}` };
+    }
+    if (result.default !== 'function') {
+      return { success: false, error: `run() exports.default is ${result.default}` };
+    }
+    if (!result.isolated) {
+      return { success: false, error: 'run() did not return a fresh exports object' };
+    }
+    if (!String(result.html).includes('color:pink')) {
+      return { success: false, error: `unexpected rendered HTML: ${result.html}` };
+    }
+    return { success: true };
+  } catch (error: any) {
+    const errorMessage = error.stderr?.toString() || error.stdout?.toString() || error.message || String(error);
+    return { success: false, error: errorMessage.substring(0, 300) };
+  }
+}
+
+/**
+ * Run dctc on a file with extra CLI arguments and return its stdout.
+ */
+function runDctc(args: string[]): string {
+  return execSync(`node "${dctcPath}" ${args.map((a) => JSON.stringify(a)).join(' ')}`, {
+    cwd: testDir,
+    stdio: ['ignore', 'pipe', 'pipe'],
+    timeout: 30000,
+    encoding: 'utf-8',
+  });
+}
+
+/**
+ * Feature tests beyond the README example. Each one throws on failure.
+ */
+const featureTests: Array<{ name: string; run: () => void }> = [
+  {
+    name: 'forward script arguments after --',
+    run: () => {
+      const output = runDctc(['fixtures/argv.ts', '--', '--lang', 'fr', '--out', 'dist/']);
+      const result = JSON.parse(output.trim().split('\n').pop() || '{}');
+      if (result.file !== path.join(testDir, 'fixtures', 'argv.ts')) {
+        throw new Error(`unexpected process.argv[1]: ${result.file}`);
+      }
+      if (JSON.stringify(result.args) !== JSON.stringify(['--lang', 'fr', '--out', 'dist/'])) {
+        throw new Error(`unexpected script args: ${JSON.stringify(result.args)}`);
+      }
+    },
+  },
+  {
+    name: 'map runtime errors back to the original source',
+    run: () => {
+      for (const compiler of compilers) {
+        let stderr = '';
+        try {
+          runDctc(['--compiler', compiler, 'fixtures/throws.ts']);
+        } catch (error: any) {
+          stderr = error.stderr?.toString() || '';
+        }
+        const expected = `${path.join(testDir, 'fixtures', 'fail.ts')}:3:`;
+        if (!stderr.includes(expected)) {
+          throw new Error(`${compiler}: expected a frame at ${expected}, got: ${stderr}`);
+        }
+      }
+    },
+  },
+  {
+    name: 'honor tsconfig.json paths, jsx and decorators',
+    run: () => {
+      const output = runApiScript(`
+        const dctc = require(${JSON.stringify(projectRoot)});
+        const React = require('react');
+        const { renderToString } = require('react-dom/server');
+        (async () => {
+          const file = ${JSON.stringify(path.join(testDir, 'fixtures', 'tsconfig-project', 'index.tsx'))};
+          const results = {};
+          for (const compiler of ${JSON.stringify(compilers)}) {
+            const code = await dctc.compile(file, { compiler });
+            const exports = await dctc.run(file, { compiler });
+            results[compiler] = {
+              automatic: /jsx-?runtime/i.test(code),
+              tagName: exports.tagName,
+              html: renderToString(React.createElement(exports.default, { name: 'dctc' })),
+            };
+          }
+          process.stdout.write(JSON.stringify(results));
+          process.exit(0);
+        })().catch((e) => { console.error(e); process.exit(1); });
+      `);
+      const results = JSON.parse(output.trim().split('\n').pop() || '{}');
+      for (const compiler of compilers) {
+        const result = results[compiler] || {};
+        if (!result.automatic) throw new Error(`${compiler}: did not use the automatic JSX runtime`);
+        if (result.tagName !== 'greeting') throw new Error(`${compiler}: decorator not applied`);
+        if (result.html !== '<p>Hello <!-- -->dctc</p>') throw new Error(`${compiler}: unexpected HTML ${result.html}`);
+      }
+    },
+  },
+  {
+    name: 'standard decorators without experimentalDecorators',
+    run: () => {
+      for (const compiler of compilers) {
+        const output = runDctc(['--compiler', compiler, 'fixtures/tc39-decorators/index.ts']);
+        const result = output.trim().split('\n').pop();
+        if (result !== JSON.stringify({ calls: ['method hello'], hello: 'Hello' })) {
+          throw new Error(`${compiler}: unexpected output ${output}`);
+        }
+      }
+    },
+  },
+  {
+    name: 'non-React JSX via --jsx-import-source without React globals',
+    run: () => {
+      for (const compiler of compilers) {
+        const output = runDctc([
+          '--compiler', compiler,
+          '--jsx-import-source', 'tiny-jsx',
+          '--no-react-globals',
+          'fixtures/jsx-import-source/index.tsx',
+        ]);
+        const result = JSON.parse(output.trim().split('\n').pop() || '{}');
+        if (result.html !== '<ul class="list"><li>a</li><li>b</li></ul>') {
+          throw new Error(`${compiler}: unexpected HTML ${result.html}`);
+        }
+        if (result.hasReact) {
+          throw new Error(`${compiler}: React was injected despite --no-react-globals`);
+        }
+      }
+    },
+  },
+  {
+    name: 'apply the same externals policy with every compiler',
+    run: () => {
+      const output = runApiScript(`
+        const path = require('path');
+        const dctc = require(${JSON.stringify(projectRoot)});
+        (async () => {
+          const file = ${JSON.stringify(path.join(testDir, 'fixtures', 'externals.ts'))};
+          const bundled = (files, name) => files.some((f) => f.split(path.sep).join('/').includes('/node_modules/' + name + '/'));
+          const results = {};
+          for (const compiler of ${JSON.stringify(compilers)}) {
+            for (const externals of [undefined, 'node_modules', 'none', ['ch*']]) {
+              const files = new Set();
+              await dctc.compile(file, { compiler, externals, cache: false, files });
+              const exports = await dctc.run(file, { compiler, externals, cache: false });
+              results[compiler + ' ' + JSON.stringify(externals)] = {
+                chalk: bundled([...files], 'chalk'),
+                react: bundled([...files], 'react'),
+                works: exports.colored && exports.reactVersion === 'string',
+              };
+            }
+          }
+          process.stdout.write(JSON.stringify(results));
+          process.exit(0);
+        })().catch((e) => { console.error(e); process.exit(1); });
+      `);
+      const results = JSON.parse(output.trim().split('\n').pop() || '{}');
+      const expected: Record<string, { chalk: boolean; react: boolean }> = {
+        undefined: { chalk: true, react: false },
+        '"node_modules"': { chalk: false, react: false },
+        '"none"': { chalk: true, react: true },
+        '["ch*"]': { chalk: false, react: true },
+      };
+      for (const compiler of compilers) {
+        for (const [externals, bundles] of Object.entries(expected)) {
+          const result = results[`${compiler} ${externals}`] || {};
+          if (!result.works) throw new Error(`${compiler} ${externals}: packages did not load`);
+          if (result.chalk !== bundles.chalk || result.react !== bundles.react) {
+            throw new Error(`${compiler} ${externals}: unexpected bundled packages ${JSON.stringify(result)}`);
+          }
+        }
+      }
+    },
+  },
+  {
+    name: 'run top-level await and ESM-only packages as an ES module',
+    run: () => {
+      const expected = {
+        greeting: 'HELLO!',
+        later: 'later',
+        url: pathToFileURL(path.join(testDir, 'fixtures', 'esm', 'index.ts')).href,
+        dirname: path.join(testDir, 'fixtures', 'esm'),
+        filename: path.join(testDir, 'fixtures', 'esm', 'index.ts'),
+      };
+      for (const compiler of compilers) {
+        // Bundled, and imported at runtime from node_modules
+        for (const externals of ['react,react-dom', 'node_modules']) {
+          const output = runDctc(['--compiler', compiler, '--externals', externals, 'fixtures/esm/index.ts']);
+          const result = output.trim().split('\n').pop();
+          if (result !== JSON.stringify(expected)) {
+            throw new Error(`${compiler} (externals ${externals}): unexpected output ${output}`);
+          }
+        }
+        // Top-level await in a file without import/export, as the entry and as an import
+        const entry = runDctc(['--compiler', compiler, 'fixtures/esm/await-only.ts']).trim();
+        if (entry !== '{"value":42}') throw new Error(`${compiler}: unexpected output of await-only.ts: ${entry}`);
+        const imported = runDctc(['--compiler', compiler, '--esm', 'fixtures/esm/imports-await-only.ts']).trim();
+        if (imported !== '{"value":42}\nafter') throw new Error(`${compiler}: unexpected output of imports-await-only.ts: ${imported}`);
+      }
+    },
+  },
+  {
+    name: 'swc bundles dynamic imports and import patterns lazily',
+    run: () => {
+      const output = runApiScript(`
+        const dctc = require(${JSON.stringify(projectRoot)});
+        (async () => {
+          const file = ${JSON.stringify(path.join(testDir, 'fixtures', 'dynamic-import', 'index.ts'))};
+          const exports = await dctc.run(file, { compiler: 'swc', cache: false });
+          const script = await dctc.run(file.replace('index.ts', 'script.js'), { compiler: 'swc', cache: false });
+          const result = await exports.default();
+          result.script = { self: script.self, hello: await script.load('fr') };
+          process.stdout.write(JSON.stringify(result));
+          process.exit(0);
+        })().catch((e) => { console.error(e); process.exit(1); });
+      `);
+      const expected = {
+        loadedAtStart: [],
+        footer: 'footer',
+        greetings: ['Hello', 'Bonjour', 'Hallo'],
+        legacy: 'Hello',
+        loaded: ['en', 'fr'],
+        script: { self: true, hello: 'Bonjour' },
+      };
+      const result = output.trim().split('\n').pop();
+      if (result !== JSON.stringify(expected)) {
+        throw new Error(`unexpected output ${output}`);
+      }
+    },
+  },
+  {
+    name: 'swc picks up files added where an import pattern looks, with the cache and in watch mode',
+    run: () => {
+      const globDir = path.join(outputDir, 'dynamic-glob');
+      const output = runApiScript(`
+        const fs = require('fs');
+        const path = require('path');
+        const dctc = require(${JSON.stringify(projectRoot)});
+        const dir = ${JSON.stringify(globDir)};
+        const file = path.join(dir, 'index.ts');
+        const reset = () => {
+          fs.rmSync(dir, { recursive: true, force: true });
+          fs.mkdirSync(path.join(dir, 'locales'), { recursive: true });
+          fs.writeFileSync(file, 'export default (lang: string) => import("./locales/" + lang).then((mod) => mod.hello);\\n');
+          fs.writeFileSync(path.join(dir, 'locales', 'en.ts'), 'export const hello = "Hello";\\n');
+        };
+        const addFrench = () => fs.writeFileSync(path.join(dir, 'locales', 'fr.ts'), 'export const hello = "Bonjour";\\n');
+        (async () => {
+          reset();
+          const options = { compiler: 'swc', cacheDir: path.join(dir, '.cache') };
+          const cached = [await (await dctc.run(file, options)).default('en')];
+          addFrench();
+          cached.push(await (await dctc.run(file, options)).default('fr'));
+
+          reset();
+          const watched = [];
+          const watcher = dctc.watch(file, {
+            compiler: 'swc',
+            cache: false,
+            delay: 50,
+            onRun: async ({ exports }) => {
+              watched.push(await exports.default(watched.length ? 'fr' : 'en'));
+              if (watched.length === 1) return addFrench();
+              watcher.close();
+              process.stdout.write(JSON.stringify({ cached, watched }));
+              process.exit(0);
+            },
+            onError: (e) => { console.error(e); process.exit(1); },
+          });
+        })().catch((e) => { console.error(e); process.exit(1); });
+      `);
+      const result = output.trim().split('\n').pop();
+      if (result !== JSON.stringify({ cached: ['Hello', 'Bonjour'], watched: ['Hello', 'Bonjour'] })) {
+        throw new Error(`unexpected output ${output}`);
+      }
+    },
+  },
+  {
+    name: 'swc follows Node semantics for circular imports',
+    run: () => {
+      const output = runApiScript(`
+        const dctc = require(${JSON.stringify(projectRoot)});
+        const warnings = [];
+        console.warn = (message) => warnings.push(String(message));
+        (async () => {
+          const cycles = await dctc.run(${JSON.stringify(path.join(testDir, 'fixtures', 'cycles', 'index.ts'))}, {
+            compiler: 'swc',
+            cache: false,
+            warnCycles: true,
+          });
+          const retry = await dctc.run(${JSON.stringify(path.join(testDir, 'fixtures', 'cycles', 'retry', 'index.js'))}, {
+            compiler: 'swc',
+            cache: false,
+          });
+          process.stdout.write(JSON.stringify({ cycles: cycles.default, retry, warnings }));
+          process.exit(0);
+        })().catch((e) => { console.error(e); process.exit(1); });
+      `);
+      const result = JSON.parse(output.trim().split('\n').pop() || '{}');
+      const expectedCycles = {
+        button: '[<btn> ok]',
+        iconAtLoad: 'undefined',
+        buttonAtLoad: 'function',
+        iconCount: 1,
+        liveCount: 1,
+        keys: ['Button', 'Icon', 'buttonAtLoad', 'countAtLoad', 'iconAtLoad', 'iconCount'],
+        self: 'undefined',
+      };
+      if (JSON.stringify(result.cycles) !== JSON.stringify(expectedCycles)) {
+        throw new Error(`unexpected cycle exports ${JSON.stringify(result.cycles)}`);
+      }
+      // A module that throws is not cached, so requiring it again runs it again
+      if (JSON.stringify(result.retry) !== JSON.stringify({ again: true, n: 1, self: true })) {
+        throw new Error(`unexpected retry exports ${JSON.stringify(result.retry)}`);
+      }
+      const chain = ['index.ts', 'Button.ts', 'index.ts']
+        .map((file) => path.join('test', 'fixtures', 'cycles', 'components', file))
+        .join(' -> ');
+      if (result.warnings.length !== 2 || !result.warnings[0].includes(`Circular import: ${chain}`)) {
+        throw new Error(`unexpected cycle warnings ${JSON.stringify(result.warnings)}`);
+      }
+    },
+  },
+  {
+    name: 'swc resolves packages like Node, including workspace TS packages',
+    run: () => {
+      const output = runApiScript(`
+        const dctc = require(${JSON.stringify(projectRoot)});
+        (async () => {
+          const exports = await dctc.run(${JSON.stringify(path.join(testDir, 'fixtures', 'workspace', 'app', 'index.ts'))}, {
+            compiler: 'swc',
+            cache: false,
+          });
+          process.stdout.write(JSON.stringify(exports.default));
+          process.exit(0);
+        })().catch((e) => { console.error(e); process.exit(1); });
+      `);
+      const expected = {
+        button: '<button class="dark">[Hi]</button>',
+        color: 'esm',
+        kind: 'module',
+        legacy: { color: 'cjs', kind: 'main' },
+      };
+      const result = output.trim().split('\n').pop();
+      if (result !== JSON.stringify(expected)) {
+        throw new Error(`unexpected output ${output}`);
+      }
+    },
+  },
+  {
+    name: 'require and the React globals come from the project of the entry file',
+    run: () => {
+      const missingDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dctc-no-react-'));
+      fs.writeFileSync(path.join(missingDir, 'index.tsx'), 'export const element = <i />;\n');
+      try {
+        const output = runApiScript(`
+          const dctc = require(${JSON.stringify(projectRoot)});
+          (async () => {
+            const results = {};
+            for (const compiler of ${JSON.stringify(compilers)}) {
+              const exports = await dctc.run(${JSON.stringify(path.join(testDir, 'fixtures', 'react-project', 'index.tsx'))}, {
+                compiler,
+                cache: false,
+              });
+              results[compiler] = exports.default;
+            }
+            results.missing = await dctc.run(${JSON.stringify(path.join(missingDir, 'index.tsx'))}, { cache: false })
+              .then(() => 'no error', (e) => e.message);
+            process.stdout.write(JSON.stringify(results));
+            process.exit(0);
+          })().catch((e) => { console.error(e); process.exit(1); });
+        `);
+        const results = JSON.parse(output.trim().split('\n').pop() || '{}');
+        const expected = {
+          imported: '19.0.0-fixture',
+          global: '19.0.0-fixture',
+          dom: '19.0.0-fixture',
+          element: { type: 'b', props: null, children: ['hi'] },
+        };
+        for (const compiler of compilers) {
+          if (JSON.stringify(results[compiler]) !== JSON.stringify(expected)) {
+            throw new Error(`${compiler}: unexpected output ${JSON.stringify(results[compiler])}`);
+          }
+        }
+        if (!String(results.missing).includes('"react" is not installed in the project')) {
+          throw new Error(`unexpected error without React: ${results.missing}`);
+        }
+      } finally {
+        fs.rmSync(missingDir, { recursive: true, force: true });
+      }
+    },
+  },
+  {
+    name: 'load CSS, CSS Modules and images with every compiler',
+    run: () => {
+      const output = runApiScript(`
+        const dctc = require(${JSON.stringify(projectRoot)});
+        (async () => {
+          const file = ${JSON.stringify(path.join(testDir, 'fixtures', 'assets', 'index.ts'))};
+          const results = {};
+          for (const compiler of ${JSON.stringify(compilers)}) {
+            const styles = [];
+            const inline = await dctc.run(file, { compiler, cache: false, styles });
+            const files = await dctc.run(file, { compiler, cache: false, assets: 'file' });
+            results[compiler] = {
+              ...inline.default,
+              pixelFile: files.default.pixel,
+              styles: styles.map((style) => ({ file: style.file, css: style.css.replace(/\\s+/g, ' ').trim() })),
+              html: dctc.insertStyles('<html><head></head><body></body></html>', styles),
+            };
+          }
+          process.stdout.write(JSON.stringify(results));
+          process.exit(0);
+        })().catch((e) => { console.error(e); process.exit(1); });
+      `);
+      const results = JSON.parse(output.trim().split('\n').pop() || '{}');
+      const fixtureDir = path.join(testDir, 'fixtures', 'assets');
+      for (const compiler of compilers) {
+        const result = results[compiler] || {};
+        const button = result.button;
+        if (!/^Button_primary__[0-9a-f]{5}$/.test(button) || JSON.stringify(result.classes) !== JSON.stringify({ primary: button })) {
+          throw new Error(`${compiler}: unexpected CSS Module classes ${JSON.stringify(result.classes)}`);
+        }
+        if (!String(result.logo).startsWith('data:image/svg+xml;base64,') || !String(result.pixel).startsWith('data:image/png;base64,')) {
+          throw new Error(`${compiler}: images were not inlined`);
+        }
+        if (result.pixelFile !== path.join(fixtureDir, 'pixel.png')) {
+          throw new Error(`${compiler}: unexpected image path ${result.pixelFile}`);
+        }
+        const expectedStyles = [
+          { file: path.join(fixtureDir, 'base.css'), css: '* { margin: 0; } body { color: #333; }' },
+          {
+            file: path.join(fixtureDir, 'Button.module.css'),
+            css: `.${button} { color: red; } .${button}:hover > .icon { color: blue; }`,
+          },
+        ];
+        if (JSON.stringify(result.styles) !== JSON.stringify(expectedStyles)) {
+          throw new Error(`${compiler}: unexpected styles ${JSON.stringify(result.styles)}`);
+        }
+        if (!/^<html><head><style>\n\* \{[\s\S]*\}\n<\/style><\/head>/.test(result.html)) {
+          throw new Error(`${compiler}: styles were not inserted into <head>: ${result.html}`);
+        }
+      }
+    },
+  },
+  {
+    name: 'render a component file to HTML with the render command',
+    run: () => {
+      const outFile = path.join(outputDir, 'render', 'email.html');
+      for (const compiler of compilers) {
+        fs.rmSync(outFile, { force: true });
+        runDctc([
+          'render', 'fixtures/render/Email.tsx',
+          '--compiler', compiler,
+          '--props', 'fixtures/render/props.json',
+          '--static', '--shell',
+          '--out', outFile,
+        ]);
+        const html = fs.readFileSync(outFile, 'utf-8');
+        const expected =
+          /^<!DOCTYPE html><html><head><meta charset="utf-8"><style>\n\.(Email_card__[0-9a-f]{5}) \{[^}]*\}\n<\/style><\/head><body><table class="\1"><tbody><tr><td>Hello pipi<\/td><\/tr><tr><td>one<\/td><\/tr><tr><td>two<\/td><\/tr><\/tbody><\/table><\/body><\/html>$/;
+        if (!expected.test(html)) {
+          throw new Error(`${compiler}: unexpected HTML ${html}`);
+        }
+      }
+      // Without --out the HTML is printed; renderToString keeps React's text separators
+      const printed = runDctc(['render', 'src/index.tsx', '--props', '{"fontColor":"pink"}']);
+      if (!printed.startsWith('<div style="color:pink">')) {
+        throw new Error(`unexpected printed HTML ${printed}`);
+      }
+    },
+  },
+  {
+    name: 'render an email with inlined styles and a plain-text version',
+    run: () => {
+      const output = runApiScript(`
+        const dctc = require(${JSON.stringify(projectRoot)});
+        (async () => {
+          const results = {};
+          for (const compiler of ${JSON.stringify(compilers)}) {
+            results[compiler] = await dctc.renderEmail(${JSON.stringify(path.join(testDir, 'fixtures', 'email', 'Newsletter.tsx'))}, {
+              compiler,
+              cache: false,
+              props: { name: 'pipi', posts: [{ title: 'One', url: 'https://example.com/1' }] },
+            });
+          }
+          results.large = dctc.toEmail('<p>' + 'x'.repeat(110 * 1024) + '</p>').warnings;
+          process.stdout.write(JSON.stringify(results));
+          process.exit(0);
+        })().catch((e) => { console.error(e); process.exit(1); });
+      `);
+      const results = JSON.parse(output.trim().split('\n').pop() || '{}');
+      for (const compiler of compilers) {
+        const { html, text, warnings } = results[compiler] || {};
+        const body = (html.match(/<body>([\s\S]*)<\/body>/) || [])[1];
+        const expectedBody =
+          /^<div class="(Newsletter_body__[0-9a-f]{5})" style="font-family:Arial, sans-serif;color:#333"><div style="display:none">This week on the blog<\/div><p style="margin:0 0 12px;color:red">Hi pipi &amp; friends,<\/p><ul><li><a href="https:\/\/example.com\/1">One<\/a><\/li><\/ul><a class="(Newsletter_button__[0-9a-f]{5})" href="\/unsubscribe" style="display:inline-block;padding:8px 16px;background:#0a66c2;color:#fff">Unsubscribe<\/a><\/div>$/;
+        const match = expectedBody.exec(body || '');
+        if (!match) throw new Error(`${compiler}: unexpected email body ${body}`);
+        // Rules that cannot be inlined stay in <head>, and keep the classes they use
+        const head = html.slice(0, html.indexOf('<body>'));
+        if (!head.includes(`.${match[2]}:hover`) || !head.includes(`@media (max-width: 600px)`) || head.includes('font-family')) {
+          throw new Error(`${compiler}: unexpected <style> ${head}`);
+        }
+        if (text !== 'Hi pipi & friends,\n\n- One (https://example.com/1)\n\nUnsubscribe (/unsubscribe)\n') {
+          throw new Error(`${compiler}: unexpected text ${JSON.stringify(text)}`);
+        }
+        const expectedWarnings = [
+          'Relative and local URLs do not work in email: /unsubscribe',
+          '<script> never runs in email clients; it was removed',
+        ];
+        if (JSON.stringify(warnings) !== JSON.stringify(expectedWarnings)) {
+          throw new Error(`${compiler}: unexpected warnings ${JSON.stringify(warnings)}`);
+        }
+      }
+      if (!String(results.large).includes('Gmail clips messages larger than 102KB')) {
+        throw new Error(`no warning for a large email: ${results.large}`);
+      }
+      // The command writes the plain-text version next to the HTML
+      const outFile = path.join(outputDir, 'email', 'newsletter.html');
+      fs.rmSync(path.dirname(outFile), { recursive: true, force: true });
+      runDctc(['render', 'fixtures/render/Email.tsx', '--props', 'fixtures/render/props.json', '--email', '--out', outFile]);
+      const html = fs.readFileSync(outFile, 'utf-8');
+      const text = fs.readFileSync(path.join(outputDir, 'email', 'newsletter.txt'), 'utf-8');
+      if (!html.includes('<table style="width:100%">') || text !== 'Hello pipi\none\ntwo\n') {
+        throw new Error(`unexpected email files ${html} ${JSON.stringify(text)}`);
+      }
+    },
+  },
+  {
+    name: 'email inlining follows combinators, structural pseudo-classes and importance, and warns about the rest',
+    run: () => {
+      const output = runApiScript(`
+        const dctc = require(${JSON.stringify(projectRoot)});
+        const css = [
+          'ul > li:first-child { color: red }',
+          'li:LAST-CHILD { color: blue }',
+          'li + li { margin: 1px }',
+          'h1 ~ p { padding: 0 }',
+          'section p { font-weight: bold }',
+          'section > :first-child { border: 0 }',
+          '.strong { color: green !important }',
+          '.weak { color: green }',
+          'p:hover { color: pink }',
+          '.sm\\\\:flex { display: block }',
+          '[data-x="1" i] { color: black }',
+          '[data-x]p { color: white }',
+        ].join('\\n');
+        const html = '<html><head></head><body><ul><li>one</li><li>two</li><li>three</li></ul>' +
+          '<section><style>' + css + '</style><h1>Title</h1><p class="strong" style="color:gray">A</p><p class="weak" style="color:gray">B</p></section></body></html>';
+        process.stdout.write(JSON.stringify(dctc.toEmail(html)));
+        process.exit(0);
+      `);
+      const { html, warnings } = JSON.parse(output.trim().split('\n').pop() || '{}');
+      const body = (html.match(/<body>([\s\S]*)<\/body>/) || [])[1];
+      const expectedBody =
+        '<ul><li style="color:red">one</li><li style="margin:1px">two</li><li style="margin:1px;color:blue">three</li></ul>' +
+        // The <style> was the first child of <section> when the page rendered
+        '<section><h1>Title</h1><p style="padding:0;font-weight:bold;color:green !important">A</p><p style="padding:0;font-weight:bold;color:gray">B</p></section>';
+      if (body !== expectedBody) throw new Error(`unexpected email body ${body}`);
+      const head = html.slice(0, html.indexOf('<body>'));
+      for (const rule of ['p:hover', '.sm\\:flex', '[data-x="1" i]', '[data-x]p']) {
+        if (!head.includes(rule)) throw new Error(`${rule} is not kept in <style>: ${head}`);
+      }
+      const expectedWarnings = ['.sm\\:flex', '[data-x="1" i]', '[data-x]p'].map(
+        (selector) => `The selector "${selector}" could not be inlined; it stays in <style>, which some email clients ignore`
+      );
+      if (JSON.stringify(warnings) !== JSON.stringify(expectedWarnings)) {
+        throw new Error(`unexpected warnings ${JSON.stringify(warnings)}`);
+      }
+    },
+  },
+  {
+    name: 'batch renders globs and manifests in worker threads, and reports failures per entry',
+    run: () => {
+      const outDir = path.join(outputDir, 'batch');
+      fs.rmSync(outDir, { recursive: true, force: true });
+      const read = (file: string) => fs.readFileSync(path.join(outDir, file), 'utf-8');
+
+      const globOutput = runDctc([
+        'batch', 'fixtures/batch/templates/*.tsx',
+        '--props', '{"name":"all"}',
+        '--static', '--email',
+        '--concurrency', '2',
+        '--out-dir', path.join(outDir, 'glob'),
+      ]);
+      if (!globOutput.includes('Rendered 3 of 3')) throw new Error(`unexpected glob summary ${globOutput}`);
+      if (!read('glob/welcome.html').includes('<main><h1>Welcome</h1><p>Hello all</p></main>') || read('glob/welcome.txt') !== 'Welcome\n\nHello all\n') {
+        throw new Error(`unexpected glob output ${read('glob/welcome.html')}`);
+      }
+
+      // The manifest renders prop sets, and one of them fails without stopping the others
+      let manifestOutput = '';
+      try {
+        runDctc(['batch', 'fixtures/batch/manifest.json', '--static', '--compiler', 'swc', '--out-dir', path.join(outDir, 'manifest')]);
+      } catch (error: any) {
+        manifestOutput = `${error.stdout}${error.stderr}`;
+      }
+      if (!manifestOutput.includes('Rendered 4 of 5') || !manifestOutput.includes('fixtures/batch/templates/broken.tsx: 1 of 2 failed')) {
+        throw new Error(`the failing render was not reported: ${manifestOutput}`);
+      }
+      if (!manifestOutput.includes('broken.tsx:2:')) {
+        throw new Error(`the error stack was not mapped to the template: ${manifestOutput}`);
+      }
+      const expected: Record<string, string> = {
+        'manifest/welcome-pipi.html': '<main><h1>Welcome</h1><p>Hello pipi</p></main>',
+        'manifest/templates/digest.1.html': '<main><h1>Digest</h1><p>Week 1</p></main>',
+        'manifest/templates/digest.2.html': '<main><h1>Digest</h1><p>Week 2</p></main>',
+        'manifest/templates/broken.1.html': '<p>ok</p>',
+      };
+      for (const [file, html] of Object.entries(expected)) {
+        if (read(file) !== html) throw new Error(`unexpected ${file}: ${read(file)}`);
+      }
+      if (fs.existsSync(path.join(outDir, 'manifest', 'templates', 'broken.2.html'))) {
+        throw new Error('a failed render wrote a file');
+      }
+
+      // A sandboxed render that blocks its worker past the CPU limit fails, and a new worker renders the rest
+      const spinDir = path.join(outDir, 'spin-templates');
+      fs.mkdirSync(spinDir, { recursive: true });
+      fs.writeFileSync(path.join(spinDir, 'a-spin.tsx'), 'Promise.resolve().then(() => {\n  for (;;) {}\n});\nexport default () => <p>spin</p>;\n');
+      fs.writeFileSync(path.join(spinDir, 'b-ok.tsx'), 'export default () => <p>ok</p>;\n');
+      let spinOutput = '';
+      try {
+        runDctc(['batch', path.join(spinDir, '*.tsx'), '--static', '--sandbox', '--cpu-limit', '500', '--concurrency', '1', '--out-dir', path.join(outDir, 'spin')]);
+      } catch (error: any) {
+        spinOutput = `${error.stdout}${error.stderr}`;
+      }
+      if (!spinOutput.includes('Rendered 1 of 2') || !spinOutput.includes('more than 500 ms')) {
+        throw new Error(`the CPU limit was not enforced on a batch worker: ${spinOutput}`);
+      }
+      if (read('spin/b-ok.html') !== '<p>ok</p>') throw new Error(`the queue did not go on after the CPU limit: ${spinOutput}`);
+    },
+  },
+  {
+    name: 'reuse the compile cache until an input file changes',
+    run: () => {
+      const cacheProject = path.join(outputDir, 'cache');
+      const cacheDir = path.join(cacheProject, '.cache');
+      fs.rmSync(cacheProject, { recursive: true, force: true });
+      fs.mkdirSync(cacheProject, { recursive: true });
+      fs.writeFileSync(path.join(cacheProject, 'dep.ts'), 'export const value = 1;\n');
+      fs.writeFileSync(path.join(cacheProject, 'entry.ts'), 'export { value } from "./dep";\n');
+      const output = runApiScript(`
+        const fs = require('fs');
+        const dctc = require(${JSON.stringify(projectRoot)});
+        (async () => {
+          const file = ${JSON.stringify(path.join(cacheProject, 'entry.ts'))};
+          const dep = ${JSON.stringify(path.join(cacheProject, 'dep.ts'))};
+          const results = {};
+          for (const compiler of ${JSON.stringify(compilers)}) {
+            fs.writeFileSync(dep, 'export const value = 1;\\n');
+            const first = await dctc.compile(file, { compiler, cacheDir: ${JSON.stringify(cacheDir)} });
+            // A cached bundle is returned as-is, so this marker only survives a cache hit
+            const key = fs.readdirSync(${JSON.stringify(path.join(cacheDir, 'bundles'))})
+              .find((name) => JSON.parse(fs.readFileSync(${JSON.stringify(path.join(cacheDir, 'bundles'))} + '/' + name, 'utf8')).code === first);
+            const entryFile = ${JSON.stringify(path.join(cacheDir, 'bundles'))} + '/' + key;
+            const entry = JSON.parse(fs.readFileSync(entryFile, 'utf8'));
+            entry.code += '\\n// cached';
+            fs.writeFileSync(entryFile, JSON.stringify(entry));
+            const hit = await dctc.compile(file, { compiler, cacheDir: ${JSON.stringify(cacheDir)} });
+            const bypass = await dctc.compile(file, { compiler, cache: false, cacheDir: ${JSON.stringify(cacheDir)} });
+            fs.writeFileSync(dep, 'export const value = 2;\\n');
+            const exports = await dctc.run(file, { compiler, cacheDir: ${JSON.stringify(cacheDir)} });
+            results[compiler] = {
+              hit: hit.endsWith('// cached'),
+              bypass: !bypass.endsWith('// cached'),
+              value: exports.value,
+            };
+          }
+          process.stdout.write(JSON.stringify(results));
+          process.exit(0);
+        })().catch((e) => { console.error(e); process.exit(1); });
+      `);
+      const results = JSON.parse(output.trim().split('\n').pop() || '{}');
+      for (const compiler of compilers) {
+        const result = results[compiler] || {};
+        if (!result.hit) throw new Error(`${compiler}: second compile did not use the cache`);
+        if (!result.bypass) throw new Error(`${compiler}: cache: false still used the cache`);
+        if (result.value !== 2) throw new Error(`${compiler}: stale bundle after an import changed (value ${result.value})`);
+      }
+      if (!fs.readdirSync(path.join(cacheDir, 'swc')).length) {
+        throw new Error('swc: modules were not cached');
+      }
+    },
+  },
+  {
+    name: 'miss the compile cache when the bundler is upgraded',
+    run: () => {
+      const cacheProject = path.join(outputDir, 'cache-versions');
+      const cacheDir = path.join(cacheProject, '.cache');
+      fs.rmSync(cacheProject, { recursive: true, force: true });
+      fs.mkdirSync(cacheProject, { recursive: true });
+      fs.writeFileSync(path.join(cacheProject, 'entry.ts'), 'export const value = 1;\n');
+      // Each compile runs in its own process, like after an upgrade; \`version\` fakes the one installed
+      const compileWith = (version: string) => runApiScript(`
+        const fs = require('fs');
+        const path = require('path');
+        const { readFileSync } = fs;
+        fs.readFileSync = function (file, ...rest) {
+          const contents = readFileSync.call(this, file, ...rest);
+          if (String(file).endsWith(path.join('node_modules', 'esbuild', 'package.json'))) {
+            return JSON.stringify({ ...JSON.parse(contents), version: ${JSON.stringify(version)} });
+          }
+          return contents;
+        };
+        const dctc = require(${JSON.stringify(projectRoot)});
+        const bundles = ${JSON.stringify(path.join(cacheDir, 'bundles'))};
+        dctc.compile(${JSON.stringify(path.join(cacheProject, 'entry.ts'))}, { compiler: 'esbuild', cacheDir: ${JSON.stringify(cacheDir)} }).then((code) => {
+          // A cached bundle is returned as-is, so this marker only survives a cache hit
+          for (const name of fs.readdirSync(bundles)) {
+            const entry = JSON.parse(readFileSync(path.join(bundles, name), 'utf8'));
+            if (!entry.code.endsWith('// cached')) entry.code += '\\n// cached';
+            fs.writeFileSync(path.join(bundles, name), JSON.stringify(entry));
+          }
+          process.stdout.write(JSON.stringify({ hit: code.endsWith('// cached') }));
+          process.exit(0);
+        }, (e) => { console.error(e); process.exit(1); });
+      `);
+      const hits = ['1.0.0', '1.0.0', '2.0.0'].map((version) => JSON.parse(compileWith(version).trim().split('\n').pop() || '{}').hit);
+      if (JSON.stringify(hits) !== '[false,true,false]') {
+        throw new Error(`the cache did not follow the version of the bundler: ${JSON.stringify(hits)}`);
+      }
+    },
+  },
+  {
+    name: 'miss the compile cache when a new file changes how an import resolves',
+    run: () => {
+      const cacheProject = path.join(outputDir, 'cache-probes');
+      const cacheDir = path.join(cacheProject, '.cache');
+      const output = runApiScript(`
+        const fs = require('fs');
+        const path = require('path');
+        const dctc = require(${JSON.stringify(projectRoot)});
+        (async () => {
+          const project = ${JSON.stringify(cacheProject)};
+          const results = {};
+          for (const compiler of ${JSON.stringify(compilers)}) {
+            fs.rmSync(project, { recursive: true, force: true });
+            fs.mkdirSync(path.join(project, 'foo'), { recursive: true });
+            fs.writeFileSync(path.join(project, 'foo', 'index.ts'), 'export const from = "foo/index.ts";\\n');
+            fs.writeFileSync(path.join(project, 'entry.ts'), 'export { from } from "./foo";\\n');
+            const options = { compiler, cacheDir: ${JSON.stringify(cacheDir)} };
+            const before = (await dctc.run(path.join(project, 'entry.ts'), options)).from;
+            fs.writeFileSync(path.join(project, 'foo.ts'), 'export const from = "foo.ts";\\n');
+            results[compiler] = [before, (await dctc.run(path.join(project, 'entry.ts'), options)).from];
+          }
+          process.stdout.write(JSON.stringify(results));
+          process.exit(0);
+        })().catch((e) => { console.error(e); process.exit(1); });
+      `);
+      const results = JSON.parse(output.trim().split('\n').pop() || '{}');
+      for (const compiler of compilers) {
+        if (JSON.stringify(results[compiler]) !== '["foo/index.ts","foo.ts"]') {
+          throw new Error(`${compiler}: the cached bundle kept the old resolution: ${JSON.stringify(results[compiler])}`);
+        }
+      }
+    },
+  },
+  {
+    name: 'watch reruns when an import changes',
+    run: () => {
+      const watchDir = path.join(outputDir, 'watch');
+      fs.mkdirSync(watchDir, { recursive: true });
+      fs.writeFileSync(path.join(watchDir, 'dep.ts'), 'export const value = 1;\n');
+      fs.writeFileSync(path.join(watchDir, 'entry.ts'), 'export { value } from "./dep";\n');
+      const output = runApiScript(`
+        const fs = require('fs');
+        const dctc = require(${JSON.stringify(projectRoot)});
+        const values = [];
+        const watcher = dctc.watch(${JSON.stringify(path.join(watchDir, 'entry.ts'))}, {
+          delay: 50,
+          onRun: ({ exports }) => {
+            values.push(exports.value);
+            if (values.length === 1) {
+              fs.writeFileSync(${JSON.stringify(path.join(watchDir, 'dep.ts'))}, 'export const value = 2;\\n');
+            } else {
+              watcher.close();
+              process.stdout.write(JSON.stringify(values));
+            }
+          },
+          onError: (e) => { console.error(e); process.exit(1); },
+        });
+      `);
+      if (output.trim() !== '[1,2]') {
+        throw new Error(`unexpected watch runs: ${output}`);
+      }
+    },
+  },
+  {
+    name: 'watch reruns when a file saved by rename breaks the build and is fixed later',
+    run: () => {
+      const watchDir = path.join(outputDir, 'watch-rename');
+      fs.rmSync(watchDir, { recursive: true, force: true });
+      fs.mkdirSync(watchDir, { recursive: true });
+      const dep = path.join(watchDir, 'dep.ts');
+      fs.writeFileSync(dep, 'export const value = 1;\n');
+      fs.writeFileSync(path.join(watchDir, 'entry.ts'), 'export { value } from "./dep";\n');
+      const output = runApiScript(`
+        const fs = require('fs');
+        const dctc = require(${JSON.stringify(projectRoot)});
+        const values = [];
+        let errors = 0;
+        const done = () => {
+          watcher.close();
+          process.stdout.write(JSON.stringify({ values, errors }));
+          process.exit(0);
+        };
+        setTimeout(done, 5000);
+        const watcher = dctc.watch(${JSON.stringify(path.join(watchDir, 'entry.ts'))}, {
+          delay: 50,
+          cache: false,
+          onRun: ({ exports }) => {
+            values.push(exports.value);
+            if (values.length === 1) {
+              // Save like vim and many IDEs do: write a new file, then rename it over the old one
+              fs.writeFileSync(${JSON.stringify(dep + '.tmp')}, 'export { value } from "./missing";\\n');
+              fs.renameSync(${JSON.stringify(dep + '.tmp')}, ${JSON.stringify(dep)});
+            } else {
+              done();
+            }
+          },
+          onError: () => {
+            if (errors++ === 0) setTimeout(() => fs.writeFileSync(${JSON.stringify(dep)}, 'export const value = 2;\\n'), 300);
+          },
+        });
+      `);
+      const { values, errors } = JSON.parse(output.trim().split('\n').pop() || '{}');
+      if (JSON.stringify(values) !== '[1,2]' || !errors) {
+        throw new Error(`the fixed file did not trigger a rerun: ${output}`);
+      }
+    },
+  },
+  {
+    name: 'watch reports late errors and closes the servers and timers of a run before the next one',
+    run: () => {
+      const watchDir = path.join(outputDir, 'watch-handles');
+      fs.rmSync(watchDir, { recursive: true, force: true });
+      fs.mkdirSync(watchDir, { recursive: true });
+      const port = 20000 + Math.floor(Math.random() * 20000);
+      fs.writeFileSync(path.join(watchDir, 'dep.ts'), 'export const value = 1;\n');
+      fs.writeFileSync(
+        path.join(watchDir, 'entry.ts'),
+        `import http from "http";\nimport { value } from "./dep";\nhttp.createServer().listen(${port});\nsetInterval(() => {}, 1000);\nif (value === 1) setTimeout(() => { throw new Error("late boom"); }, 20);\nexport { value };\n`
+      );
+      const output = runApiScript(`
+        const fs = require('fs');
+        const dctc = require(${JSON.stringify(projectRoot)});
+        const values = [];
+        const errors = [];
+        const watcher = dctc.watch(${JSON.stringify(path.join(watchDir, 'entry.ts'))}, {
+          delay: 50,
+          onRun: ({ exports }) => {
+            values.push(exports.value);
+            if (values.length === 2) {
+              // Let a second server fail to listen, if the first one was still there
+              setTimeout(() => {
+                watcher.close();
+                process.stdout.write(JSON.stringify({ values, errors }));
+              }, 100);
+            }
+          },
+          onError: (error) => {
+            errors.push(String(error.stack).split('\\n').slice(0, 2).join(' '));
+            fs.writeFileSync(${JSON.stringify(path.join(watchDir, 'dep.ts'))}, 'export const value = 2;\\n');
+          },
+        });
+      `);
+      // The process ends by itself only when the watcher left nothing running
+      const { values, errors } = JSON.parse(output.trim().split('\n').pop() || '{}');
+      if (JSON.stringify(values) !== '[1,2]') throw new Error(`unexpected watch runs: ${output}`);
+      if (errors.length !== 1 || !/late boom.*entry\.ts:5/.test(errors[0])) {
+        throw new Error(`unexpected watch errors: ${JSON.stringify(errors)}`);
+      }
+    },
+  },
+  {
+    name: 'preview serves the rendered page and reloads it when an import changes',
+    run: () => {
+      const previewDir = path.join(outputDir, 'preview');
+      fs.rmSync(previewDir, { recursive: true, force: true });
+      fs.mkdirSync(previewDir, { recursive: true });
+      fs.writeFileSync(path.join(previewDir, 'greeting.ts'), 'export const greeting = "Hello";\n');
+      fs.writeFileSync(
+        path.join(previewDir, 'Page.tsx'),
+        'import { greeting } from "./greeting";\nexport default ({ name }: { name: string }) => <p>{greeting} {name}</p>;\n'
+      );
+      const output = runApiScript(`
+        const fs = require('fs');
+        const http = require('http');
+        const dctc = require(${JSON.stringify(projectRoot)});
+        (async () => {
+          const server = await dctc.preview(${JSON.stringify(path.join(previewDir, 'Page.tsx'))}, {
+            port: 0,
+            hydrate: true,
+            props: { name: 'props' },
+            cache: false,
+          });
+          const page = await (await fetch(server.url + '?name=%22pipi%22')).text();
+          const client = await (await fetch(server.url + '__dctc/client.js')).text();
+          // Wait for the first server-sent event after changing an import
+          const reloaded = await new Promise((resolve, reject) => {
+            http.get(server.url + '__dctc/events', (response) => {
+              response.setEncoding('utf8');
+              response.once('data', () => {
+                fs.writeFileSync(${JSON.stringify(path.join(previewDir, 'greeting.ts'))}, 'export const greeting = "Hi";\\n');
+                response.on('data', (chunk) => {
+                  if (chunk.includes('event: reload')) resolve(true);
+                });
+              });
+            }).on('error', reject);
+          });
+          const updated = await (await fetch(server.url)).text();
+          await server.close();
+          process.stdout.write(JSON.stringify({ page, hydrates: client.includes('hydrateRoot'), reloaded, updated }));
+          process.exit(0);
+        })().catch((e) => { console.error(e); process.exit(1); });
+      `);
+      const result = JSON.parse(output.trim().split('\n').pop() || '{}');
+      if (!result.page.includes('<div id="__dctc_root"><p>Hello<!-- --> <!-- -->pipi</p></div>')) {
+        throw new Error(`unexpected page ${result.page}`);
+      }
+      if (!result.page.includes('"props":{"name":"pipi"}') || !result.page.includes('<script src="/__dctc/client.js">')) {
+        throw new Error(`the page does not hydrate: ${result.page}`);
+      }
+      if (!result.hydrates) throw new Error('the client bundle does not call hydrateRoot');
+      if (!result.reloaded) throw new Error('no reload event after an import changed');
+      if (!result.updated.includes('<p>Hi<!-- --> <!-- -->props</p>')) {
+        throw new Error(`the page was not rebuilt: ${result.updated}`);
+      }
+    },
+  },
+  {
+    name: 'preview keeps reloading when the props file is saved by renaming a new file over it',
+    run: () => {
+      const previewDir = path.join(outputDir, 'preview-props');
+      fs.rmSync(previewDir, { recursive: true, force: true });
+      fs.mkdirSync(previewDir, { recursive: true });
+      fs.writeFileSync(path.join(previewDir, 'Page.tsx'), 'export default ({ name }: { name: string }) => <p>{name}</p>;\n');
+      const propsFile = path.join(previewDir, 'props.json');
+      fs.writeFileSync(propsFile, '{"name":"first"}');
+      const output = runApiScript(`
+        const fs = require('fs');
+        const http = require('http');
+        const dctc = require(${JSON.stringify(projectRoot)});
+        const propsFile = ${JSON.stringify(propsFile)};
+        // Like editors that write a temporary file, then rename it over the original
+        const save = (name) => {
+          fs.writeFileSync(propsFile + '.tmp', JSON.stringify({ name }));
+          fs.renameSync(propsFile + '.tmp', propsFile);
+        };
+        (async () => {
+          const server = await dctc.preview(${JSON.stringify(path.join(previewDir, 'Page.tsx'))}, { port: 0, propsFile, cache: false });
+          await fetch(server.url);
+          const pages = [];
+          let saving = false;
+          await new Promise((resolve, reject) => {
+            setTimeout(() => reject(new Error('no reload after saving ' + (pages.length + 1) + ' time(s)')), 5000).unref();
+            http.get(server.url + '__dctc/events', (response) => {
+              response.setEncoding('utf8');
+              response.once('data', () => {
+                saving = true;
+                save('second');
+                response.on('data', async (chunk) => {
+                  if (!saving || !chunk.includes('event: reload')) return;
+                  saving = false;
+                  pages.push(await (await fetch(server.url)).text());
+                  if (pages.length === 2) return resolve();
+                  // Let the events of this save pass first
+                  setTimeout(() => {
+                    saving = true;
+                    save('third');
+                  }, 300);
+                });
+              });
+            }).on('error', reject);
+          });
+          await server.close();
+          process.stdout.write(JSON.stringify(pages.map((page) => page.match(/<p>(.*?)<\\/p>/)[1])));
+          process.exit(0);
+        })().catch((e) => { console.error(e); process.exit(1); });
+      `);
+      const result = output.trim().split('\n').pop();
+      if (result !== JSON.stringify(['second', 'third'])) throw new Error(`unexpected output ${output}`);
+    },
+  },
+  {
+    name: 'serve answers JSON-RPC requests over a socket',
+    run: () => {
+      const serveDir = path.join(outputDir, 'serve');
+      fs.rmSync(serveDir, { recursive: true, force: true });
+      fs.mkdirSync(serveDir, { recursive: true });
+      fs.writeFileSync(
+        path.join(serveDir, 'script.ts'),
+        'console.log("args:", process.argv.slice(2).join(","));\nconsole.error("careful");\nexport const answer = 42;\nexport function greet() {}\n'
+      );
+      fs.writeFileSync(path.join(serveDir, 'Page.tsx'), 'export default ({ name }: { name: string }) => <p>Hello {name}</p>;\n');
+      fs.writeFileSync(path.join(serveDir, 'throws.ts'), 'console.log("before");\nthrow new Error("boom");\n');
+      const socket = path.join(os.tmpdir(), `dctc-test-${process.pid}.sock`);
+      const output = runApiScript(`
+        const net = require('net');
+        const dctc = require(${JSON.stringify(projectRoot)});
+        (async () => {
+          const server = await dctc.serve({ socket: ${JSON.stringify(socket)}, compiler: 'swc', cache: false });
+          const connection = net.connect(${JSON.stringify(socket)});
+          const responses = new Map();
+          let buffer = '';
+          const received = new Promise((resolve) => {
+            connection.on('data', (chunk) => {
+              buffer += chunk;
+              const lines = buffer.split('\\n');
+              buffer = lines.pop();
+              for (const line of lines) {
+                const response = JSON.parse(line);
+                responses.set(response.id, response);
+              }
+              if (responses.size === 5) resolve();
+            });
+          });
+          const send = (message) => connection.write(JSON.stringify(message) + '\\n');
+          const file = (name) => ${JSON.stringify(serveDir)} + '/' + name;
+          send({ jsonrpc: '2.0', id: 1, method: 'run', params: { file: file('script.ts'), args: ['a', 'b'] } });
+          send({ jsonrpc: '2.0', id: 2, method: 'render', params: { file: file('Page.tsx'), props: { name: 'pipi' }, static: true } });
+          send({ jsonrpc: '2.0', id: 3, method: 'run', params: { file: file('throws.ts') } });
+          send({ jsonrpc: '2.0', id: 4, method: 'nope', params: { file: file('script.ts') } });
+          await new Promise((resolve) => setTimeout(resolve, 500));
+          send({ jsonrpc: '2.0', id: 5, method: 'render', params: { file: file('Page.tsx'), props: { name: 'again' }, static: true } });
+          await received;
+          connection.end();
+          await server.close();
+          process.stdout.write(JSON.stringify(Object.fromEntries(responses)));
+          process.exit(0);
+        })().catch((e) => { console.error(e); process.exit(1); });
+      `);
+      const responses = JSON.parse(output.trim().split('\n').pop() || '{}');
+      const run = responses[1].result;
+      if (JSON.stringify(run.exports) !== JSON.stringify({ answer: 42, greet: '[Function: greet]' })) {
+        throw new Error(`unexpected exports ${JSON.stringify(run.exports)}`);
+      }
+      if (run.stdout !== 'args: a,b\n' || run.stderr !== 'careful\n' || typeof run.timing.total !== 'number') {
+        throw new Error(`output was not captured: ${JSON.stringify(run)}`);
+      }
+      if (responses[2].result.html !== '<p>Hello pipi</p>' || responses[2].result.cached) {
+        throw new Error(`unexpected render ${JSON.stringify(responses[2])}`);
+      }
+      if (responses[5].result.html !== '<p>Hello again</p>' || !responses[5].result.cached) {
+        throw new Error(`the second render did not reuse the bundle: ${JSON.stringify(responses[5])}`);
+      }
+      const failure = responses[3].error;
+      if (!failure || failure.code !== -32000 || failure.message !== 'boom' || failure.data.stdout !== 'before\n') {
+        throw new Error(`unexpected error response ${JSON.stringify(responses[3])}`);
+      }
+      if (!failure.data.stack.includes('throws.ts:2')) {
+        throw new Error(`the error stack was not mapped to the script: ${failure.data.stack}`);
+      }
+      if (responses[4].error.code !== -32601) {
+        throw new Error(`unexpected response to an unknown method ${JSON.stringify(responses[4])}`);
+      }
+    },
+  },  {
+    name: 'serve fails a request, not the server, on late errors, process.exit and timeouts',
+    run: () => {
+      const serveDir = path.join(outputDir, 'serve-errors');
+      fs.rmSync(serveDir, { recursive: true, force: true });
+      fs.mkdirSync(serveDir, { recursive: true });
+      const files = {
+        'late.ts': 'setTimeout(() => {\n  throw new Error("late boom");\n}, 50);\nexport default new Promise((resolve) => setTimeout(() => resolve("done"), 1000));\n',
+        'exits.tsx': 'export default () => {\n  process.exit(3);\n  return <p />;\n};\n',
+        'slow.ts': 'setInterval(() => {}, 10);\nexport default new Promise(() => {});\n',
+        'leftover.ts': 'setTimeout(() => {\n  throw new Error("too late");\n}, 100);\nexport default Promise.resolve(42);\n',
+        'Page.tsx': 'export default () => <p>still up</p>;\n',
+        'exit-code.ts': 'process.exitCode = 7;\nexport const own = process.exitCode;\n',
+      };
+      for (const [name, source] of Object.entries(files)) fs.writeFileSync(path.join(serveDir, name), source);
+      const output = runApiScript(`
+        const { PassThrough } = require('stream');
+        const dctc = require(${JSON.stringify(projectRoot)});
+        (async () => {
+          const input = new PassThrough();
+          const output = new PassThrough();
+          const server = await dctc.serve({ input, output, compiler: 'swc', cache: false });
+          const pending = new Map();
+          let buffer = '';
+          output.on('data', (chunk) => {
+            buffer += chunk;
+            const lines = buffer.split('\\n');
+            buffer = lines.pop();
+            for (const line of lines) {
+              const response = JSON.parse(line);
+              pending.get(response.id)(response);
+            }
+          });
+          let id = 0;
+          const call = (method, params) => new Promise((resolve) => {
+            pending.set(++id, resolve);
+            input.write(JSON.stringify({ jsonrpc: '2.0', id, method, params: { ...params, file: ${JSON.stringify(serveDir)} + '/' + params.file } }) + '\\n');
+          });
+          const responses = {};
+          responses.late = await call('run', { file: 'late.ts' });
+          responses.exits = await call('render', { file: 'exits.tsx', static: true });
+          responses.slow = await call('run', { file: 'slow.ts', timeout: 200 });
+          responses.leftover = await call('run', { file: 'leftover.ts' });
+          await new Promise((resolve) => setTimeout(resolve, 300));
+          responses.page = await call('render', { file: 'Page.tsx', static: true });
+          responses.exitCode = await call('run', { file: 'exit-code.ts' });
+          responses.serverExitCode = process.exitCode === undefined ? null : process.exitCode;
+          await server.close();
+          process.stdout.write(JSON.stringify(responses));
+          process.exit(0);
+        })().catch((e) => { console.error(e); process.exit(1); });
+      `);
+      const responses = JSON.parse(output.trim().split('\n').pop() || '{}');
+      const { late, exits, slow, leftover, page, exitCode, serverExitCode } = responses;
+      if (!late.error || late.error.message !== 'late boom' || !late.error.data.stack.includes('late.ts:2')) {
+        throw new Error(`a late error did not fail its request with a mapped stack: ${JSON.stringify(late)}`);
+      }
+      if (!exits.error || !exits.error.message.startsWith('process.exit(3) was called')) {
+        throw new Error(`process.exit did not fail the request: ${JSON.stringify(exits)}`);
+      }
+      if (!slow.error || slow.error.message !== 'The request did not finish within 200ms') {
+        throw new Error(`a slow request did not time out: ${JSON.stringify(slow)}`);
+      }
+      if (!leftover.result || leftover.result.exports.default !== 42) {
+        throw new Error(`the exported promise was not awaited: ${JSON.stringify(leftover)}`);
+      }
+      if (!page.result || page.result.html !== '<p>still up</p>') {
+        throw new Error(`the server stopped answering: ${JSON.stringify(page)}`);
+      }
+      if (!exitCode.result || exitCode.result.exports.own !== 7 || serverExitCode !== null) {
+        throw new Error(`process.exitCode of a request changed the server's (${serverExitCode}): ${JSON.stringify(exitCode)}`);
+      }
+    },
+  },
+  {
+    name: 'serve compiles again when a new file changes how an import resolves',
+    run: () => {
+      const serveDir = path.join(outputDir, 'serve-resolve');
+      fs.rmSync(serveDir, { recursive: true, force: true });
+      fs.mkdirSync(path.join(serveDir, 'value'), { recursive: true });
+      fs.writeFileSync(path.join(serveDir, 'entry.ts'), 'export { value } from "./value";\n');
+      fs.writeFileSync(path.join(serveDir, 'value', 'index.ts'), 'export const value = "index";\n');
+      const output = runApiScript(`
+        const fs = require('fs');
+        const { PassThrough } = require('stream');
+        const dctc = require(${JSON.stringify(projectRoot)});
+        (async () => {
+          const input = new PassThrough();
+          const output = new PassThrough();
+          const server = await dctc.serve({ input, output, cache: false });
+          const lines = require('readline').createInterface({ input: output })[Symbol.asyncIterator]();
+          const run = async (id) => {
+            input.write(JSON.stringify({ jsonrpc: '2.0', id, method: 'run', params: { file: ${JSON.stringify(path.join(serveDir, 'entry.ts'))} } }) + '\\n');
+            return JSON.parse((await lines.next()).value).result.exports.value;
+          };
+          const values = [await run(1)];
+          fs.writeFileSync(${JSON.stringify(path.join(serveDir, 'value.ts'))}, 'export const value = "file";\\n');
+          values.push(await run(2));
+          await server.close();
+          process.stdout.write(JSON.stringify(values));
+          process.exit(0);
+        })().catch((e) => { console.error(e); process.exit(1); });
+      `);
+      const result = output.trim().split('\n').pop();
+      if (result !== JSON.stringify(['index', 'file'])) throw new Error(`unexpected output ${output}`);
+    },
+  },
+  {
+    name: 'serve refuses a socket another server answers on, and stops with SIGTERM',
+    run: () => {
+      const socket = path.join(os.tmpdir(), `dctc-test-${process.pid}-term.sock`);
+      const output = runApiScript(`
+        const net = require('net');
+        const { spawn, spawnSync } = require('child_process');
+        const socket = ${JSON.stringify(socket)};
+        const dctc = [${JSON.stringify(dctcPath)}, 'serve', '--socket', socket];
+        const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+        const answers = () => new Promise((resolve) => {
+          const connection = net.connect(socket);
+          connection.once('connect', () => {
+            connection.destroy();
+            resolve(true);
+          });
+          connection.once('error', () => resolve(false));
+        });
+        (async () => {
+          const server = spawn(process.execPath, dctc, { stdio: 'ignore' });
+          for (let i = 0; i < 100 && !(await answers()); i++) await sleep(100);
+          const second = spawnSync(process.execPath, dctc, { encoding: 'utf8', timeout: 20000 });
+          const first = await answers();
+          server.kill('SIGTERM');
+          const exit = await new Promise((resolve) => server.on('exit', (code, signal) => resolve({ code, signal })));
+          await sleep(500);
+          process.stdout.write(JSON.stringify({ second: { status: second.status, stderr: second.stderr }, first, exit, after: await answers() }));
+          process.exit(0);
+        })().catch((e) => { console.error(e); process.exit(1); });
+      `);
+      const result = JSON.parse(output.trim().split('\n').pop() || '{}');
+      if (result.second.status !== 1 || !result.second.stderr.includes(`Another server is listening on ${socket}`) || !result.first) {
+        throw new Error(`a second server did not refuse the socket: ${JSON.stringify(result)}`);
+      }
+      if (result.exit.code !== 0 || result.after) {
+        throw new Error(`the server did not stop with SIGTERM: ${JSON.stringify(result)}`);
+      }
+    },
+  },
+  {
+    name: 'sandbox restricts require, fs and process, and limits CPU and memory',
+    run: () => {
+      const sandboxDir = path.join(outputDir, 'sandbox');
+      const dataDir = path.join(sandboxDir, 'data');
+      fs.rmSync(sandboxDir, { recursive: true, force: true });
+      fs.mkdirSync(dataDir, { recursive: true });
+      fs.writeFileSync(path.join(dataDir, 'name.txt'), 'pipi');
+      fs.writeFileSync(path.join(sandboxDir, 'secret.txt'), 'secret');
+      fs.writeFileSync(
+        path.join(sandboxDir, 'script.ts'),
+        `import fs from 'fs';
+const attempt = (fn: () => unknown) => {
+  try {
+    return fn();
+  } catch (error: any) {
+    return error.message;
+  }
+};
+export const name = fs.readFileSync(${JSON.stringify(path.join(dataDir, 'name.txt'))}, 'utf8');
+export const secret = attempt(() => fs.readFileSync(${JSON.stringify(path.join(sandboxDir, 'secret.txt'))}, 'utf8'));
+export const childProcess = attempt(() => require('child_process'));
+export const os = attempt(() => require('os'));
+export const exit = attempt(() => process.exit(1));
+export const home = process.env.HOME === undefined;
+// Path functions that are not checked must be missing, not open
+export const unchecked = [fs.openAsBlob, fs.lchmod, fs.lchmodSync, (fs as any).globSync, fs.promises.lchmod, (fs.promises as any).glob]
+  .filter((fn) => fn !== undefined).length;
+export const fd = [fs.openSync, fs.fstatSync, fs.readSync, fs.closeSync, fs.promises.open].every((fn) => typeof fn === 'function');
+`
+      );
+      fs.writeFileSync(path.join(sandboxDir, 'loop.ts'), 'while (true) {}\n');
+      fs.writeFileSync(path.join(sandboxDir, 'microtask.ts'), 'Promise.resolve().then(() => {\n  while (true) {}\n});\nexport const started = true;\n');
+      fs.writeFileSync(path.join(sandboxDir, 'memory.ts'), 'const chunks: number[][] = [];\nwhile (true) chunks.push(new Array(1e5).fill(1));\n');
+      fs.writeFileSync(
+        path.join(sandboxDir, 'Page.tsx'),
+        'const Spin = ({ spin }: { spin: boolean }) => { while (spin) {} return <p>done</p>; };\nexport default ({ spin }: { spin: boolean }) => <Spin spin={spin} />;\n'
+      );
+      const output = runApiScript(`
+        const dctc = require(${JSON.stringify(projectRoot)});
+        (async () => {
+          const file = (name) => ${JSON.stringify(sandboxDir)} + '/' + name;
+          const sandbox = { fs: [${JSON.stringify(dataDir)}], timeout: 300, memory: 64 };
+          const options = { compiler: 'swc', cache: false, sandbox };
+          const failure = (promise) => promise.then(() => 'no error', (error) => error.message);
+          const results = {
+            exports: await dctc.run(file('script.ts'), options),
+            loop: await failure(dctc.run(file('loop.ts'), options)),
+            microtask: await failure(dctc.render(file('microtask.ts'), options)),
+            memory: await failure(dctc.run(file('memory.ts'), options)),
+            html: await dctc.render(file('Page.tsx'), { ...options, props: { spin: false }, static: true }),
+            render: await failure(dctc.render(file('Page.tsx'), { ...options, props: { spin: true } })),
+          };
+          process.stdout.write(JSON.stringify(results));
+          process.exit(0);
+        })().catch((e) => { console.error(e); process.exit(1); });
+      `);
+      const results = JSON.parse(output.trim().split('\n').pop() || '{}');
+      const { exports } = results;
+      if (exports.unchecked !== 0 || !exports.fd) {
+        throw new Error(`the sandboxed fs is not limited to checked path and file descriptor functions: ${JSON.stringify(exports)}`);
+      }
+      if (exports.name !== 'pipi' || !exports.home) throw new Error(`unexpected exports ${JSON.stringify(exports)}`);
+      if (!/outside of the directories the sandbox allows/.test(exports.secret)) {
+        throw new Error(`fs read a file outside of the allowed directories: ${exports.secret}`);
+      }
+      if (!/never allowed/.test(exports.childProcess) || !/not allowed in the sandbox/.test(exports.os)) {
+        throw new Error(`require was not restricted: ${exports.childProcess} / ${exports.os}`);
+      }
+      if (!/process\.exit\(\) is not allowed/.test(exports.exit)) throw new Error(`process.exit was not denied: ${exports.exit}`);
+      for (const name of ['loop', 'render', 'microtask']) {
+        if (!/more than 300 ms/.test(results[name])) throw new Error(`the CPU limit was not enforced (${name}): ${results[name]}`);
+      }
+      if (!/memory limit of the sandbox \(64 MB\)/.test(results.memory)) {
+        throw new Error(`the memory limit was not enforced: ${results.memory}`);
+      }
+      if (results.html !== '<p>done</p>') throw new Error(`unexpected sandboxed render ${results.html}`);
+    },
+  },
+  {
+    name: 'wait for async work, keep the exit code of the script, and stop it with --timeout',
+    run: () => {
+      const completionDir = path.join(outputDir, 'completion');
+      fs.rmSync(completionDir, { recursive: true, force: true });
+      fs.mkdirSync(completionDir, { recursive: true });
+      const file = (name: string) => path.join(completionDir, name);
+      fs.writeFileSync(
+        file('async.ts'),
+        `import fs from 'fs';
+setTimeout(() => {
+  fs.promises.writeFile(${JSON.stringify(file('written.txt'))}, 'later').then(() => console.log('written'));
+}, 100);
+`
+      );
+      fs.writeFileSync(
+        file('main.ts'),
+        'async function main() {\n  await new Promise((resolve) => setTimeout(resolve, 50));\n  console.log("main done");\n  process.exitCode = 3;\n}\nexport default main();\n'
+      );
+      fs.writeFileSync(file('reject.ts'), 'async function fail() {\n  await null;\n  throw new Error("async boom");\n}\nfail();\n');
+      fs.writeFileSync(file('hang.ts'), 'setInterval(() => {}, 1000);\n');
+      fs.writeFileSync(file('unsettled.ts'), 'await new Promise(() => {});\nexport {};\n');
+      fs.writeFileSync(file('exit.ts'), 'setTimeout(() => process.exit(4), 10);\nawait new Promise(() => {});\nexport {};\n');
+      fs.writeFileSync(file('broken.ts'), 'const = ;\n');
+      const status = (args: string[]) => {
+        try {
+          return { status: 0, output: runDctc(args) };
+        } catch (error: any) {
+          return { status: error.status, output: `${error.stdout}${error.stderr}` };
+        }
+      };
+
+      for (const sandbox of [[], ['--sandbox', '--allow-fs', completionDir]]) {
+        const label = sandbox.length ? 'sandbox' : 'node';
+        fs.rmSync(file('written.txt'), { force: true });
+        const written = status([...sandbox, file('async.ts')]);
+        if (written.status !== 0 || !written.output.includes('written') || !fs.existsSync(file('written.txt'))) {
+          throw new Error(`${label}: the run ended before its async work: ${written.output}`);
+        }
+        const main = status([...sandbox, file('main.ts')]);
+        if (main.status !== 3 || !main.output.includes('main done')) {
+          throw new Error(`${label}: unexpected run of the exported promise (exit code ${main.status}): ${main.output}`);
+        }
+        const rejected = status([...sandbox, file('reject.ts')]);
+        if (rejected.status !== 1 || !rejected.output.includes('async boom') || !rejected.output.includes('reject.ts:3')) {
+          throw new Error(`${label}: the unhandled rejection was not reported with its source location: ${rejected.output}`);
+        }
+      }
+      const timedOut = status(['--timeout', '300', file('hang.ts')]);
+      if (timedOut.status !== 124 || !timedOut.output.includes('timed out after 300 ms')) {
+        throw new Error(`--timeout did not stop the run (exit code ${timedOut.status}): ${timedOut.output}`);
+      }
+      const unsettled = status([file('unsettled.ts')]);
+      if (unsettled.status !== 13 || !unsettled.output.includes('top-level await) settled')) {
+        throw new Error(`a top-level await that never settles did not end with exit code 13 (${unsettled.status}): ${unsettled.output}`);
+      }
+      const exited = status([file('exit.ts')]);
+      if (exited.status !== 4 || exited.output.includes('settled')) {
+        throw new Error(`process.exit() during a top-level await did not keep its exit code (${exited.status}): ${exited.output}`);
+      }
+      const broken = status([file('broken.ts')]);
+      if (broken.status !== 1 || !broken.output.includes('Execute failed') || /unhandled/i.test(broken.output)) {
+        throw new Error(`the compile error was not reported (exit code ${broken.status}): ${broken.output}`);
+      }
+    },
+  },
+  {
+    name: 'repl evaluates TypeScript and TSX, with imports, top-level await and .load',
+    run: () => {
+      const replDir = path.join(outputDir, 'repl');
+      fs.rmSync(replDir, { recursive: true, force: true });
+      fs.mkdirSync(replDir, { recursive: true });
+      fs.writeFileSync(
+        path.join(replDir, 'Badge.tsx'),
+        'export const Badge = ({ label }: { label: string }) => <span>{label}</span>;\nexport const later = (value: number) => new Promise<number>((resolve) => setTimeout(() => resolve(value), 20));\nexport default function Card() {\n  return <div><Badge label="card" /></div>;\n}\n'
+      );
+      const inputs = [
+        'interface Point { x: number }',
+        'const point: Point = { x: 40 }',
+        'import { Badge, later } from "./Badge"',
+        'const value: number = await later(point.x + 2)',
+        'value',
+        'function twice(n: number) {',
+        '  return n * 2;',
+        '}',
+        'twice(value)',
+        '<Badge label={`#${value}`} />',
+        '.load Badge.tsx',
+        '<Card />',
+      ];
+      const output = execSync(`node "${dctcPath}" repl --compiler rollup`, {
+        cwd: replDir,
+        input: inputs.join('\n') + '\n',
+        stdio: ['pipe', 'pipe', 'pipe'],
+        timeout: 30000,
+        encoding: 'utf-8',
+      });
+      for (const expected of ['dctc> 42', '84', '<span>#42</span>', 'Defined Badge, later, Card', '<div><span>card</span></div>']) {
+        if (!output.includes(expected)) throw new Error(`the REPL did not print ${expected}: ${output}`);
+      }
+
+      const completions = runApiScript(`
+        const { PassThrough } = require('stream');
+        const dctc = require(${JSON.stringify(projectRoot)});
+        const server = dctc.repl({ compiler: 'swc', input: new PassThrough(), output: new PassThrough(), terminal: false });
+        server.complete('Reac', (error, [names]) => {
+          process.stdout.write(JSON.stringify(names));
+          process.exit(0);
+        });
+      `);
+      if (!JSON.parse(completions.trim().split('\n').pop() || '[]').includes('ReactDOM')) {
+        throw new Error(`context globals were not completed: ${completions}`);
+      }
+    },
+  },
+  {
+    name: 'repl stops with SIGTERM, also from the process that re-spawns it',
+    run: () => {
+      const output = runApiScript(`
+        const { spawn } = require('child_process');
+        (async () => {
+          // An input that stays open after dctc exits, unlike a pipe of its own
+          const input = spawn(process.execPath, ['-e', 'setTimeout(() => {}, 20000)'], { stdio: ['ignore', 'pipe', 'ignore'] });
+          const repl = spawn(process.execPath, [${JSON.stringify(dctcPath)}, 'repl'], { stdio: [input.stdout, 'pipe', 'ignore'] });
+          await new Promise((resolve) => repl.stdout.on('data', (chunk) => String(chunk).includes('dctc>') && resolve()));
+          repl.kill('SIGTERM');
+          // Closed once every process that has the pipes open is gone
+          const closed = await new Promise((resolve) => {
+            setTimeout(() => resolve(false), 5000).unref();
+            repl.on('close', () => resolve(true));
+          });
+          input.kill();
+          process.stdout.write(JSON.stringify({ closed }));
+          process.exit(0);
+        })().catch((e) => { console.error(e); process.exit(1); });
+      `);
+      if (output.trim().split('\n').pop() !== JSON.stringify({ closed: true })) {
+        throw new Error(`a REPL process was left running: ${output}`);
+      }
+    },
+  },
+  {
+    name: '-e, -p and - run code from the command line or stdin, with relative imports',
+    run: () => {
+      const evalDir = path.join(outputDir, 'eval');
+      fs.rmSync(evalDir, { recursive: true, force: true });
+      fs.mkdirSync(evalDir, { recursive: true });
+      fs.writeFileSync(
+        path.join(evalDir, 'utils.ts'),
+        'export const slugify = (text: string): string => text.toLowerCase().replace(/\\s+/g, "-");\n'
+      );
+      const run = (args: string, input?: string) =>
+        execSync(`node "${dctcPath}" ${args}`, {
+          cwd: evalDir,
+          input,
+          stdio: [input === undefined ? 'ignore' : 'pipe', 'pipe', 'pipe'],
+          timeout: 30000,
+          encoding: 'utf-8',
+        }).trim();
+
+      for (const compiler of ['es', 'swc', 'rollup', 'rolldown']) {
+        const printed = run(`-c ${compiler} -p 'import { slugify } from "./utils"; slugify("Hello World")'`);
+        if (printed !== 'hello-world') throw new Error(`${compiler}: -p printed ${printed}`);
+      }
+      const evaluated = run(`-e 'const n: number = 2; console.log(n * 21, process.argv.slice(2).join(","))' -- a b`);
+      if (evaluated !== '42 a,b') throw new Error(`-e printed ${evaluated}`);
+      const html = run(`-p 'const Badge = ({ label }: { label: string }) => <b>{label}</b>; <Badge label="new" />'`);
+      if (html !== '<b>new</b>') throw new Error(`-p printed ${html} for a React element`);
+
+      const piped = run('-c swc -p -', 'import { slugify } from "./utils";\nconst later = await Promise.resolve(slugify("From Stdin"));\nlater\n');
+      if (piped !== 'from-stdin') throw new Error(`- printed ${piped}`);
+    },
+  },
+  {
+    name: '--typecheck reports type errors with code frames before running, or in parallel',
+    run: () => {
+      const checkDir = path.join(outputDir, 'typecheck');
+      fs.rmSync(checkDir, { recursive: true, force: true });
+      fs.mkdirSync(checkDir, { recursive: true });
+      fs.writeFileSync(path.join(checkDir, 'math.ts'), 'export const total = (values: number[]): number => values.reduce((a, b) => a + b, 0);\n');
+      fs.writeFileSync(
+        path.join(checkDir, 'good.tsx'),
+        'import { total } from "./math";\nconst value = await Promise.resolve(total([1, 2]));\nconsole.log("ran", value, (<b />).type);\n'
+      );
+      fs.writeFileSync(path.join(checkDir, 'bad.tsx'), 'import { total } from "./math";\nconst label: string = total([1, 2]);\nconsole.log("ran", label);\n');
+      const run = (args: string) => {
+        try {
+          const stdout = execSync(`node "${dctcPath}" ${args}`, { cwd: checkDir, stdio: ['ignore', 'pipe', 'pipe'], timeout: 60000, encoding: 'utf-8' });
+          return { status: 0, stdout, stderr: '' };
+        } catch (error: any) {
+          return { status: error.status, stdout: String(error.stdout), stderr: String(error.stderr) };
+        }
+      };
+
+      const good = run('--typecheck -c swc good.tsx');
+      if (good.status !== 0 || !good.stdout.includes('ran 3 b')) throw new Error(`a file without type errors did not run: ${good.stderr}`);
+
+      const blocked = run('--typecheck bad.tsx');
+      if (blocked.status !== 1 || blocked.stdout.includes('ran')) throw new Error(`a type error did not stop the run: ${blocked.stdout}`);
+      for (const expected of ['bad.tsx:2:7 - error TS2322', 'const label: string = total([1, 2]);', 'Found 1 type error in 1 file']) {
+        if (!blocked.stderr.includes(expected)) throw new Error(`--typecheck did not print ${expected}: ${blocked.stderr}`);
+      }
+
+      const parallel = run('--typecheck-parallel bad.tsx');
+      if (parallel.status !== 1 || !parallel.stdout.includes('ran 3') || !parallel.stderr.includes('TS2322')) {
+        throw new Error(`--typecheck-parallel did not run the code and report the error: ${parallel.stdout} ${parallel.stderr}`);
+      }
+
+      const evaluated = run(`--typecheck -p 'import { total } from "./math"; total(["x"])'`);
+      if (evaluated.status !== 1 || !evaluated.stderr.includes('[eval].tsx:1:40 - error TS2322')) {
+        throw new Error(`-p code was not type-checked as written: ${evaluated.stderr}`);
+      }
+    },
+  },
+];
+
+function testFeature(test: { name: string; run: () => void }): { success: boolean; error?: string } {
+  try {
+    test.run();
+    return { success: true };
+  } catch (error: any) {
+    const errorMessage = error.stderr?.toString() || error.message || String(error);
+    return { success: false, error: errorMessage.substring(0, 300) };
+  }
+}
+
 function runAllTests() {
   logTitle('\n========================================');
   logTitle('dctc Test Suite - README EXAMPLE');
@@ -107,6 +1654,44 @@ function runAllTests() {
     }
   }
 
+  logTitle('\nTesting programmatic API...\n');
+
+  for (const compiler of compilers) {
+    logInfo(`Testing compile()/run() with ${compiler} compiler...`);
+    const result = testApi(compiler);
+    results.push({ compiler: `api:${compiler}`, ...result });
+
+    if (result.success) {
+      totalPassed++;
+      log(`  ✓ api:${compiler}: PASSED`);
+    } else {
+      totalFailed++;
+      logErr(`  ✗ api:${compiler}: FAILED`);
+      if (result.error) {
+        logErr(`    Error: ${result.error.substring(0, 200)}`);
+      }
+    }
+  }
+
+  logTitle('\nTesting features...\n');
+
+  for (const test of featureTests) {
+    logInfo(`Testing ${test.name}...`);
+    const result = testFeature(test);
+    results.push({ compiler: test.name, ...result });
+
+    if (result.success) {
+      totalPassed++;
+      log(`  ✓ ${test.name}: PASSED`);
+    } else {
+      totalFailed++;
+      logErr(`  ✗ ${test.name}: FAILED`);
+      if (result.error) {
+        logErr(`    Error: ${result.error.substring(0, 200)}`);
+      }
+    }
+  }
+
   // Summary
   logTitle('\n========================================');
   logTitle('Test Summary');